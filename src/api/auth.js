@@ -0,0 +1,350 @@
+import { sha256Hex, hmacSha256Hex, ed25519VerifyHex } from '../utils/crypto.js';
+import { deriveAddress, normalizeAddress } from '../utils/address.js';
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;   // 请求时间戳与服务器时间允许的最大偏差
+
+/**
+ * 签名请求使用的请求头
+ */
+export const AUTH_HEADERS = {
+    address: 'x-cosmo-address',          // 请求方地址
+    publicKey: 'x-cosmo-public-key',     // 请求方公钥
+    timestamp: 'x-cosmo-timestamp',      // 请求时间戳（毫秒）
+    signature: 'x-cosmo-signature'       // Ed25519 签名
+};
+
+/**
+ * 链上角色 -> 钱包签名请求获得的权限范围（admin 拥有全部权限）
+ */
+export const ROLE_SCOPES = {
+    admin: ['*'],
+    minter: ['tokens:mint'],
+    burner: ['tokens:burn'],
+    operator: ['mining:control', 'peers:write', 'sync:write']
+};
+
+export class AuthError extends Error {
+    /**
+     * 认证或授权失败
+     * @param {number} statusCode - 401 未认证，403 无权限
+     * @param {string} message - 错误信息
+     */
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * 构造请求签名内容
+ * 方法、路径（含查询字符串）、时间戳和请求体哈希各占一行
+ * @param {Object} request - 请求信息
+ * @param {string} request.method - 请求方法
+ * @param {string} request.path - 请求路径（含查询字符串）
+ * @param {string|number} request.timestamp - 请求时间戳
+ * @param {string} request.body - 原始请求体
+ * @returns {string} 签名内容
+ */
+export function buildSigningPayload({ method, path, timestamp, body = '' }) {
+    return `${method.toUpperCase()}\n${path}\n${timestamp}\n${sha256Hex(body ?? '')}`;
+}
+
+/**
+ * 为请求生成钱包签名请求头
+ * @param {Wallet} wallet - 签名钱包
+ * @param {Object} request - 请求信息
+ * @param {string} request.method - 请求方法
+ * @param {string} request.path - 请求路径（含查询字符串）
+ * @param {string} request.body - 原始请求体（JSON字符串）
+ * @returns {Promise<Object>} 请求头
+ */
+export async function createAuthHeaders(wallet, { method, path, body = '' }) {
+    const timestamp = Date.now();
+    const signature = await wallet.sign(buildSigningPayload({ method, path, timestamp, body }));
+
+    return {
+        [AUTH_HEADERS.address]: wallet.address,
+        [AUTH_HEADERS.publicKey]: wallet.publicKey,
+        [AUTH_HEADERS.timestamp]: String(timestamp),
+        [AUTH_HEADERS.signature]: signature
+    };
+}
+
+/**
+ * 为请求生成 HMAC API 密钥请求头
+ * @param {Object} key - API 密钥
+ * @param {string} key.id - 密钥ID
+ * @param {string} key.secret - 密钥
+ * @param {Object} request - 请求信息（同 createAuthHeaders）
+ * @returns {Object} 请求头
+ */
+export function createApiKeyHeaders({ id, secret }, { method, path, body = '' }) {
+    const timestamp = Date.now();
+    const signature = hmacSha256Hex(secret, buildSigningPayload({ method, path, timestamp, body }));
+
+    return {
+        authorization: `HMAC-SHA256 keyId=${id},signature=${signature}`,
+        [AUTH_HEADERS.timestamp]: String(timestamp)
+    };
+}
+
+/**
+ * 检查权限范围
+ * 支持 "*"（全部）和 "tokens:*"（同一资源下的全部操作）通配
+ * @param {Array<string>} granted - 已授予的权限
+ * @param {Array<string>} required - 需要的权限（全部满足）
+ * @returns {boolean} 满足返回true
+ */
+export function hasScopes(granted, required) {
+    return required.every(scope => granted.some(item => item === '*'
+        || item === scope
+        || (item.endsWith(':*') && scope.startsWith(item.slice(0, -1)))));
+}
+
+/**
+ * 等长比较两个字符串，比较时间与第一个不同字符的位置无关
+ * @param {string} a - 字符串
+ * @param {string} b - 字符串
+ * @returns {boolean} 相同返回true
+ */
+function safeEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * 创建签名时间戳和重放检查
+ * 签名在时间窗口内只能使用一次
+ * @param {number} maxSkewMs - 允许的时间偏差
+ * @returns {Function} (timestamp, signature) => void，不通过时抛出 AuthError
+ */
+function createReplayGuard(maxSkewMs) {
+    const seenSignatures = new Map();   // 签名 -> 过期时间
+
+    return (timestamp, signature) => {
+        const now = Date.now();
+        const signedAt = Number(timestamp);
+        if (!Number.isSafeInteger(signedAt) || Math.abs(now - signedAt) > maxSkewMs) {
+            throw new AuthError(401, 'Request timestamp is missing or outside the allowed window');
+        }
+
+        for (const [seen, expiresAt] of seenSignatures) {
+            if (expiresAt <= now) {
+                seenSignatures.delete(seen);
+            }
+        }
+        if (seenSignatures.has(signature)) {
+            throw new AuthError(401, 'Request signature has already been used');
+        }
+        seenSignatures.set(signature, signedAt + maxSkewMs);
+    };
+}
+
+/**
+ * 读取请求的签名内容
+ * @param {Object} request - 适配器请求对象
+ * @param {string} timestamp - 请求时间戳
+ * @returns {Promise<string>} 签名内容
+ */
+async function readSigningPayload(request, timestamp) {
+    const url = new URL(request.url);
+    return buildSigningPayload({
+        method: request.method,
+        path: `${url.pathname}${url.search}`,
+        timestamp,
+        body: await request.raw.clone().text()
+    });
+}
+
+/**
+ * 解析 Worker secret 中的 JSON 凭据列表
+ * @param {string|Array} value - 凭据列表
+ * @param {string} name - 变量名称
+ * @param {string} secretField - 凭据字段（token 或 secret）
+ * @returns {Array<{ id: string, scopes: Array<string> }>} 凭据列表
+ */
+function parseCredentials(value, name, secretField) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    let entries = value;
+    if (typeof value === 'string') {
+        try {
+            entries = JSON.parse(value);
+        } catch (error) {
+            throw new Error(`${name} must be valid JSON`);
+        }
+    }
+    if (!Array.isArray(entries)) {
+        throw new Error(`${name} must be a list of { id, ${secretField}, scopes }`);
+    }
+
+    return entries.map(entry => {
+        if (!entry?.id || !entry[secretField] || !Array.isArray(entry.scopes)) {
+            throw new Error(`${name} entries need an id, a ${secretField} and a scopes list`);
+        }
+        return { id: String(entry.id), [secretField]: String(entry[secretField]), scopes: entry.scopes.map(String) };
+    });
+}
+
+/**
+ * 创建钱包签名请求的认证函数
+ * 公钥必须推导出声明的地址，权限范围由该地址已确认的链上角色决定
+ * @param {Blockchain} blockchain - 区块链实例（读取已确认的角色）
+ * @param {Object} options - 认证配置
+ * @param {number} options.maxSkewMs - 允许的时间偏差
+ * @returns {Function} (request) => Promise<Object> 请求方身份
+ */
+export function createWalletAuthenticator(blockchain, { maxSkewMs = MAX_CLOCK_SKEW_MS } = {}) {
+    const checkReplay = createReplayGuard(maxSkewMs);
+
+    return async request => {
+        // 旧版客户端可能声明旧格式地址，请求方身份统一使用带校验和的地址
+        const address = normalizeAddress(request.headers[AUTH_HEADERS.address]);
+        const publicKey = request.headers[AUTH_HEADERS.publicKey];
+        const timestamp = request.headers[AUTH_HEADERS.timestamp];
+        const signature = request.headers[AUTH_HEADERS.signature];
+
+        if (!address || !publicKey || !timestamp || !signature) {
+            throw new AuthError(401, 'Authentication required');
+        }
+
+        // 公钥必须推导出声明的地址，防止用他人公钥冒充
+        if (deriveAddress(publicKey) !== address) {
+            throw new AuthError(401, 'Public key does not match address');
+        }
+
+        const payload = await readSigningPayload(request, timestamp);
+        let verified = false;
+        try {
+            verified = await ed25519VerifyHex(publicKey, payload, signature);
+        } catch (error) {
+            verified = false;
+        }
+        if (!verified) {
+            throw new AuthError(401, 'Invalid request signature');
+        }
+        checkReplay(timestamp, signature);
+
+        const roles = blockchain.getRoles(address);
+        return {
+            type: 'wallet',
+            id: address,
+            address,
+            roles,
+            scopes: [...new Set(roles.flatMap(role => ROLE_SCOPES[role] ?? []))]
+        };
+    };
+}
+
+/**
+ * 创建 API 凭据的认证函数
+ * 支持 "Authorization: Bearer <token>" 和 "Authorization: HMAC-SHA256 keyId=<id>,signature=<hex>"，
+ * HMAC 签名内容与钱包签名请求相同，并要求 X-Cosmo-Timestamp 请求头
+ * @param {Object} credentials - API 凭据
+ * @param {Array<Object>} credentials.tokens - 持有者令牌 [{ id, token, scopes }]
+ * @param {Array<Object>} credentials.keys - HMAC 密钥 [{ id, secret, scopes }]
+ * @param {Object} options - 认证配置
+ * @param {number} options.maxSkewMs - 允许的时间偏差
+ * @returns {Function} (request) => Promise<Object> 请求方身份
+ */
+export function createApiKeyAuthenticator({ tokens = [], keys = [] } = {}, { maxSkewMs = MAX_CLOCK_SKEW_MS } = {}) {
+    const checkReplay = createReplayGuard(maxSkewMs);
+    // 令牌按哈希查找，比较的是固定长度的摘要
+    const tokensByHash = new Map(tokens.map(entry => [sha256Hex(entry.token), entry]));
+    const keysById = new Map(keys.map(entry => [entry.id, entry]));
+
+    return async request => {
+        const authorization = request.headers.authorization ?? '';
+        const [scheme, ...rest] = authorization.trim().split(/\s+/);
+        const credential = rest.join(' ');
+
+        if (/^bearer$/i.test(scheme) && credential) {
+            const entry = tokensByHash.get(sha256Hex(credential));
+            if (!entry) {
+                throw new AuthError(401, 'Invalid bearer token');
+            }
+            return { type: 'token', id: entry.id, address: null, scopes: entry.scopes };
+        }
+
+        if (/^hmac-sha256$/i.test(scheme) && credential) {
+            const params = Object.fromEntries(credential.split(',').map(part => {
+                const index = part.indexOf('=');
+                return [part.slice(0, index).trim(), part.slice(index + 1).trim()];
+            }));
+            const entry = keysById.get(params.keyId);
+            const timestamp = request.headers[AUTH_HEADERS.timestamp];
+            if (!entry || !params.signature || !timestamp) {
+                throw new AuthError(401, 'Invalid API key credentials');
+            }
+
+            const expected = hmacSha256Hex(entry.secret, await readSigningPayload(request, timestamp));
+            if (!safeEqual(expected, params.signature.toLowerCase())) {
+                throw new AuthError(401, 'Invalid request signature');
+            }
+            checkReplay(timestamp, params.signature.toLowerCase());
+
+            return { type: 'api-key', id: entry.id, address: null, scopes: entry.scopes };
+        }
+
+        throw new AuthError(401, 'Unsupported authorization scheme');
+    };
+}
+
+/**
+ * 认证插件
+ * 注册 onRequest 钩子：路由在 config.scopes 中声明需要的权限范围，请求必须携带满足全部权限的凭据。
+ * 不需要权限范围的路由可以声明 config.authenticate：true 要求认证，'optional' 在携带凭据时认证。
+ * 带 Authorization 请求头的请求按 API 凭据认证，否则按钱包签名认证；通过后请求方身份挂在 request.principal 上
+ * @param {WorkerFastifyAdapter} fastify - 应用实例
+ * @param {Object} options - 插件配置
+ * @param {Blockchain} options.blockchain - 区块链实例
+ * @param {Object} options.env - Worker 环境变量（API_TOKENS、API_KEYS 从 secrets 读取）
+ */
+export async function authPlugin(fastify, { blockchain, env = {} }) {
+    const authenticateWallet = createWalletAuthenticator(blockchain);
+    const authenticateApiKey = createApiKeyAuthenticator({
+        tokens: parseCredentials(env?.API_TOKENS, 'API_TOKENS', 'token'),
+        keys: parseCredentials(env?.API_KEYS, 'API_KEYS', 'secret')
+    });
+
+    fastify.addHook('onRequest', async (request, reply) => {
+        const { scopes = [], authenticate = false } = request.routeOptions?.config ?? {};
+        const hasCredentials = Boolean(request.headers.authorization || request.headers[AUTH_HEADERS.signature]);
+        if (scopes.length === 0 && authenticate !== true && !(authenticate === 'optional' && hasCredentials)) {
+            return;
+        }
+
+        try {
+            const principal = request.headers.authorization
+                ? await authenticateApiKey(request)
+                : await authenticateWallet(request);
+
+            if (!hasScopes(principal.scopes, scopes)) {
+                throw new AuthError(403, `Missing required scope: ${scopes.join(', ')}`);
+            }
+
+            request.principal = principal;
+        } catch (error) {
+            if (!(error instanceof AuthError)) {
+                throw error;
+            }
+
+            if (error.statusCode === 401) {
+                reply.header('WWW-Authenticate', 'Bearer, HMAC-SHA256');
+            }
+            reply.code(error.statusCode).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+}
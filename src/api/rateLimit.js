@@ -0,0 +1,148 @@
+import { normalizeAddress } from '../utils/address.js';
+
+const DEFAULT_GLOBAL_LIMIT = { max: 300, windowMs: 60 * 1000 };   // 每个IP对所有路由的默认限额
+const SWEEP_INTERVAL = 1000;         // 每处理多少次请求清理一次已回满的令牌桶
+
+/**
+ * 令牌桶取令牌
+ * 令牌按 max / windowMs 的速率匀速回补，桶容量为 max
+ * @param {Object|null} bucket - 令牌桶 { tokens, updatedAt }，不存在时视为满桶
+ * @param {Object} limit - 限额 { max, windowMs }
+ * @param {number} now - 当前时间
+ * @returns {{ bucket: Object, allowed: boolean, remaining: number, retryAfterMs: number, expiresAt: number }} 取令牌结果
+ */
+export function takeToken(bucket, { max, windowMs }, now) {
+    const refillPerMs = max / windowMs;
+    const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+    const available = bucket ? Math.min(max, bucket.tokens + elapsed * refillPerMs) : max;
+
+    const allowed = available >= 1;
+    const tokens = allowed ? available - 1 : available;
+
+    return {
+        bucket: { tokens, updatedAt: now },
+        allowed,
+        remaining: Math.floor(tokens),
+        retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+        expiresAt: now + Math.ceil((max - tokens) / refillPerMs)   // 桶回满的时间，之后可以丢弃
+    };
+}
+
+export class MemoryRateLimitStore {
+    /**
+     * 内存令牌桶存储
+     * 单个进程内有效，用于本地开发和测试
+     */
+    constructor() {
+        this.buckets = new Map();       // 键 -> { tokens, updatedAt, expiresAt }
+        this.operations = 0;            // 处理次数（用于定期清理）
+    }
+
+    /**
+     * 从令牌桶中取一个令牌
+     * @param {string} key - 限流键
+     * @param {Object} limit - 限额 { max, windowMs }
+     * @param {number} now - 当前时间
+     * @returns {Promise<{ allowed: boolean, remaining: number, retryAfterMs: number }>} 取令牌结果
+     */
+    async take(key, limit, now = Date.now()) {
+        const { bucket, allowed, remaining, retryAfterMs, expiresAt } = takeToken(this.buckets.get(key), limit, now);
+        this.buckets.set(key, { ...bucket, expiresAt });
+
+        if (++this.operations % SWEEP_INTERVAL === 0) {
+            this.sweep(now);
+        }
+
+        return { allowed, remaining, retryAfterMs };
+    }
+
+    /**
+     * 删除已回满的令牌桶
+     * @param {number} now - 当前时间
+     */
+    sweep(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.expiresAt <= now) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * 计算请求的限流键值
+ * @param {string} kind - 键类型：ip 客户端IP，apiKey API 凭据，address 发送方地址
+ * @param {Object} request - 适配器请求对象
+ * @param {Object} limit - 路由限额（address 字段指定请求体中地址的字段名）
+ * @returns {string|null} 键值，无法确定时返回null（不计数）
+ */
+function resolveKey(kind, request, limit) {
+    switch (kind) {
+        case 'ip':
+            return request.headers['cf-connecting-ip'] || 'unknown';
+        case 'apiKey':
+            return request.principal && request.principal.type !== 'wallet' ? request.principal.id : null;
+        case 'address': {
+            const field = limit.address ?? 'fromAddress';
+            // 旧格式地址与带校验和地址共用同一个令牌桶
+            return normalizeAddress(request.body?.[field] ?? request.params?.[field] ?? request.principal?.address ?? null);
+        }
+        default:
+            throw new Error(`Unknown rate limit key: ${kind}`);
+    }
+}
+
+/**
+ * 限流插件
+ * 路由在 config.rateLimit 中声明限额 { max, windowMs, by, address }：
+ * by 为计数维度（ip、apiKey、address，默认 ip），每个维度各有一个令牌桶，任一耗尽即返回 429。
+ * IP 维度在认证之前检查（onRequest），API 凭据和地址维度在认证和参数校验之后检查（preHandler）。
+ * 另有一个按 IP 计数、作用于所有路由的全局限额
+ * @param {WorkerFastifyAdapter} fastify - 应用实例
+ * @param {Object} options - 插件配置
+ * @param {Object} options.store - 令牌桶存储，需实现 take(key, limit, now)
+ * @param {Object|null} options.global - 全局限额 { max, windowMs }，null 表示不启用
+ */
+export async function rateLimitPlugin(fastify, { store = new MemoryRateLimitStore(), global = DEFAULT_GLOBAL_LIMIT } = {}) {
+    const check = async (reply, checks) => {
+        for (const { key, limit } of checks) {
+            const { allowed, retryAfterMs } = await store.take(key, limit);
+            if (!allowed) {
+                const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+                reply.header('Retry-After', String(retryAfter));
+                reply.code(429).send({
+                    success: false,
+                    error: 'Too many requests',
+                    retryAfter
+                });
+                return;
+            }
+        }
+    };
+
+    const routeChecks = (request, kinds) => {
+        const limit = request.routeOptions.config?.rateLimit;
+        if (!limit) {
+            return [];
+        }
+
+        const route = `${request.routeOptions.method} ${request.routeOptions.url}`;
+        return (limit.by ?? ['ip'])
+            .filter(kind => kinds.includes(kind))
+            .map(kind => ({ kind, value: resolveKey(kind, request, limit) }))
+            .filter(({ value }) => value !== null)
+            .map(({ kind, value }) => ({ key: `${route}:${kind}:${value}`, limit }));
+    };
+
+    fastify.addHook('onRequest', async (request, reply) => {
+        const checks = routeChecks(request, ['ip']);
+        if (global) {
+            checks.unshift({ key: `*:ip:${resolveKey('ip', request)}`, limit: global });
+        }
+        await check(reply, checks);
+    });
+
+    fastify.addHook('preHandler', async (request, reply) => {
+        await check(reply, routeChecks(request, ['apiKey', 'address']));
+    });
+}
@@ -0,0 +1,123 @@
+export async function adminRoutes(fastify, options) {
+    const { chainSync, roleManager } = fastify;
+
+    // Get chain sync status
+    fastify.get('/sync', async (request, reply) => {
+        try {
+            return {
+                success: true,
+                data: chainSync.getStatus()
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Sync chain from peer (resumes the last unfinished sync when no peer is given)
+    fastify.post('/sync', {
+        config: { scopes: ['sync:write'] },
+        schema: {
+            body: {
+                type: 'object',
+                properties: {
+                    peer: { type: 'string', minLength: 1 }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            if (chainSync.isRunning()) {
+                return reply.code(409).send({
+                    success: false,
+                    error: 'Sync already in progress'
+                });
+            }
+
+            const result = await chainSync.sync(request.body?.peer ?? null);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            reply.code(400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // List role assignments
+    fastify.get('/roles', async (request, reply) => {
+        try {
+            return {
+                success: true,
+                data: roleManager.getAssignments()
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get roles of an address
+    fastify.get('/roles/:address', async (request, reply) => {
+        try {
+            return {
+                success: true,
+                data: roleManager.getRoles(request.params.address)
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Grant or revoke a role (signed by the authenticated wallet, or by adminAddress for API keys)
+    fastify.post('/roles', {
+        config: { scopes: ['roles:write'] },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['address', 'role', 'action'],
+                properties: {
+                    address: { type: 'string', minLength: 1 },
+                    role: { type: 'string', enum: ['admin', 'minter', 'burner', 'operator'] },
+                    action: { type: 'string', enum: ['grant', 'revoke'] },
+                    adminAddress: { type: 'string' },
+                    privateKey: { type: 'string' }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const { address, role, action, adminAddress, privateKey } = request.body;
+            const signer = request.principal.address ?? adminAddress;
+            if (!signer) {
+                return reply.code(400).send({
+                    success: false,
+                    error: 'adminAddress is required when authenticating with an API key'
+                });
+            }
+
+            const result = await roleManager.changeRole(signer, address, role, action, privateKey, request.principal);
+
+            return reply.code(201).send({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            reply.code(400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+}
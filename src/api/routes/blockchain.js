@@ -1,3 +1,5 @@
+import { verifyMerkleProof } from '../../utils/merkle.js';
+
 export async function blockchainRoutes(fastify, options) {
     const { blockchain, tokenManager } = fastify;
 
@@ -6,13 +8,16 @@ export async function blockchainRoutes(fastify, options) {
         try {
             const chainInfo = blockchain.getChainInfo();
             const tokenInfo = tokenManager.getTokenInfo();
+            // Report the last full validation; replaying the chain is left to /validate
+            const validation = blockchain.getValidationStatus();
             
             return {
                 success: true,
                 data: {
                     ...chainInfo,
                     token: tokenInfo,
-                    isValid: blockchain.isChainValid()
+                    isValid: validation.isValid,
+                    validation
                 }
             };
         } catch (error) {
@@ -24,7 +29,17 @@ export async function blockchainRoutes(fastify, options) {
     });
 
     // Get all blocks
-    fastify.get('/blocks', async (request, reply) => {
+    fastify.get('/blocks', {
+        schema: {
+            querystring: {
+                type: 'object',
+                properties: {
+                    limit: { type: 'integer', minimum: 1, maximum: 100 },
+                    offset: { type: 'integer', minimum: 0 }
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
             const { limit = 10, offset = 0 } = request.query;
             const chain = blockchain.chain;
@@ -86,7 +101,17 @@ export async function blockchainRoutes(fastify, options) {
     });
 
     // Get block by height/index
-    fastify.get('/blocks/height/:height', async (request, reply) => {
+    fastify.get('/blocks/height/:height', {
+        schema: {
+            params: {
+                type: 'object',
+                required: ['height'],
+                properties: {
+                    height: { type: 'integer', minimum: 0 }
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
             const height = parseInt(request.params.height);
             const block = blockchain.getBlockByIndex(height);
@@ -137,7 +162,17 @@ export async function blockchainRoutes(fastify, options) {
     });
 
     // Get all transactions
-    fastify.get('/transactions', async (request, reply) => {
+    fastify.get('/transactions', {
+        schema: {
+            querystring: {
+                type: 'object',
+                properties: {
+                    limit: { type: 'integer', minimum: 1, maximum: 500 },
+                    type: { type: 'string', enum: ['transfer', 'mint', 'mine', 'burn', 'role'] }
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
             const { limit = 20, type } = request.query;
             let transactions = blockchain.getAllTransactions();
@@ -169,17 +204,137 @@ export async function blockchainRoutes(fastify, options) {
     // Get pending transactions
     fastify.get('/transactions/pending', async (request, reply) => {
         try {
-            const pendingTxs = blockchain.pendingTransactions;
+            blockchain.mempool.pruneExpired();
+            const plan = blockchain.mempool.planBlock();
             
             return {
                 success: true,
                 data: {
-                    transactions: pendingTxs.map(tx => ({
-                        ...tx.toJSON(),
+                    transactions: plan.map(({ entry, position, inNextBlock }) => ({
+                        ...entry.tx.toJSON(),
                         status: 'pending',
-                        date: new Date(tx.timestamp).toISOString()
+                        position,
+                        priority: entry.feeRate,
+                        size: entry.size,
+                        inNextBlock,
+                        receivedAt: entry.receivedAt,
+                        date: new Date(entry.tx.timestamp).toISOString()
                     })),
-                    count: pendingTxs.length
+                    count: plan.length,
+                    mempool: blockchain.mempool.getStats()
+                }
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get Merkle inclusion proof for transaction
+    fastify.get('/transactions/:id/proof', async (request, reply) => {
+        try {
+            const { id } = request.params;
+            const found = blockchain.findTransaction(id);
+
+            if (!found) {
+                return reply.code(404).send({
+                    success: false,
+                    error: 'Transaction not found'
+                });
+            }
+
+            const { block, blockIndex } = found;
+            const proof = block.getTransactionProof(id);
+
+            return {
+                success: true,
+                data: {
+                    transactionId: id,
+                    ...proof,
+                    blockHash: block.hash,
+                    height: blockIndex,
+                    header: block.getHeader(),
+                    confirmations: blockchain.chain.length - blockIndex - 1
+                }
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Verify Merkle inclusion proof
+    fastify.post('/transactions/proof/verify', {
+        schema: {
+            body: {
+                type: 'object',
+                required: ['leaf', 'proof', 'merkleRoot'],
+                properties: {
+                    leaf: { type: 'string' },
+                    proof: { type: 'array' },
+                    merkleRoot: { type: 'string' }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const { leaf, proof, merkleRoot } = request.body;
+            const isValid = verifyMerkleProof(leaf, proof, merkleRoot);
+
+            return {
+                success: true,
+                data: {
+                    isValid,
+                    message: isValid ? 'Transaction is included in the block' : 'Proof does not match the Merkle root'
+                }
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get recent chain reorganizations
+    fastify.get('/reorgs', async (request, reply) => {
+        try {
+            const reorgs = blockchain.reorgs.slice().reverse();
+
+            return {
+                success: true,
+                data: {
+                    reorgs,
+                    count: reorgs.length
+                }
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get side branch tips
+    fastify.get('/forks', async (request, reply) => {
+        try {
+            const forks = blockchain.getSideBranches();
+
+            return {
+                success: true,
+                data: {
+                    tip: {
+                        hash: blockchain.getLatestBlock().hash,
+                        height: blockchain.chain.length - 1,
+                        chainWork: blockchain.getChainWork().toString()
+                    },
+                    forks,
+                    count: forks.length
                 }
             };
         } catch (error) {
@@ -193,13 +348,17 @@ export async function blockchainRoutes(fastify, options) {
     // Validate blockchain
     fastify.get('/validate', async (request, reply) => {
         try {
-            const isValid = blockchain.isChainValid();
-            
+            const result = await blockchain.validateChain();
+
             return {
                 success: true,
                 data: {
-                    isValid,
-                    message: isValid ? 'Blockchain is valid' : 'Blockchain is invalid'
+                    isValid: result.valid,
+                    message: result.valid
+                        ? 'Blockchain is valid'
+                        : `Blockchain is invalid at height ${result.height}: ${result.message}`,
+                    ...result,
+                    supplyInvariant: blockchain.checkSupplyInvariant()
                 }
             };
         } catch (error) {
@@ -1,8 +1,29 @@
+import { hasScopes } from '../auth.js';
+import { normalizeAddress } from '../../utils/address.js';
+
+// Miners control their own address with a request signed by that wallet;
+// operators holding mining:control may act for any miner
+const MINER_CONTROL = { authenticate: true };
+
+async function authorizeMiner(request, reply) {
+    const { principal } = request;
+    if (principal.address === normalizeAddress(request.body.minerAddress) || hasScopes(principal.scopes, ['mining:control'])) {
+        return;
+    }
+
+    reply.code(403).send({
+        success: false,
+        error: 'Only the miner or an operator with mining:control can do this'
+    });
+}
+
 export async function miningRoutes(fastify, options) {
     const { miningManager } = fastify;
 
     // Register miner
     fastify.post('/register', {
+        config: MINER_CONTROL,
+        preHandler: authorizeMiner,
         schema: {
             body: {
                 type: 'object',
@@ -32,6 +53,11 @@ export async function miningRoutes(fastify, options) {
 
     // Start mining
     fastify.post('/start', {
+        config: {
+            ...MINER_CONTROL,
+            rateLimit: { max: 5, windowMs: 60 * 1000, by: ['ip', 'apiKey', 'address'], address: 'minerAddress' }
+        },
+        preHandler: authorizeMiner,
         schema: {
             body: {
                 type: 'object',
@@ -46,10 +72,9 @@ export async function miningRoutes(fastify, options) {
             const { minerAddress } = request.body;
             const { response, waitUntil } = miningManager.startMining(minerAddress);
 
+            // The mining job never rejects: stops and failures resolve with a result
             if (waitUntil && request.executionCtx) {
-                request.executionCtx.waitUntil(waitUntil.catch(error => {
-                    request.log.error?.(error);
-                }));
+                request.executionCtx.waitUntil(waitUntil);
             }
 
             return {
@@ -66,6 +91,8 @@ export async function miningRoutes(fastify, options) {
 
     // Stop mining
     fastify.post('/stop', {
+        config: MINER_CONTROL,
+        preHandler: authorizeMiner,
         schema: {
             body: {
                 type: 'object',
@@ -148,7 +175,16 @@ export async function miningRoutes(fastify, options) {
     });
 
     // Get top miners
-    fastify.get('/leaderboard', async (request, reply) => {
+    fastify.get('/leaderboard', {
+        schema: {
+            querystring: {
+                type: 'object',
+                properties: {
+                    limit: { type: 'integer', minimum: 1, maximum: 100 }
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
             const { limit = 10 } = request.query;
             const topMiners = miningManager.getTopMiners(parseInt(limit));
@@ -185,11 +221,11 @@ export async function miningRoutes(fastify, options) {
         }
     });
 
-    // Adjust difficulty
-    fastify.post('/adjust-difficulty', async (request, reply) => {
+    // Get difficulty retarget info
+    fastify.get('/difficulty', async (request, reply) => {
         try {
-            const result = miningManager.adjustDifficulty();
-            
+            const result = miningManager.getDifficultyInfo();
+
             return {
                 success: true,
                 data: result
@@ -203,7 +239,7 @@ export async function miningRoutes(fastify, options) {
     });
 
     // Unregister miner
-    fastify.delete('/miners/:address', async (request, reply) => {
+    fastify.delete('/miners/:address', { config: { scopes: ['miners:delete'] } }, async (request, reply) => {
         try {
             const { address } = request.params;
             const result = miningManager.unregisterMiner(address);
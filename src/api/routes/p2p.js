@@ -0,0 +1,280 @@
+export async function p2pRoutes(fastify, options) {
+    const { blockchain, peerManager } = fastify;
+
+    const rangeQuerySchema = maximum => ({
+        type: 'object',
+        properties: {
+            from: { type: 'integer', minimum: 0 },
+            limit: { type: 'integer', minimum: 1, maximum }
+        }
+    });
+
+    // List peers
+    fastify.get('/peers', async (request, reply) => {
+        try {
+            const peers = peerManager.listPeers();
+
+            return {
+                success: true,
+                data: {
+                    peers,
+                    count: peers.length
+                }
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Register peer
+    fastify.post('/peers', {
+        config: { scopes: ['peers:write'] },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['url'],
+                properties: {
+                    url: { type: 'string', minLength: 1 }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const peer = await peerManager.addPeer(request.body.url);
+
+            return reply.code(201).send({
+                success: true,
+                data: peer
+            });
+        } catch (error) {
+            reply.code(400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Remove peer
+    fastify.delete('/peers', {
+        config: { scopes: ['peers:write'] },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['url'],
+                properties: {
+                    url: { type: 'string', minLength: 1 }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const result = peerManager.removePeer(request.body.url);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            reply.code(404).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get block headers by height range
+    fastify.get('/headers', {
+        schema: {
+            querystring: rangeQuerySchema(500)
+        }
+    }, async (request, reply) => {
+        try {
+            const { from = 0, limit = 100 } = request.query;
+
+            return {
+                success: true,
+                data: peerManager.getHeaders(from, limit)
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get full blocks by height range
+    fastify.get('/blocks', {
+        schema: {
+            querystring: rangeQuerySchema(50)
+        }
+    }, async (request, reply) => {
+        try {
+            const { from = 0, limit = 20 } = request.query;
+
+            return {
+                success: true,
+                data: peerManager.getBlocks(from, limit)
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get block by hash
+    fastify.get('/blocks/:hash', async (request, reply) => {
+        try {
+            const block = blockchain.getBlockByHash(request.params.hash);
+
+            if (!block) {
+                return reply.code(404).send({
+                    success: false,
+                    error: 'Block not found'
+                });
+            }
+
+            return {
+                success: true,
+                data: {
+                    height: blockchain.chain.indexOf(block),
+                    ...block.toJSON()
+                }
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Announce block
+    fastify.post('/blocks', {
+        schema: {
+            body: {
+                type: 'object',
+                required: ['block'],
+                properties: {
+                    block: {
+                        type: 'object',
+                        required: ['timestamp', 'transactions', 'previousHash', 'nonce', 'hash'],
+                        properties: {
+                            transactions: { type: 'array', items: { type: 'object' } }
+                        }
+                    }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const result = await peerManager.receiveBlock(request.body.block);
+
+            return reply.code(['accepted', 'reorg'].includes(result.status) ? 201 : 200).send({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            reply.code(400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get pending transactions
+    fastify.get('/tx', async (request, reply) => {
+        try {
+            const transactions = blockchain.pendingTransactions.map(tx => tx.toJSON());
+
+            return {
+                success: true,
+                data: {
+                    transactions,
+                    count: transactions.length
+                }
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get transaction by ID (pending or confirmed)
+    fastify.get('/tx/:id', async (request, reply) => {
+        try {
+            const { id } = request.params;
+            const pending = blockchain.pendingTransactions.find(tx => tx.id === id);
+            const confirmed = pending ? null : blockchain.findTransaction(id);
+
+            if (!pending && !confirmed) {
+                return reply.code(404).send({
+                    success: false,
+                    error: 'Transaction not found'
+                });
+            }
+
+            return {
+                success: true,
+                data: pending
+                    ? { ...pending.toJSON(), status: 'pending' }
+                    : { ...confirmed.transaction.toJSON(), status: 'confirmed', blockHash: confirmed.block.hash, blockIndex: confirmed.blockIndex }
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Announce transaction
+    fastify.post('/tx', {
+        schema: {
+            body: {
+                type: 'object',
+                required: ['transaction'],
+                properties: {
+                    transaction: {
+                        type: 'object',
+                        required: ['id', 'fromAddress', 'amount', 'timestamp', 'signature', 'publicKey'],
+                        properties: {
+                            id: { type: 'string' },
+                            fromAddress: { type: 'string' },
+                            toAddress: { type: ['string', 'null'] },
+                            amount: { type: 'number', minimum: 0 },
+                            fee: { type: 'number', minimum: 0 },
+                            type: { type: 'string' },
+                            nonce: { type: 'integer', minimum: 0 },
+                            timestamp: { type: 'integer' },
+                            publicKey: { type: 'string' },
+                            signature: { type: 'string' },
+                            data: { type: ['object', 'null'] }
+                        }
+                    }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const result = await peerManager.receiveTransaction(request.body.transaction);
+
+            return reply.code(result.status === 'accepted' ? 201 : 200).send({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            reply.code(400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+}
@@ -1,3 +1,5 @@
+import { normalizeAddress } from '../../utils/address.js';
+
 export async function tokenRoutes(fastify, options) {
     const { tokenManager, blockchain } = fastify;
 
@@ -18,8 +20,12 @@ export async function tokenRoutes(fastify, options) {
         }
     });
 
-    // Mint tokens
+    // Mint tokens (signed by the authenticated wallet, or by minterAddress for API keys)
     fastify.post('/mint', {
+        config: {
+            scopes: ['tokens:mint'],
+            rateLimit: { max: 20, windowMs: 60 * 1000, by: ['apiKey', 'address'], address: 'minterAddress' }
+        },
         schema: {
             body: {
                 type: 'object',
@@ -27,14 +33,23 @@ export async function tokenRoutes(fastify, options) {
                 properties: {
                     toAddress: { type: 'string' },
                     amount: { type: 'number', minimum: 1 },
-                    adminAddress: { type: 'string' }
+                    minterAddress: { type: 'string' },
+                    privateKey: { type: 'string' }
                 }
             }
         }
     }, async (request, reply) => {
         try {
-            const { toAddress, amount, adminAddress } = request.body;
-            const result = tokenManager.mintTokens(toAddress, amount, adminAddress);
+            const { toAddress, amount, minterAddress, privateKey } = request.body;
+            const signer = request.principal.address ?? minterAddress;
+            if (!signer) {
+                return reply.code(400).send({
+                    success: false,
+                    error: 'minterAddress is required when authenticating with an API key'
+                });
+            }
+
+            const result = await tokenManager.mintTokens(toAddress, amount, signer, privateKey, request.principal);
             
             return reply.code(201).send({
                 success: true,
@@ -48,22 +63,34 @@ export async function tokenRoutes(fastify, options) {
         }
     });
 
-    // Burn tokens
+    // Burn tokens (wallet principals can only burn from their own address)
     fastify.post('/burn', {
+        config: {
+            scopes: ['tokens:burn'],
+            rateLimit: { max: 20, windowMs: 60 * 1000, by: ['apiKey', 'address'], address: 'fromAddress' }
+        },
         schema: {
             body: {
                 type: 'object',
                 required: ['fromAddress', 'amount'],
                 properties: {
                     fromAddress: { type: 'string' },
-                    amount: { type: 'number', minimum: 1 }
+                    amount: { type: 'number', minimum: 1 },
+                    privateKey: { type: 'string' }
                 }
             }
         }
     }, async (request, reply) => {
         try {
-            const { fromAddress, amount } = request.body;
-            const result = tokenManager.burnTokens(fromAddress, amount);
+            const { fromAddress, amount, privateKey } = request.body;
+            if (request.principal.address && normalizeAddress(fromAddress) !== request.principal.address) {
+                return reply.code(403).send({
+                    success: false,
+                    error: 'Burners can only burn from their own address'
+                });
+            }
+
+            const result = await tokenManager.burnTokens(fromAddress, amount, privateKey, request.principal);
             
             return reply.code(201).send({
                 success: true,
@@ -119,7 +146,16 @@ export async function tokenRoutes(fastify, options) {
     });
 
     // Get top token holders
-    fastify.get('/holders', async (request, reply) => {
+    fastify.get('/holders', {
+        schema: {
+            querystring: {
+                type: 'object',
+                properties: {
+                    limit: { type: 'integer', minimum: 1, maximum: 100 }
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
             const { limit = 10 } = request.query;
             const topHolders = tokenManager.getTopHolders(parseInt(limit));
@@ -159,14 +195,14 @@ export async function tokenRoutes(fastify, options) {
     // Get token supply information
     fastify.get('/supply', async (request, reply) => {
         try {
-            const tokenInfo = tokenManager.getTokenInfo();
-            
+            const supply = blockchain.getSupplyInfo();
+
             return {
                 success: true,
                 data: {
-                    totalSupply: tokenInfo.totalSupply,
-                    circulatingSupply: tokenInfo.circulatingSupply,
-                    supplyPercentage: ((tokenInfo.circulatingSupply / tokenInfo.totalSupply) * 100).toFixed(2)
+                    ...supply,
+                    supplyPercentage: ((supply.circulatingSupply / supply.totalSupply) * 100).toFixed(2),
+                    invariant: blockchain.checkSupplyInvariant()
                 }
             };
         } catch (error) {
@@ -1,8 +1,12 @@
 export async function transferRoutes(fastify, options) {
     const { transferManager, blockchain } = fastify;
 
-    // Create transfer
+    // Create transfer (an unlocked custodial wallet can only be spent by the caller that unlocked it)
     fastify.post('/', {
+        config: {
+            authenticate: 'optional',
+            rateLimit: { max: 30, windowMs: 60 * 1000, by: ['ip', 'address'], address: 'fromAddress' }
+        },
         schema: {
             body: {
                 type: 'object',
@@ -11,6 +15,7 @@ export async function transferRoutes(fastify, options) {
                     fromAddress: { type: 'string' },
                     toAddress: { type: 'string' },
                     amount: { type: 'number', minimum: 0.001 },
+                    fee: { type: 'number', minimum: 0 },
                     privateKey: { type: 'string' }
                 }
             }
@@ -18,9 +23,10 @@ export async function transferRoutes(fastify, options) {
     }, async (request, reply) => {
         try {
             const { fromAddress, toAddress, amount, privateKey } = request.body;
+            const fee = request.body.fee ?? transferManager.estimateTransactionFee(amount);
             
             // Validate transfer request
-            const validation = transferManager.validateTransferRequest(fromAddress, toAddress, amount);
+            const validation = transferManager.validateTransferRequest(fromAddress, toAddress, amount, fee);
             if (!validation.valid) {
                 return reply.code(400).send({
                     success: false,
@@ -28,7 +34,42 @@ export async function transferRoutes(fastify, options) {
                 });
             }
             
-            const result = transferManager.createTransfer(fromAddress, toAddress, amount, privateKey);
+            const result = await transferManager.createTransfer(fromAddress, toAddress, amount, privateKey, fee, request.principal);
+            
+            return reply.code(201).send({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            reply.code(400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Submit client-signed transfer
+    fastify.post('/signed', {
+        config: { rateLimit: { max: 30, windowMs: 60 * 1000, by: ['ip', 'address'], address: 'fromAddress' } },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['fromAddress', 'toAddress', 'amount', 'nonce', 'timestamp', 'publicKey', 'signature'],
+                properties: {
+                    fromAddress: { type: 'string' },
+                    toAddress: { type: 'string' },
+                    amount: { type: 'number', minimum: 0.001 },
+                    fee: { type: 'number', minimum: 0 },
+                    nonce: { type: 'integer', minimum: 0 },
+                    timestamp: { type: 'integer' },
+                    publicKey: { type: 'string' },
+                    signature: { type: 'string' }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const result = await transferManager.submitSignedTransfer(request.body || {});
             
             return reply.code(201).send({
                 success: true,
@@ -43,7 +84,16 @@ export async function transferRoutes(fastify, options) {
     });
 
     // Get transaction history for address
-    fastify.get('/:address/history', async (request, reply) => {
+    fastify.get('/:address/history', {
+        schema: {
+            querystring: {
+                type: 'object',
+                properties: {
+                    limit: { type: 'integer', minimum: 1, maximum: 500 }
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
             const { address } = request.params;
             const { limit = 20 } = request.query;
@@ -107,7 +157,16 @@ export async function transferRoutes(fastify, options) {
     });
 
     // Get transfer statistics
-    fastify.get('/stats', async (request, reply) => {
+    fastify.get('/stats', {
+        schema: {
+            querystring: {
+                type: 'object',
+                properties: {
+                    address: { type: 'string' }
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
             const { address } = request.query;
             const stats = transferManager.getTransferStats(address || null);
@@ -165,14 +224,16 @@ export async function transferRoutes(fastify, options) {
                 properties: {
                     fromAddress: { type: 'string' },
                     toAddress: { type: 'string' },
-                    amount: { type: 'number' }
+                    amount: { type: 'number' },
+                    fee: { type: 'number' }
                 }
             }
         }
     }, async (request, reply) => {
         try {
             const { fromAddress, toAddress, amount } = request.body;
-            const validation = transferManager.validateTransferRequest(fromAddress, toAddress, amount);
+            const fee = request.body.fee ?? transferManager.estimateTransactionFee(amount);
+            const validation = transferManager.validateTransferRequest(fromAddress, toAddress, amount, fee);
             
             return {
                 success: true,
@@ -1,10 +1,28 @@
+// Wallet password: encrypts private keys and HD seeds at rest
+const PASSWORD_SCHEMA = { type: 'string', minLength: 8, maxLength: 1024 };
+
+// Password attempts are limited per client and per wallet
+const PASSWORD_RATE_LIMIT = { max: 10, windowMs: 60 * 1000, by: ['ip', 'address'], address: 'address' };
+
 export async function walletRoutes(fastify, options) {
-    const { walletManager, blockchain } = fastify;
+    const { walletManager, blockchain, transferManager } = fastify;
 
-    // Create new wallet
-    fastify.post('/create', async (request, reply) => {
+    // Create new wallet (every wallet is kept in state, so creation is tightly limited per client)
+    fastify.post('/create', {
+        config: { rateLimit: { max: 10, windowMs: 60 * 60 * 1000, by: ['ip'] } },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['password'],
+                properties: {
+                    password: PASSWORD_SCHEMA
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
-            const result = walletManager.createWallet();
+            const { password } = request.body;
+            const result = await walletManager.createWallet(password);
             
             return reply.code(201).send({
                 success: true,
@@ -18,6 +36,116 @@ export async function walletRoutes(fastify, options) {
         }
     });
 
+    // Create HD wallet (the mnemonic is returned once; addresses are derived from its seed)
+    fastify.post('/hd', {
+        config: { rateLimit: { max: 10, windowMs: 60 * 60 * 1000, by: ['ip'] } },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['password'],
+                properties: {
+                    strength: { type: 'integer', enum: [128, 160, 192, 224, 256], default: 128 },
+                    passphrase: { type: 'string', maxLength: 256, default: '' },
+                    password: PASSWORD_SCHEMA
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const { strength, passphrase, password } = request.body;
+            const result = await walletManager.createHDWallet({ strength, passphrase, password });
+
+            return reply.code(201).send({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            reply.code(400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Restore HD wallet from mnemonic (addresses with on-chain history are rediscovered)
+    fastify.post('/hd/restore', {
+        config: { rateLimit: { max: 10, windowMs: 60 * 60 * 1000, by: ['ip'] } },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['mnemonic', 'password'],
+                properties: {
+                    mnemonic: { type: 'string' },
+                    passphrase: { type: 'string', maxLength: 256, default: '' },
+                    password: PASSWORD_SCHEMA
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const { mnemonic, passphrase, password } = request.body;
+            const result = await walletManager.restoreHDWallet(mnemonic, passphrase, password);
+
+            return reply.code(201).send({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            reply.code(400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get HD wallet accounts and derived addresses
+    fastify.get('/hd/:id', async (request, reply) => {
+        try {
+            const { id } = request.params;
+
+            return {
+                success: true,
+                data: walletManager.getHDWalletInfo(id)
+            };
+        } catch (error) {
+            reply.code(404).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Derive next address of an HD wallet account
+    fastify.post('/hd/:id/derive', {
+        config: { rateLimit: { max: 30, windowMs: 60 * 1000, by: ['ip'] } },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['password'],
+                properties: {
+                    account: { type: 'integer', minimum: 0, default: 0 },
+                    password: PASSWORD_SCHEMA
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const { id } = request.params;
+            const { account, password } = request.body;
+            const result = await walletManager.deriveHDAddress(id, account, password);
+
+            return reply.code(201).send({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            reply.code(error.message === 'HD wallet not found' ? 404 : 400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
     // Get wallet info
     fastify.get('/:address', async (request, reply) => {
         try {
@@ -36,10 +164,20 @@ export async function walletRoutes(fastify, options) {
         }
     });
 
-    // Get all wallets
-    fastify.get('/', async (request, reply) => {
+    // Get all wallets (watchOnly=true lists only watched addresses, false only custodial wallets)
+    fastify.get('/', {
+        schema: {
+            querystring: {
+                type: 'object',
+                properties: {
+                    watchOnly: { type: 'boolean' }
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
-            const wallets = walletManager.getAllWallets();
+            const { watchOnly } = request.query;
+            const wallets = walletManager.getAllWallets({ watchOnly });
             
             return {
                 success: true,
@@ -56,21 +194,33 @@ export async function walletRoutes(fastify, options) {
         }
     });
 
-    // Import wallet
+    // Import wallet (from a private key, or from a keystore exported by /:address/export)
     fastify.post('/import', {
+        config: { rateLimit: { max: 10, windowMs: 60 * 60 * 1000, by: ['ip'] } },
         schema: {
             body: {
                 type: 'object',
-                required: ['privateKey'],
+                required: ['password'],
                 properties: {
-                    privateKey: { type: 'string' }
+                    privateKey: { type: 'string' },
+                    keystore: { type: 'object' },
+                    password: PASSWORD_SCHEMA
                 }
             }
         }
     }, async (request, reply) => {
         try {
-            const { privateKey } = request.body;
-            const result = walletManager.importWallet(privateKey);
+            const { privateKey, keystore, password } = request.body;
+            if (!privateKey === !keystore) {
+                return reply.code(400).send({
+                    success: false,
+                    error: 'Provide either privateKey or keystore'
+                });
+            }
+
+            const result = keystore
+                ? await walletManager.importKeystore(keystore, password)
+                : await walletManager.importWallet(privateKey, password);
             
             return reply.code(201).send({
                 success: true,
@@ -84,43 +234,244 @@ export async function walletRoutes(fastify, options) {
         }
     });
 
-    // Export wallet
-    fastify.get('/:address/export', async (request, reply) => {
+    // Watch an address whose private key is kept elsewhere (sending from it needs /api/transfers/signed)
+    fastify.post('/watch', {
+        config: {
+            scopes: ['wallets:watch'],
+            rateLimit: { max: 100, windowMs: 60 * 1000, by: ['ip', 'apiKey'] }
+        },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['address'],
+                properties: {
+                    address: { type: 'string' },
+                    publicKey: { type: 'string' },
+                    label: { type: 'string', maxLength: 128 }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const { address, publicKey, label } = request.body;
+            const result = walletManager.addWatchOnlyWallet(address, { publicKey, label });
+
+            return reply.code(201).send({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            reply.code(error.message === 'Wallet already exists' ? 409 : 400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Export wallet keystore (requires the wallet password; the private key stays encrypted)
+    fastify.post('/:address/export', {
+        config: { rateLimit: PASSWORD_RATE_LIMIT },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['password'],
+                properties: {
+                    password: { type: 'string' }
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
             const { address } = request.params;
-            const result = walletManager.exportWallet(address);
+            const { password } = request.body;
+            const result = await walletManager.exportWallet(address, password);
             
             return {
                 success: true,
                 data: result
             };
         } catch (error) {
-            reply.code(404).send({
+            reply.code(error.message === 'Wallet not found' ? 404 : 400).send({
                 success: false,
                 error: error.message
             });
         }
     });
 
-    // Get wallet balance
-    fastify.get('/:address/balance', async (request, reply) => {
+    // Unlock wallet for signing (duration in seconds, the wallet locks itself when it expires).
+    // The unlock session belongs to the authenticated caller; other callers cannot sign with it
+    fastify.post('/:address/unlock', {
+        config: { authenticate: true, rateLimit: PASSWORD_RATE_LIMIT },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['password'],
+                properties: {
+                    password: { type: 'string' },
+                    duration: { type: 'integer', minimum: 1, maximum: 3600, default: 300 }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const { address } = request.params;
+            const { password, duration } = request.body;
+            const result = await walletManager.unlockWallet(address, password, duration * 1000, request.principal);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            reply.code(error.message === 'Wallet not found' ? 404 : 400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Lock wallet (only the caller that unlocked it can end its session early)
+    fastify.post('/:address/lock', {
+        config: { authenticate: true }
+    }, async (request, reply) => {
+        try {
+            const { address } = request.params;
+            const result = walletManager.lockWallet(address, request.principal);
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            reply.code(error.message === 'Wallet not found' ? 404 : 400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Set a password on a wallet stored without encryption by earlier versions.
+    // The caller proves ownership with the private key or a request signed by the wallet
+    fastify.post('/:address/encrypt', {
+        config: { authenticate: 'optional', rateLimit: PASSWORD_RATE_LIMIT },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['password'],
+                properties: {
+                    password: PASSWORD_SCHEMA,
+                    privateKey: { type: 'string' }
+                }
+            }
+        }
+    }, async (request, reply) => {
         try {
             const { address } = request.params;
+            const { password, privateKey } = request.body;
+            const result = await walletManager.encryptWallet(address, password, {
+                privateKey,
+                principal: request.principal
+            });
+
+            return {
+                success: true,
+                data: result
+            };
+        } catch (error) {
+            reply.code(error.message === 'Wallet not found' ? 404 : 400).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get wallet balance (legacy addresses are read as their checksummed form)
+    fastify.get('/:address/balance', async (request, reply) => {
+        try {
+            const check = walletManager.validateAddress(request.params.address);
             
-            if (!walletManager.isValidAddress(address)) {
+            if (!check.valid && check.format !== 'legacy') {
                 return reply.code(400).send({
                     success: false,
-                    error: 'Invalid address format'
+                    error: `Invalid address: ${check.reason}`
                 });
             }
             
-            const balance = blockchain.getBalance(address);
+            const { address } = check;
+            const { confirmed, pending, spendable } = blockchain.getBalanceDetails(address);
             
             return {
                 success: true,
                 data: {
                     address,
-                    balance
+                    balance: confirmed,
+                    confirmed,
+                    pending,
+                    spendable
+                }
+            };
+        } catch (error) {
+            reply.code(500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get confirmed transaction history of a wallet (custodial or watch-only)
+    fastify.get('/:address/history', {
+        schema: {
+            querystring: {
+                type: 'object',
+                properties: {
+                    limit: { type: 'integer', minimum: 1, maximum: 500, default: 20 }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        try {
+            const { wallet } = walletManager.getWallet(request.params.address);
+            const { limit } = request.query;
+            const transactions = transferManager.getTransactionHistory(wallet.address, limit);
+
+            return {
+                success: true,
+                data: {
+                    address: wallet.address,
+                    watchOnly: wallet.watchOnly,
+                    label: wallet.label,
+                    transactions,
+                    count: transactions.length
+                }
+            };
+        } catch (error) {
+            reply.code(error.message === 'Wallet not found' ? 404 : 500).send({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Get next nonce for address (legacy addresses are read as their checksummed form)
+    fastify.get('/:address/nonce', async (request, reply) => {
+        try {
+            const check = walletManager.validateAddress(request.params.address);
+            
+            if (!check.valid && check.format !== 'legacy') {
+                return reply.code(400).send({
+                    success: false,
+                    error: `Invalid address: ${check.reason}`
+                });
+            }
+            
+            const { address } = check;
+
+            return {
+                success: true,
+                data: {
+                    address,
+                    nextNonce: blockchain.getNextNonce(address),
+                    confirmedNonce: blockchain.getConfirmedNonce(address)
                 }
             };
         } catch (error) {
@@ -132,7 +483,7 @@ export async function walletRoutes(fastify, options) {
     });
 
     // Delete wallet
-    fastify.delete('/:address', async (request, reply) => {
+    fastify.delete('/:address', { config: { scopes: ['wallets:delete'] } }, async (request, reply) => {
         try {
             const { address } = request.params;
             const result = walletManager.deleteWallet(address);
@@ -149,7 +500,7 @@ export async function walletRoutes(fastify, options) {
         }
     });
 
-    // Validate address
+    // Validate address (explains why an address is rejected and converts legacy addresses)
     fastify.post('/validate', {
         schema: {
             body: {
@@ -163,14 +514,17 @@ export async function walletRoutes(fastify, options) {
     }, async (request, reply) => {
         try {
             const { address } = request.body;
-            const isValid = walletManager.isValidAddress(address);
+            const { valid, format, address: checksummedAddress, reason } = walletManager.validateAddress(address);
             
             return {
                 success: true,
                 data: {
                     address,
-                    isValid,
-                    message: isValid ? 'Valid address' : 'Invalid address format'
+                    isValid: valid,
+                    format,
+                    checksummedAddress,
+                    reason,
+                    message: valid ? 'Valid address' : reason
                 }
             };
         } catch (error) {
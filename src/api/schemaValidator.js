@@ -0,0 +1,175 @@
+/**
+ * 轻量 JSON Schema 校验器
+ * 支持路由中使用的关键字：type、required、properties、additionalProperties、items、enum、
+ * minimum、maximum、exclusiveMinimum、exclusiveMaximum、minLength、maxLength、pattern、minItems、maxItems、default
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    const actual = typeOf(value);
+    if (type === 'number') {
+        return actual === 'number' || actual === 'integer';
+    }
+    return actual === type;
+}
+
+/**
+ * 将查询字符串或路径参数中的字符串转换为 schema 声明的类型
+ * @param {string|Array<string>} types - schema 声明的类型
+ * @param {*} value - 原始值
+ * @returns {*} 转换后的值，无法转换时返回原值
+ */
+function coerceValue(types, value) {
+    for (const type of types) {
+        if (matchesType(type, value)) {
+            return value;
+        }
+    }
+
+    for (const type of types) {
+        if (type === 'array') {
+            return Array.isArray(value) ? value : [value];
+        }
+        if (typeof value !== 'string') {
+            continue;
+        }
+        const trimmed = value.trim();
+        if (type === 'integer' && /^-?\d+$/.test(trimmed)) {
+            return Number(trimmed);
+        }
+        if (type === 'number' && trimmed !== '' && Number.isFinite(Number(trimmed))) {
+            return Number(trimmed);
+        }
+        if (type === 'boolean' && (trimmed === 'true' || trimmed === 'false')) {
+            return trimmed === 'true';
+        }
+        if (type === 'null' && trimmed === '') {
+            return null;
+        }
+    }
+
+    return value;
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+function validateNode(schema, value, path, errors, options) {
+    if (!schema || typeof schema !== 'object') {
+        return value;
+    }
+
+    const types = schema.type === undefined
+        ? []
+        : (Array.isArray(schema.type) ? schema.type : [schema.type]);
+
+    if (options.coerce && types.length > 0) {
+        value = coerceValue(types, value);
+    }
+
+    const push = message => errors.push({ field: path || options.location, message });
+
+    if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+        push(`must be ${types.join(' or ')}`);
+        return value;
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        push(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            push(`must be >= ${schema.minimum}`);
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            push(`must be <= ${schema.maximum}`);
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            push(`must be > ${schema.exclusiveMinimum}`);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            push(`must be < ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            push(`must NOT have fewer than ${schema.minLength} characters`);
+        }
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+            push(`must NOT have more than ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            push(`must match pattern "${schema.pattern}"`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            push(`must NOT have fewer than ${schema.minItems} items`);
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            push(`must NOT have more than ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value = value.map((item, index) => validateNode(schema.items, item, joinPath(path, index), errors, options));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            if (value[key] === undefined && propertySchema && propertySchema.default !== undefined) {
+                value[key] = propertySchema.default;
+            }
+        }
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ field: joinPath(path, key), message: `must have required property '${key}'` });
+            }
+        }
+
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                value[key] = validateNode(properties[key], propertyValue, joinPath(path, key), errors, options);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: joinPath(path, key), message: 'must NOT have additional properties' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                value[key] = validateNode(schema.additionalProperties, propertyValue, joinPath(path, key), errors, options);
+            }
+        }
+    }
+
+    return value;
+}
+
+/**
+ * 按 schema 校验数据
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - 待校验数据（对象会被原地写入默认值和转换后的值）
+ * @param {Object} options - 校验选项
+ * @param {string} options.location - 数据来源（body、querystring、params）
+ * @param {boolean} options.coerce - 是否将字符串转换为声明的类型
+ * @returns {{ value: *, errors: Array<{ location: string, field: string, message: string }> }} 校验结果
+ */
+export function validateSchema(schema, value, { location = 'body', coerce = false } = {}) {
+    const errors = [];
+    const result = validateNode(schema, value, '', errors, { location, coerce });
+    return {
+        value: result,
+        errors: errors.map(error => ({ location, ...error }))
+    };
+}
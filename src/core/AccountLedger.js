@@ -0,0 +1,234 @@
+import { normalizeAddress } from '../utils/address.js';
+
+export class AccountLedger {
+    /**
+     * 账户状态账本构造函数
+     * 随区块上链增量维护余额、序列号、地址交易索引和交易位置，避免每次查询都遍历整条链
+     * 账本按规范地址索引，链上的旧格式地址与对应的带校验和地址是同一个账户
+     */
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * 清空账本
+     */
+    reset() {
+        this.balances = new Map();              // 地址 -> 已确认余额
+        this.nonces = new Map();                // 地址 -> 已确认的下一个序列号
+        this.addressTransactions = new Map();   // 地址 -> 相关交易列表（按上链顺序）
+        this.transactionLocations = new Map();  // 交易ID -> { blockIndex, transactionIndex }
+        this.transactionCount = 0;              // 已确认交易总数
+        this.roles = new Map();                 // 地址 -> 持有的角色集合
+        this.supply = {                         // 已确认交易产生的供应量变化
+            premine: 0,                         // 创世预分配
+            minted: 0,                          // 铸造
+            mined: 0,                           // 区块奖励（不含手续费）
+            burned: 0                           // 销毁
+        };
+    }
+
+    /**
+     * 从整条链重建账本
+     * @param {Array<Block>} chain - 区块链
+     */
+    rebuild(chain) {
+        this.reset();
+        chain.forEach((block, index) => this.applyBlock(block, index));
+    }
+
+    /**
+     * 将新区块中的交易应用到账本
+     * @param {Block} block - 新加入链的区块
+     * @param {number} blockIndex - 区块高度
+     */
+    applyBlock(block, blockIndex) {
+        // 挖矿奖励交易中的手续费来自区块内其他交易，不是新增供应量
+        const fees = block.transactions
+            .filter(tx => tx.type !== 'mine')
+            .reduce((sum, tx) => sum + (tx.fee || 0), 0);
+
+        block.transactions.forEach((tx, transactionIndex) => {
+            const fromAddress = normalizeAddress(tx.fromAddress);
+            const toAddress = normalizeAddress(tx.toAddress);
+
+            // 如果是发送方，减少余额（包括手续费）
+            if (fromAddress) {
+                this.adjustBalance(fromAddress, -tx.getTotalCost());
+                this.indexTransaction(fromAddress, tx);
+
+                // 更新发送方已确认序列号
+                if (Number.isInteger(tx.nonce)) {
+                    this.nonces.set(fromAddress, Math.max(this.getNonce(fromAddress), tx.nonce + 1));
+                }
+            }
+
+            // 如果是接收方，增加余额
+            if (toAddress) {
+                this.adjustBalance(toAddress, tx.amount);
+                if (toAddress !== fromAddress) {
+                    this.indexTransaction(toAddress, tx);
+                }
+            }
+
+            this.applySupply(tx, blockIndex, fees);
+
+            if (tx.type === 'role') {
+                this.applyRoleChange(tx);
+            }
+
+            this.transactionLocations.set(tx.id, { blockIndex, transactionIndex });
+            this.transactionCount += 1;
+        });
+    }
+
+    /**
+     * 记录交易对供应量的影响
+     * @param {Transaction} tx - 交易
+     * @param {number} blockIndex - 区块高度
+     * @param {number} fees - 区块内的手续费总额
+     */
+    applySupply(tx, blockIndex, fees) {
+        if (tx.type === 'mint') {
+            if (blockIndex === 0) {
+                this.supply.premine += tx.amount;
+            } else {
+                this.supply.minted += tx.amount;
+            }
+        } else if (tx.type === 'mine') {
+            this.supply.mined += tx.amount - fees;
+        } else if (tx.type === 'burn') {
+            this.supply.burned += tx.amount;
+        }
+    }
+
+    adjustBalance(address, delta) {
+        this.balances.set(address, (this.balances.get(address) ?? 0) + delta);
+    }
+
+    indexTransaction(address, tx) {
+        if (!this.addressTransactions.has(address)) {
+            this.addressTransactions.set(address, []);
+        }
+        this.addressTransactions.get(address).push(tx);
+    }
+
+    /**
+     * 获取指定地址的已确认余额
+     * @param {string} address - 钱包地址
+     * @returns {number} 已确认余额
+     */
+    getBalance(address) {
+        return this.balances.get(normalizeAddress(address)) ?? 0;
+    }
+
+    /**
+     * 获取指定地址已确认的下一个序列号
+     * @param {string} address - 钱包地址
+     * @returns {number} 已确认的下一个序列号
+     */
+    getNonce(address) {
+        return this.nonces.get(normalizeAddress(address)) ?? 0;
+    }
+
+    /**
+     * 获取与指定地址相关的已确认交易
+     * @param {string} address - 钱包地址
+     * @returns {Array<Transaction>} 按上链顺序排列的交易列表
+     */
+    getTransactions(address) {
+        return this.addressTransactions.get(normalizeAddress(address)) ?? [];
+    }
+
+    /**
+     * 获取交易所在的区块位置
+     * @param {string} transactionId - 交易ID
+     * @returns {{ blockIndex: number, transactionIndex: number }|null} 交易位置
+     */
+    getLocation(transactionId) {
+        return this.transactionLocations.get(transactionId) ?? null;
+    }
+
+    /**
+     * 应用角色变更
+     * @param {Transaction} tx - 角色变更交易（data 为 { role, action }）
+     */
+    applyRoleChange(tx) {
+        const { role, action } = tx.data;
+        const address = normalizeAddress(tx.toAddress);
+        if (!this.roles.has(address)) {
+            this.roles.set(address, new Set());
+        }
+
+        const roles = this.roles.get(address);
+        if (action === 'grant') {
+            roles.add(role);
+        } else {
+            roles.delete(role);
+        }
+
+        if (roles.size === 0) {
+            this.roles.delete(address);
+        }
+    }
+
+    /**
+     * 检查地址是否持有角色
+     * @param {string} address - 钱包地址
+     * @param {string} role - 角色
+     * @returns {boolean} 持有返回true
+     */
+    hasRole(address, role) {
+        return this.roles.get(normalizeAddress(address))?.has(role) ?? false;
+    }
+
+    /**
+     * 获取地址持有的角色
+     * @param {string} address - 钱包地址
+     * @returns {Array<string>} 角色列表
+     */
+    getRoles(address) {
+        return Array.from(this.roles.get(normalizeAddress(address)) ?? []);
+    }
+
+    /**
+     * 获取所有角色分配
+     * @returns {Object} 角色 -> 地址列表
+     */
+    getRoleAssignments() {
+        const assignments = {};
+        this.roles.forEach((roles, address) => {
+            roles.forEach(role => {
+                if (!assignments[role]) {
+                    assignments[role] = [];
+                }
+                assignments[role].push(address);
+            });
+        });
+        return assignments;
+    }
+
+    /**
+     * 获取供应量统计
+     * @returns {{ premine: number, minted: number, mined: number, burned: number, circulating: number }}
+     *          各来源的供应量和流通供应量（预分配 + 铸造 + 挖矿 - 销毁）
+     */
+    getSupply() {
+        const { premine, minted, mined, burned } = this.supply;
+        return {
+            premine,
+            minted,
+            mined,
+            burned,
+            circulating: premine + minted + mined - burned
+        };
+    }
+
+    /**
+     * 遍历所有地址的余额
+     * @returns {Iterable<[string, number]>} 地址和余额
+     */
+    entries() {
+        return this.balances.entries();
+    }
+}
@@ -1,5 +1,7 @@
 import { sha256Hex } from '../utils/crypto.js';
 import { Transaction } from './Transaction.js';
+import { computeMerkleRoot, getMerkleProof } from '../utils/merkle.js';
+import { parseTarget, targetToDifficulty, hashMeetsTarget } from '../utils/target.js';
 
 export class Block {
     /**
@@ -7,51 +9,142 @@ export class Block {
      * @param {number} timestamp - 时间戳
      * @param {Array} transactions - 交易数组
      * @param {string} previousHash - 前一个区块的哈希值
+     * @param {string|null} target - 工作量证明目标值（64位十六进制），区块哈希不得大于该值
      */
-    constructor(timestamp, transactions, previousHash = '') {
+    constructor(timestamp, transactions, previousHash = '', target = null) {
         this.timestamp = timestamp;           // 区块时间戳
         this.transactions = transactions;     // 区块包含的交易列表
         this.previousHash = previousHash;     // 前一个区块的哈希值
+        this.merkleRoot = this.calculateMerkleRoot(); // 交易Merkle根
+        this.target = target;                 // 工作量证明目标值
         this.nonce = 0;                       // 工作量证明随机数
         this.hash = this.calculateHash();     // 当前区块的哈希值
     }
 
     /**
      * 计算区块哈希值
-     * 使用SHA-256算法对区块数据进行哈希计算
+     * 使用SHA-256算法对区块头进行哈希计算，交易内容通过Merkle根间接覆盖
+     * 目标值存在时追加在末尾，没有目标值的旧区块哈希保持不变
      * @returns {string} 区块的哈希值
      */
     calculateHash() {
-        const payload = `${this.previousHash}${this.timestamp}${JSON.stringify(this.transactions)}${this.nonce}`;
+        let payload = `${this.previousHash}${this.timestamp}${this.merkleRoot}${this.nonce}`;
+        if (this.target) {
+            payload += `:${this.target}`;
+        }
         return sha256Hex(payload);
     }
 
     /**
-     * 挖矿函数 - 通过调整nonce值找到符合难度要求的哈希值
-     * @param {number} difficulty - 挖矿难度，表示哈希值前导零的个数
+     * 计算交易Merkle根
+     * @returns {string} 以完整交易哈希为叶子的Merkle根
+     */
+    calculateMerkleRoot() {
+        return computeMerkleRoot(this.transactions.map(tx => tx.calculateFullHash()));
+    }
+
+    /**
+     * 生成交易包含证明
+     * @param {string} transactionId - 交易ID
+     * @returns {Object|null} 包含叶子哈希、Merkle分支和Merkle根的证明，交易不在区块中时返回null
+     */
+    getTransactionProof(transactionId) {
+        const index = this.transactions.findIndex(tx => tx.id === transactionId);
+        if (index === -1) {
+            return null;
+        }
+
+        const leaves = this.transactions.map(tx => tx.calculateFullHash());
+        return {
+            transactionIndex: index,
+            leaf: leaves[index],
+            proof: getMerkleProof(leaves, index),
+            merkleRoot: this.merkleRoot
+        };
+    }
+
+    /**
+     * 获取区块头
+     * @returns {Object} 不包含交易列表的区块头
+     */
+    getHeader() {
+        return {
+            timestamp: this.timestamp,
+            previousHash: this.previousHash,
+            merkleRoot: this.merkleRoot,
+            target: this.target,
+            difficulty: this.getDifficulty(),
+            nonce: this.nonce,
+            hash: this.hash
+        };
+    }
+
+    /**
+     * 获取区块目标值对应的难度
+     * @returns {number|null} 难度（期望的前导十六进制零个数），没有目标值的旧区块返回null
+     */
+    getDifficulty() {
+        return this.target ? targetToDifficulty(parseTarget(this.target)) : null;
+    }
+
+    /**
+     * 挖矿函数 - 通过调整nonce值找到不大于区块目标值的哈希值
+     */
+    mineBlock() {
+        // 不限制尝试次数，持续计算哈希值直到满足目标值
+        this.mineChunk(Infinity);
+
+        console.log(`Block mined: ${this.hash}`);
+    }
+
+    /**
+     * 分批挖矿 - 最多尝试指定次数的nonce，便于调用方在批次之间让出执行权
+     * @param {number} maxAttempts - 本批次最多尝试的哈希次数
+     * @returns {{ found: boolean, attempts: number }} 是否找到有效哈希以及本批次实际计算的哈希次数
      */
-    mineBlock(difficulty) {
-        // 构造目标哈希值（前导零字符串）
-        const target = Array(difficulty + 1).join('0');
-        
-        // 持续计算哈希值直到满足难度要求
-        while (this.hash.substring(0, difficulty) !== target) {
+    mineChunk(maxAttempts) {
+        const target = parseTarget(this.target);
+        let attempts = 0;
+
+        while (!hashMeetsTarget(this.hash, target)) {
+            if (attempts >= maxAttempts) {
+                return { found: false, attempts };
+            }
             this.nonce++;                     // 增加随机数
             this.hash = this.calculateHash(); // 重新计算哈希值
+            attempts++;
         }
 
-        console.log(`Block mined: ${this.hash}`);
+        return { found: true, attempts };
+    }
+
+    /**
+     * 检查区块哈希是否满足目标值
+     * @param {string} target - 64位十六进制目标值
+     * @returns {boolean} 满足返回true，否则返回false
+     */
+    meetsTarget(target) {
+        return hashMeetsTarget(this.hash, parseTarget(target));
+    }
+
+    /**
+     * 估算找到有效哈希所需的平均尝试次数
+     * @param {number} difficulty - 难度（期望的前导十六进制零个数）
+     * @returns {number} 期望哈希次数
+     */
+    static expectedAttempts(difficulty) {
+        return 16 ** difficulty;
     }
 
     /**
      * 验证区块内所有交易的有效性
-     * @returns {boolean} 所有交易都有效返回true，否则返回false
+     * @returns {Promise<boolean>} 所有交易都有效返回true，否则返回false
      */
-    hasValidTransactions() {
+    async hasValidTransactions() {
         // 遍历区块中的所有交易
         for (const tx of this.transactions) {
             // 如果有任何交易无效，则整个区块无效
-            if (!tx.isValid()) {
+            if (!(await tx.isValid())) {
                 return false;
             }
         }
@@ -67,6 +160,9 @@ export class Block {
             timestamp: this.timestamp,
             transactions: this.transactions.map(tx => tx.toJSON()), // 将交易列表也转换为JSON
             previousHash: this.previousHash,
+            merkleRoot: this.merkleRoot,
+            target: this.target,
+            difficulty: this.getDifficulty(),
             nonce: this.nonce,
             hash: this.hash
         };
@@ -84,6 +180,8 @@ export class Block {
             ? data.transactions.map(tx => Transaction.fromJSON(tx))
             : [];
         block.previousHash = data.previousHash ?? '0';
+        block.merkleRoot = data.merkleRoot ?? block.calculateMerkleRoot();
+        block.target = data.target ?? null;
         block.nonce = data.nonce ?? 0;
         block.hash = data.hash ?? sha256Hex('');
         return block;
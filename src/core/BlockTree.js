@@ -0,0 +1,95 @@
+export class BlockTree {
+    /**
+     * 区块树构造函数
+     * 保存主链和所有侧链上的区块，以及从创世区块累计的工作量
+     */
+    constructor() {
+        this.entries = new Map();       // 区块哈希 -> { block, height, parentHash, chainWork }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * 用一条链重建区块树（丢弃所有侧链）
+     * @param {Array<Block>} chain - 从创世区块开始的区块链
+     * @param {Function} workOf - 计算区块工作量的函数 (block, height) => bigint
+     */
+    reset(chain, workOf) {
+        this.entries = new Map();
+        let chainWork = 0n;
+
+        chain.forEach((block, height) => {
+            chainWork += workOf(block, height);
+            this.entries.set(block.hash, {
+                block,
+                height,
+                parentHash: height === 0 ? null : block.previousHash,
+                chainWork
+            });
+        });
+    }
+
+    /**
+     * 添加区块，父区块必须已在树中
+     * @param {Block} block - 区块
+     * @param {bigint} work - 区块工作量
+     * @returns {Object} 区块树条目
+     */
+    add(block, work) {
+        const parent = this.entries.get(block.previousHash);
+        if (!parent) {
+            throw new Error('Unknown parent block');
+        }
+
+        const entry = {
+            block,
+            height: parent.height + 1,
+            parentHash: parent.block.hash,
+            chainWork: parent.chainWork + work
+        };
+        this.entries.set(block.hash, entry);
+        return entry;
+    }
+
+    has(hash) {
+        return this.entries.has(hash);
+    }
+
+    get(hash) {
+        return this.entries.get(hash) ?? null;
+    }
+
+    /**
+     * 获取从创世区块到指定区块的分支
+     * @param {string} hash - 分支末端区块哈希
+     * @returns {Array<Block>} 按高度排列的区块
+     */
+    getBranch(hash) {
+        const branch = [];
+        let entry = this.entries.get(hash);
+
+        while (entry) {
+            branch.push(entry.block);
+            entry = entry.parentHash ? this.entries.get(entry.parentHash) : null;
+        }
+
+        return branch.reverse();
+    }
+
+    /**
+     * 获取所有分支末端（没有子区块的区块）
+     * @returns {Array<Object>} 区块树条目
+     */
+    getTips() {
+        const parents = new Set();
+        this.entries.forEach(entry => {
+            if (entry.parentHash) {
+                parents.add(entry.parentHash);
+            }
+        });
+
+        return Array.from(this.entries.values()).filter(entry => !parents.has(entry.block.hash));
+    }
+}
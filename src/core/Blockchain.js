@@ -1,35 +1,244 @@
 import { Block } from './Block.js';
 import { Transaction } from './Transaction.js';
-import { saveBlockchainState } from '../storage/stateStore.js';
+import { AccountLedger } from './AccountLedger.js';
+import { Mempool } from './Mempool.js';
+import { ConsensusValidator, TRANSACTION_ROLES } from './ConsensusValidator.js';
+import { BlockTree } from './BlockTree.js';
+import { normalizeGenesisConfig, buildGenesisBlock } from './GenesisConfig.js';
+import { normalizeAddress } from '../utils/address.js';
+import {
+    targetToHex,
+    parseTarget,
+    difficultyToTarget,
+    targetToDifficulty,
+    targetToWork,
+    retarget
+} from '../utils/target.js';
+
+export const DEFAULT_RETARGET_PARAMS = {
+    initialDifficulty: 2,               // 创世难度（期望的前导十六进制零个数，可以为小数）
+    targetBlockTime: 60000,             // 目标出块时间（1分钟）
+    interval: 10,                       // 每隔多少个区块调整一次难度
+    window: 20,                         // 计算出块耗时的滑动窗口（出块间隔数）
+    maxAdjustment: 4                    // 单次调整的最大倍数
+};
+
+const MAX_REORG_HISTORY = 50;           // 保留的链重组事件数量
+const SUPPLY_EPSILON = 1e-6;            // 供应量比较允许的浮点误差
 
 export class Blockchain {
     /**
      * 区块链构造函数
-     * 初始化区块链，创建创世区块并设置初始参数
+     * 按创世配置创建创世区块并设置链参数
+     * @param {Object} genesisConfig - 规范化后的创世配置（默认使用内置配置）
+     * @param {Object} options - 配置
+     * @param {StateStore|null} options.stateStore - 状态存储（为空时不持久化）
      */
-    constructor() {
-        this.totalSupply = 1000000;                   // 总供应量
-        this.circulatingSupply = 0;                   // 流通供应量
-        this.difficulty = 2;                          // 挖矿难度
-        this.pendingTransactions = [];                // 待处理交易池
-        this.miningReward = 100;                      // 挖矿奖励
-        this.chain = [this.createGenesisBlock()];     // 初始化区块链，包含创世区块
-
-        saveBlockchainState(this);
+    constructor(genesisConfig = normalizeGenesisConfig(), { stateStore = null } = {}) {
+        this.genesisConfig = genesisConfig;           // 创世配置
+        this.stateStore = stateStore;                 // 状态存储（为空时不持久化）
+        this.chainId = genesisConfig.chainId;         // 链标识
+        this.totalSupply = genesisConfig.totalSupply; // 总供应量（铸造上限）
+        this.retargetParams = {                       // 难度调整参数
+            ...DEFAULT_RETARGET_PARAMS,
+            initialDifficulty: genesisConfig.initialDifficulty
+        };
+        this.mempool = new Mempool();                 // 待处理交易池
+        this.miningReward = genesisConfig.miningReward; // 挖矿奖励
+        this.ledger = new AccountLedger();            // 账户状态账本
+        this.validator = new ConsensusValidator(this); // 共识校验器
+        this.listeners = new Map();                   // 事件名称 -> 监听器列表
+        this.blockTree = new BlockTree();             // 主链和侧链区块
+        this.reorgs = [];                             // 最近的链重组事件
+        this.lastValidation = null;                   // 最近一次整链校验结果
+        this.chain = [this.createGenesisBlock()];     // 初始化区块链（当前主链），包含创世区块
+        this.genesisHash = this.chain[0].hash;        // 创世区块哈希
+        this.ledger.rebuild(this.chain);
+        this.resetBlockTree();
     }
 
     /**
      * 创建创世区块
-     * 创世区块是区块链的第一个区块，包含初始供应量的铸造交易
+     * 创世区块是区块链的第一个区块，包含预分配的铸造交易；相同的创世配置总是得到相同的创世哈希
      * @returns {Block} 创世区块对象
      */
     createGenesisBlock() {
-        // 创建包含初始供应量的铸造交易
-        const genesisTransactions = [
-            new Transaction(null, 'genesis', this.totalSupply, 'mint')
-        ];
-        // 创建并返回创世区块
-        return new Block(Date.now(), genesisTransactions, '0');
+        return buildGenesisBlock(this.genesisConfig);
+    }
+
+    /**
+     * 获取下一个区块的挖矿难度
+     * @returns {number} 难度（期望的前导十六进制零个数）
+     */
+    get difficulty() {
+        return targetToDifficulty(this.getRequiredTarget(this.chain.length));
+    }
+
+    /**
+     * 获取创世目标值
+     * @param {Array<Block>} chain - 区块链（默认当前链）
+     * @returns {bigint} 创世区块的目标值，旧版创世区块没有目标值时使用初始难度
+     */
+    getInitialTarget(chain = this.chain) {
+        const genesis = chain[0];
+        return genesis && genesis.target
+            ? parseTarget(genesis.target)
+            : difficultyToTarget(this.retargetParams.initialDifficulty);
+    }
+
+    /**
+     * 获取指定高度区块记录的目标值
+     * @param {number} height - 区块高度
+     * @param {Array<Block>} chain - 区块链（默认当前链）
+     * @returns {bigint} 目标值，没有目标值的旧版区块按创世目标值计算
+     */
+    getBlockTarget(height, chain = this.chain) {
+        const block = chain[height];
+        return block && block.target ? parseTarget(block.target) : this.getInitialTarget(chain);
+    }
+
+    /**
+     * 计算指定高度的区块必须满足的目标值
+     * 每 interval 个区块根据最近 window 个出块间隔的实际耗时调整一次，其余高度沿用上一个区块的目标值
+     * @param {number} height - 区块高度（可以等于链长度，表示下一个区块）
+     * @param {Array<Block>} chain - 区块链（默认当前链，只使用该高度之前的区块）
+     * @returns {bigint} 目标值
+     */
+    getRequiredTarget(height, chain = this.chain) {
+        if (height <= 0) {
+            return this.getInitialTarget(chain);
+        }
+
+        const previousTarget = this.getBlockTarget(height - 1, chain);
+        const { interval, window, targetBlockTime, maxAdjustment } = this.retargetParams;
+        if (height % interval !== 0) {
+            return previousTarget;
+        }
+
+        // 滑动窗口不包含创世区块到第一个区块之间的间隔
+        const last = height - 1;
+        const first = Math.max(1, last - window);
+        if (last - first < 1) {
+            return previousTarget;
+        }
+
+        const actualTimespan = chain[last].timestamp - chain[first].timestamp;
+        const expectedTimespan = (last - first) * targetBlockTime;
+        return retarget(previousTarget, actualTimespan, expectedTimespan, maxAdjustment);
+    }
+
+    /**
+     * 获取难度调整信息
+     * @returns {Object} 当前难度、目标值、下次调整高度和滑动窗口内的平均出块时间
+     */
+    getDifficultyInfo() {
+        const height = this.chain.length;
+        const { interval, window, targetBlockTime } = this.retargetParams;
+        const target = this.getRequiredTarget(height);
+
+        const last = height - 1;
+        const first = Math.max(1, last - window);
+        const averageBlockTime = last > first
+            ? (this.chain[last].timestamp - this.chain[first].timestamp) / (last - first)
+            : 0;
+
+        return {
+            difficulty: targetToDifficulty(target),           // 下一个区块的难度
+            target: targetToHex(target),                      // 下一个区块的目标值
+            nextRetargetHeight: Math.ceil((height + 1) / interval) * interval, // 下次调整难度的区块高度
+            retargetInterval: interval,                       // 调整间隔（区块数）
+            retargetWindow: window,                           // 滑动窗口（出块间隔数）
+            targetBlockTime,                                  // 目标出块时间
+            averageBlockTime                                  // 滑动窗口内的平均出块时间
+        };
+    }
+
+    /**
+     * 注册事件监听器
+     * 事件：block（新区块上链）、transaction（签名交易通过校验进入交易池）
+     * @param {string} event - 事件名称
+     * @param {Function} listener - 监听器，可以返回Promise
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+    }
+
+    /**
+     * 触发事件并等待所有监听器完成，监听器失败不影响调用方
+     * @param {string} event - 事件名称
+     * @param {*} payload - 事件数据
+     * @returns {Promise<Array>} 各监听器的执行结果
+     */
+    async emit(event, payload) {
+        const listeners = this.listeners.get(event) ?? [];
+        return Promise.allSettled(listeners.map(async listener => listener(payload)));
+    }
+
+    /**
+     * 获取待处理交易（按到达顺序）
+     * @returns {Array<Transaction>} 待处理交易列表
+     */
+    get pendingTransactions() {
+        return this.mempool.list();
+    }
+
+    /**
+     * 获取流通供应量
+     * @returns {number} 由已确认交易推导的流通供应量
+     */
+    get circulatingSupply() {
+        return this.ledger.getSupply().circulating;
+    }
+
+    /**
+     * 获取供应量明细
+     * @returns {Object} 总供应量、流通供应量、预分配、铸造、挖矿、销毁和交易池中待确认的铸造数量
+     */
+    getSupplyInfo() {
+        const { premine, minted, mined, burned, circulating } = this.ledger.getSupply();
+        const pendingMinted = this.mempool.list()
+            .filter(tx => tx.type === 'mint')
+            .reduce((sum, tx) => sum + tx.amount, 0);
+
+        return {
+            totalSupply: this.totalSupply,                // 总供应量（铸造上限）
+            circulatingSupply: circulating,               // 流通供应量
+            premine,                                      // 创世预分配
+            minted,                                       // 铸造
+            mined,                                        // 区块奖励（不含手续费）
+            burned,                                       // 销毁
+            pendingMinted                                 // 交易池中待确认的铸造
+        };
+    }
+
+    /**
+     * 检查供应量不变式：流通供应量等于所有地址余额之和
+     * @returns {{ holds: boolean, circulatingSupply: number, balanceSum: number, difference: number, negativeBalances: Array<string> }}
+     *          检查结果
+     */
+    checkSupplyInvariant() {
+        const { circulating } = this.ledger.getSupply();
+        let balanceSum = 0;
+        const negativeBalances = [];
+
+        for (const [address, balance] of this.ledger.entries()) {
+            balanceSum += balance;
+            if (balance < -SUPPLY_EPSILON) {
+                negativeBalances.push(address);
+            }
+        }
+
+        const difference = circulating - balanceSum;
+        return {
+            holds: Math.abs(difference) <= SUPPLY_EPSILON && negativeBalances.length === 0,
+            circulatingSupply: circulating,
+            balanceSum,
+            difference,
+            negativeBalances
+        };
     }
 
     /**
@@ -42,34 +251,359 @@ export class Blockchain {
 
     /**
      * 挖掘待处理交易
-     * 将待处理交易打包成新区块并添加到区块链中
+     * 将待处理交易打包成新区块并同步完成工作量证明后添加到区块链中
+     * @param {string} miningRewardAddress - 接收挖矿奖励的地址
+     * @returns {Promise<{ block: Block, dropped: Array, fees: number }>} 新区块、被丢弃的交易和收取的手续费
+     */
+    async minePendingTransactions(miningRewardAddress) {
+        const { block, dropped, fees } = this.createBlockTemplate(miningRewardAddress);
+
+        // 进行工作量证明挖矿
+        block.mineBlock();
+
+        await this.addBlock(block);
+        return { block, dropped, fees };
+    }
+
+    /**
+     * 构造待挖矿的区块
+     * 从交易池按优先级选取不超过区块限制的交易，打包前按顺序重新检查余额，丢弃已无法支付的交易
      * @param {string} miningRewardAddress - 接收挖矿奖励的地址
+     * @returns {{ block: Block, dropped: Array, fees: number }} 尚未完成工作量证明的区块、被丢弃的交易和手续费
      */
-    minePendingTransactions(miningRewardAddress) {
-        // 创建挖矿奖励交易
-        const rewardTx = new Transaction(null, miningRewardAddress, this.miningReward, 'mine');
-        // 将挖矿奖励交易添加到待处理交易列表
-        this.pendingTransactions.push(rewardTx);
+    createBlockTemplate(miningRewardAddress) {
+        this.mempool.pruneExpired();
+
+        // 重新验证候选交易的资金
+        const candidates = this.mempool.selectForBlock();
+        const { included, dropped: unfunded } = this.selectFundedTransactions(candidates);
+
+        // 从交易池移除无法支付的交易及其后续序列号的交易
+        const dropped = [];
+        unfunded.forEach(tx => dropped.push(...this.mempool.remove(tx.id)));
+        if (dropped.length > 0) {
+            console.log(`Dropped ${dropped.length} unfundable pending transaction(s)`);
+        }
+
+        // 汇总区块内交易的手续费
+        const fees = included.reduce((sum, tx) => sum + (tx.fee || 0), 0);
+
+        // 创建挖矿奖励交易（区块奖励加手续费）
+        const rewardTx = new Transaction(null, miningRewardAddress, this.miningReward + fees, 'mine');
+        // 将挖矿奖励交易添加到区块交易列表
+        included.push(rewardTx);
 
-        // 创建新区块
+        // 创建新区块（目标值由难度调整规则决定）
         const block = new Block(
             Date.now(),
-            this.pendingTransactions,
-            this.getLatestBlock().hash
+            included,
+            this.getLatestBlock().hash,
+            targetToHex(this.getRequiredTarget(this.chain.length))
         );
 
-        // 进行工作量证明挖矿
-        block.mineBlock(this.difficulty);
+        return { block, dropped, fees };
+    }
+
+    /**
+     * 将新区块加入区块链
+     * 区块必须通过共识规则校验（工作量证明、时间戳、挖矿奖励、交易签名、序列号和余额）。
+     * 延伸链尾的区块直接上链；父区块在侧链或主链中部的区块存入区块树，
+     * 其所在分支的累计工作量超过主链时切换到该分支
+     * @param {Block} block - 已完成工作量证明的区块
+     * @returns {Promise<{ status: string, block: Block, height: number, reorg?: Object }>}
+     *          处理结果，status 为 connected（延伸主链）、side-branch（存入侧链）或 reorg（切换主链）
+     */
+    async addBlock(block) {
+        if (this.blockTree.has(block.hash)) {
+            throw new Error('Block already known');
+        }
+
+        if (!this.blockTree.has(block.previousHash)) {
+            throw new Error('Unknown parent block');
+        }
+
+        if (block.previousHash !== this.getLatestBlock().hash) {
+            return this.addSideBlock(block);
+        }
+
+        const height = this.chain.length;
+        const failure = await this.validator.validateBlock(block, height, this.chain, this.ledger);
+        if (failure) {
+            throw new Error(`Block rejected (${failure.reason}): ${failure.message}`);
+        }
+
+        // 校验交易签名期间链尾可能已经变化
+        if (this.chain.length !== height) {
+            throw new Error('Block does not extend the current chain tip');
+        }
 
-        console.log('Block successfully mined!');
         // 将新区块添加到区块链
         this.chain.push(block);
-        // 增加流通供应量（挖矿奖励）
-        this.circulatingSupply += this.miningReward;
-        // 清空待处理交易列表
-        this.pendingTransactions = [];
+        this.blockTree.add(block, this.getBlockWork(block, this.chain));
+        console.log(`Block ${block.hash} added at height ${this.chain.length - 1}`);
+        this.ledger.applyBlock(block, this.chain.length - 1);
+        // 从交易池移除已打包的交易，未打包的交易留待下一个区块
+        this.mempool.removeMined(block.transactions);
+
+        this.stateStore?.saveBlockchain(this);
+        await this.emit('block', block);
+
+        return { status: 'connected', block, height };
+    }
+
+    /**
+     * 添加不延伸主链尾的区块
+     * 按区块所在分支重放账户状态并校验，分支累计工作量超过主链时进行链重组
+     * @param {Block} block - 区块
+     * @returns {Promise<Object>} 处理结果
+     */
+    async addSideBlock(block) {
+        const branch = this.blockTree.getBranch(block.previousHash);
+        const ledger = new AccountLedger();
+        ledger.rebuild(branch);
+
+        const failure = await this.validator.validateBlock(block, branch.length, branch, ledger);
+        if (failure) {
+            throw new Error(`Block rejected (${failure.reason}): ${failure.message}`);
+        }
+
+        // 校验期间可能已收到同一个区块
+        if (this.blockTree.has(block.hash)) {
+            throw new Error('Block already known');
+        }
+
+        const entry = this.blockTree.add(block, this.getBlockWork(block, branch));
+        if (entry.chainWork <= this.getChainWork()) {
+            console.log(`Block ${block.hash} stored on a side branch at height ${entry.height}`);
+            return { status: 'side-branch', block, height: entry.height };
+        }
+
+        const reorg = this.reorganize(this.blockTree.getBranch(block.hash));
+        await this.emit('reorg', reorg);
+        await this.emit('block', block);
+
+        return { status: 'reorg', block, height: entry.height, reorg };
+    }
+
+    /**
+     * 切换主链（链重组）
+     * 断开的区块中未进入新主链的交易回到交易池，新主链已确认的交易从交易池移除
+     * @param {Array<Block>} newChain - 新的主链
+     * @returns {Object} 链重组事件
+     */
+    reorganize(newChain) {
+        const oldChain = this.chain;
+
+        // 找到两条链第一个不同的高度
+        let forkHeight = 0;
+        while (forkHeight < oldChain.length
+            && forkHeight < newChain.length
+            && oldChain[forkHeight].hash === newChain[forkHeight].hash) {
+            forkHeight++;
+        }
+
+        const disconnected = oldChain.slice(forkHeight);
+        const connected = newChain.slice(forkHeight);
+
+        this.chain = newChain;
+        this.ledger.rebuild(this.chain);
+
+        // 新主链已确认的交易从交易池移除
+        connected.forEach(block => this.mempool.removeMined(block.transactions));
+
+        // 断开区块中的交易（挖矿奖励除外）回到交易池
+        let returned = 0;
+        disconnected.forEach(block => {
+            block.transactions.forEach(tx => {
+                if (tx.type === 'mine' || this.ledger.getLocation(tx.id) || this.mempool.has(tx.id)) {
+                    return;
+                }
+                try {
+                    this.mempool.add(tx);
+                    returned++;
+                } catch (error) {
+                    console.log(`Could not return transaction ${tx.id} to the mempool: ${error.message}`);
+                }
+            });
+        });
+
+        const dropped = this.revalidateMempool();
+
+        const event = {
+            timestamp: Date.now(),                                  // 发生时间
+            forkHeight,                                             // 分叉高度（两条链第一个不同的高度）
+            depth: disconnected.length,                             // 断开的区块数
+            oldTip: oldChain[oldChain.length - 1].hash,             // 原主链末端
+            newTip: newChain[newChain.length - 1].hash,             // 新主链末端
+            disconnectedBlocks: disconnected.map(block => block.hash),
+            connectedBlocks: connected.map(block => block.hash),
+            returnedTransactions: returned,                         // 回到交易池的交易数
+            droppedTransactions: dropped.map(tx => tx.id)           // 因序列号冲突移出交易池的交易
+        };
+
+        this.reorgs.push(event);
+        if (this.reorgs.length > MAX_REORG_HISTORY) {
+            this.reorgs.shift();
+        }
+
+        console.log(`Chain reorganization at height ${forkHeight}: disconnected ${disconnected.length} block(s), connected ${connected.length} block(s), returned ${returned} transaction(s) to the mempool`);
+
+        this.stateStore?.saveBlockchain(this);
+
+        return event;
+    }
+
+    /**
+     * 按当前主链状态清理交易池
+     * 移除序列号已被使用的交易，以及序列号断开、无法再被打包的交易
+     * @returns {Array<Transaction>} 被移除的交易
+     */
+    revalidateMempool() {
+        const removed = [];
+        const bySender = new Map();
+
+        this.mempool.list().forEach(tx => {
+            if (tx.fromAddress && Number.isInteger(tx.nonce)) {
+                const sender = normalizeAddress(tx.fromAddress);
+                if (!bySender.has(sender)) {
+                    bySender.set(sender, []);
+                }
+                bySender.get(sender).push(tx);
+            }
+        });
+
+        for (const [sender, transactions] of bySender) {
+            transactions.sort((a, b) => a.nonce - b.nonce);
+            let expectedNonce = this.ledger.getNonce(sender);
+
+            for (const tx of transactions) {
+                if (!this.mempool.has(tx.id)) {
+                    continue;
+                }
+                if (tx.nonce < expectedNonce) {
+                    removed.push(...this.mempool.remove(tx.id, { cascade: false }));
+                } else if (tx.nonce === expectedNonce) {
+                    expectedNonce++;
+                } else {
+                    removed.push(...this.mempool.remove(tx.id));
+                }
+            }
+        }
+
+        return removed;
+    }
 
-        saveBlockchainState(this);
+    /**
+     * 计算区块的工作量
+     * @param {Block} block - 区块
+     * @param {Array<Block>} chain - 区块所在的链（旧版区块按该链的创世目标值计算）
+     * @returns {bigint} 工作量
+     */
+    getBlockWork(block, chain = this.chain) {
+        const target = block.target ? parseTarget(block.target) : this.getInitialTarget(chain);
+        return targetToWork(target);
+    }
+
+    /**
+     * 获取主链累计工作量
+     * @returns {bigint} 从创世区块到链尾的累计工作量
+     */
+    getChainWork() {
+        return this.blockTree.get(this.getLatestBlock().hash).chainWork;
+    }
+
+    /**
+     * 检查区块是否在区块树中（主链或侧链）
+     * @param {string} hash - 区块哈希
+     * @returns {boolean} 存在返回true
+     */
+    hasBlock(hash) {
+        return this.blockTree.has(hash);
+    }
+
+    /**
+     * 用当前主链重建区块树
+     */
+    resetBlockTree() {
+        this.blockTree.reset(this.chain, block => this.getBlockWork(block));
+    }
+
+    /**
+     * 获取侧链末端
+     * @returns {Array<Object>} 侧链末端区块的哈希、高度和累计工作量
+     */
+    getSideBranches() {
+        const tipHash = this.getLatestBlock().hash;
+        return this.blockTree.getTips()
+            .filter(entry => entry.block.hash !== tipHash)
+            .map(entry => ({
+                hash: entry.block.hash,
+                height: entry.height,
+                chainWork: entry.chainWork.toString()
+            }));
+    }
+
+    /**
+     * 按顺序筛选资金充足的交易
+     * 余额从已确认余额开始逐笔累计；没有发送方、发送方缺少所需角色或会超过总供应量的铸造交易同样丢弃。
+     * 某地址的交易被丢弃后，其后续交易因序列号断开一并丢弃
+     * @param {Array<Transaction>} transactions - 待处理交易列表
+     * @returns {{ included: Array<Transaction>, dropped: Array<Transaction> }} 筛选结果
+     */
+    selectFundedTransactions(transactions) {
+        const balances = new Map();
+        const blockedSenders = new Set();
+        const included = [];
+        const dropped = [];
+        let mintable = this.totalSupply - this.ledger.getSupply().circulating;
+
+        const balanceOf = address => {
+            if (!balances.has(address)) {
+                balances.set(address, this.getBalance(address));
+            }
+            return balances.get(address);
+        };
+
+        for (const tx of transactions) {
+            // 没有发送方的系统交易不能经由交易池上链（例如旧版本留下的未签名铸造交易），
+            // 违反单笔交易共识规则的交易（例如旧版本接受的非数字金额）同样丢弃
+            if (!tx.fromAddress || this.validator.checkTransaction(tx)) {
+                dropped.push(tx);
+                continue;
+            }
+
+            const cost = tx.getTotalCost();
+            const fromAddress = normalizeAddress(tx.fromAddress);
+            const toAddress = normalizeAddress(tx.toAddress);
+            const overMinted = tx.type === 'mint' && tx.amount > mintable;
+            if (blockedSenders.has(fromAddress) || balanceOf(fromAddress) < cost || !this.isAuthorized(tx) || overMinted) {
+                blockedSenders.add(fromAddress);
+                dropped.push(tx);
+                continue;
+            }
+            balances.set(fromAddress, balanceOf(fromAddress) - cost);
+            if (tx.type === 'mint') {
+                mintable -= tx.amount;
+            }
+
+            if (toAddress) {
+                balances.set(toAddress, balanceOf(toAddress) + tx.amount);
+            }
+
+            included.push(tx);
+        }
+
+        return { included, dropped };
+    }
+
+    /**
+     * 检查交易发送方是否持有该交易类型要求的角色（按已确认状态）
+     * @param {Transaction} transaction - 交易对象
+     * @returns {boolean} 不需要角色或已持有角色返回true
+     */
+    isAuthorized(transaction) {
+        const requiredRole = TRANSACTION_ROLES[transaction.type];
+        return !requiredRole || this.hasRole(transaction.fromAddress, requiredRole);
     }
 
     /**
@@ -77,60 +611,196 @@ export class Blockchain {
      * 验证交易有效性并将其添加到待处理交易池
      * @param {Transaction} transaction - 要添加的交易对象
      */
-    createTransaction(transaction) {
-        // 检查交易是否包含发送方和接收方地址
-        if (!transaction.fromAddress || !transaction.toAddress) {
-            throw new Error('Transaction must include from and to address');
+    async createTransaction(transaction) {
+        if (transaction.type === 'mine') {
+            throw new Error('Mining reward transactions are created by miners only');
+        }
+
+        // 与区块校验相同的单笔交易规则（类型、金额、手续费、发送方和接收方）
+        const failure = this.validator.checkTransaction(transaction);
+        if (failure) {
+            throw new Error(failure.message);
         }
 
         // 验证交易的有效性
-        if (!transaction.isValid()) {
+        if (!(await transaction.isValid())) {
             throw new Error('Cannot add invalid transaction to chain');
         }
 
-        // 检查交易金额是否大于0
-        if (transaction.amount <= 0) {
-            throw new Error('Transaction amount should be higher than 0');
+        // 检查发送方是否有权发起该类型的交易
+        if (!this.isAuthorized(transaction)) {
+            throw new Error(`${transaction.type} transactions require the ${TRANSACTION_ROLES[transaction.type]} role`);
+        }
+
+        // 检查铸造是否会超过总供应量（包括交易池中尚未确认的铸造）
+        if (transaction.type === 'mint') {
+            const { circulatingSupply, pendingMinted } = this.getSupplyInfo();
+            if (circulatingSupply + pendingMinted + transaction.amount > this.totalSupply) {
+                throw new Error('Minting would exceed total supply');
+            }
         }
 
-        // 检查发送方余额是否充足
-        const walletBalance = this.getBalance(transaction.fromAddress);
-        if (walletBalance < transaction.amount) {
+        // 检查序列号，拒绝重复或乱序的交易
+        const expectedNonce = this.getNextNonce(transaction.fromAddress);
+        if (transaction.nonce !== expectedNonce) {
+            throw new Error(`Invalid nonce. Expected ${expectedNonce}, received ${transaction.nonce}`);
+        }
+
+        // 检查发送方可用余额是否充足（扣除待处理的支出）
+        const walletBalance = this.getSpendableBalance(transaction.fromAddress);
+        if (walletBalance < transaction.getTotalCost()) {
             throw new Error('Not enough balance');
         }
 
         // 将交易添加到待处理交易池
-        this.pendingTransactions.push(transaction);
+        this.addPendingTransaction(transaction);
+        await this.emit('transaction', transaction);
+    }
+
+    /**
+     * 将交易加入交易池并保存状态
+     * @param {Transaction} transaction - 已验证的交易对象
+     * @returns {Array<Transaction>} 因交易池已满被淘汰的交易
+     */
+    addPendingTransaction(transaction) {
+        const evicted = this.mempool.add(transaction);
+        if (evicted.length > 0) {
+            console.log(`Evicted ${evicted.length} low-fee pending transaction(s)`);
+        }
+
+        this.stateStore?.saveBlockchain(this);
+        return evicted;
+    }
+
+    /**
+     * 获取指定地址的下一个可用序列号
+     * 在已确认序列号的基础上计入待处理交易
+     * @param {string} address - 钱包地址
+     * @returns {number} 下一笔交易应使用的序列号
+     */
+    getNextNonce(address) {
+        const account = normalizeAddress(address);
+        let nextNonce = this.getConfirmedNonce(account);
+        for (const tx of this.pendingTransactions) {
+            if (normalizeAddress(tx.fromAddress) === account && Number.isInteger(tx.nonce)) {
+                nextNonce = Math.max(nextNonce, tx.nonce + 1);
+            }
+        }
+        return nextNonce;
+    }
+
+    /**
+     * 获取指定地址已上链的下一个序列号
+     * @param {string} address - 钱包地址
+     * @returns {number} 已确认的下一个序列号
+     */
+    getConfirmedNonce(address) {
+        return this.ledger.getNonce(address);
+    }
+
+    /**
+     * 检查地址是否持有角色（已确认状态）
+     * @param {string} address - 钱包地址
+     * @param {string} role - 角色
+     * @returns {boolean} 持有返回true
+     */
+    hasRole(address, role) {
+        return this.ledger.hasRole(address, role);
+    }
 
-        saveBlockchainState(this);
+    /**
+     * 获取地址持有的角色（已确认状态）
+     * @param {string} address - 钱包地址
+     * @returns {Array<string>} 角色列表
+     */
+    getRoles(address) {
+        return this.ledger.getRoles(address);
     }
 
     /**
      * 获取指定地址的余额
-     * 通过遍历整个区块链计算指定地址的余额
+     * 从账户状态账本读取已确认余额
      * @param {string} address - 钱包地址
      * @returns {number} 地址的余额
      */
     getBalance(address) {
-        let balance = 0; // 初始化余额为0
+        return this.ledger.getBalance(address);
+    }
 
-        // 遍历区块链中的每个区块
-        for (const block of this.chain) {
-            // 遍历区块中的每笔交易
-            for (const trans of block.transactions) {
-                // 如果是发送方，减少余额
-                if (trans.fromAddress === address) {
-                    balance -= trans.amount;
-                }
+    /**
+     * 获取与指定地址相关的已确认交易
+     * @param {string} address - 钱包地址
+     * @returns {Array<Transaction>} 按上链顺序排列的交易列表
+     */
+    getTransactionsByAddress(address) {
+        return this.ledger.getTransactions(address);
+    }
 
-                // 如果是接收方，增加余额
-                if (trans.toAddress === address) {
-                    balance += trans.amount;
-                }
+    /**
+     * 根据交易ID查找已确认交易及其所在区块
+     * @param {string} transactionId - 交易ID
+     * @returns {{ transaction: Transaction, block: Block, blockIndex: number }|null} 查找结果
+     */
+    findTransaction(transactionId) {
+        const location = this.ledger.getLocation(transactionId);
+        if (!location) {
+            return null;
+        }
+
+        const block = this.chain[location.blockIndex];
+        return {
+            transaction: block.transactions[location.transactionIndex],
+            block,
+            blockIndex: location.blockIndex
+        };
+    }
+
+    /**
+     * 获取待处理交易中指定地址的收入和支出
+     * @param {string} address - 钱包地址
+     * @returns {{ incoming: number, outgoing: number }} 待处理收入和支出
+     */
+    getPendingAmounts(address) {
+        const account = normalizeAddress(address);
+        let incoming = 0;
+        let outgoing = 0;
+
+        for (const tx of this.pendingTransactions) {
+            if (normalizeAddress(tx.fromAddress) === account) {
+                outgoing += tx.getTotalCost();
+            }
+            if (normalizeAddress(tx.toAddress) === account) {
+                incoming += tx.amount;
             }
         }
 
-        return balance;
+        return { incoming, outgoing };
+    }
+
+    /**
+     * 获取指定地址的可用余额
+     * 已确认余额减去待处理交易中的支出（包括销毁和手续费），待处理收入不计入
+     * @param {string} address - 钱包地址
+     * @returns {number} 可用余额
+     */
+    getSpendableBalance(address) {
+        return this.getBalance(address) - this.getPendingAmounts(address).outgoing;
+    }
+
+    /**
+     * 获取指定地址的余额明细
+     * @param {string} address - 钱包地址
+     * @returns {Object} 包含已确认、待处理和可用余额的对象
+     */
+    getBalanceDetails(address) {
+        const confirmed = this.getBalance(address);
+        const pending = this.getPendingAmounts(address);
+
+        return {
+            confirmed,                                  // 已确认余额
+            pending,                                    // 待处理收入和支出
+            spendable: confirmed - pending.outgoing     // 可用余额
+        };
     }
 
     /**
@@ -150,33 +820,42 @@ export class Blockchain {
     }
 
     /**
-     * 验证区块链的完整性
-     * 检查所有区块的哈希值和链接是否正确
-     * @returns {boolean} 区块链有效返回true，否则返回false
-     */
-    isChainValid() {
-        // 从第二个区块开始验证（跳过创世区块）
-        for (let i = 1; i < this.chain.length; i++) {
-            const currentBlock = this.chain[i];     // 当前区块
-            const previousBlock = this.chain[i - 1]; // 前一个区块
-
-            // 验证当前区块中的交易有效性
-            if (!currentBlock.hasValidTransactions()) {
-                return false;
-            }
-
-            // 验证当前区块的哈希值是否正确
-            if (currentBlock.hash !== currentBlock.calculateHash()) {
-                return false;
-            }
+     * 按共识规则从创世区块开始重放并校验整条链
+     * @returns {Promise<Object>} 校验结果，无效时包含第一个无效区块的高度、哈希、原因代码和说明
+     */
+    async validateChain() {
+        const tipHash = this.getLatestBlock().hash;
+        const result = await this.validator.validateChain(this.chain);
+        this.lastValidation = { ...result, tipHash, validatedAt: Date.now() };
+        return result;
+    }
 
-            // 验证当前区块的前哈希值是否与前一个区块的哈希值匹配
-            if (currentBlock.previousHash !== previousBlock.hash) {
-                return false;
-            }
+    /**
+     * 获取最近一次整链校验的结果（不重新校验）
+     * 新区块在加入时已按共识规则校验，current 表示校验之后主链是否发生变化
+     * @returns {Object} 校验状态，从未校验时 isValid 为null
+     */
+    getValidationStatus() {
+        if (!this.lastValidation) {
+            return { isValid: null, validatedAt: null, validatedHash: null, current: false };
         }
 
-        return true;
+        const { valid, tipHash, validatedAt, ...result } = this.lastValidation;
+        return {
+            ...result,
+            isValid: valid,
+            validatedAt,
+            validatedHash: tipHash,
+            current: tipHash === this.getLatestBlock().hash
+        };
+    }
+
+    /**
+     * 验证区块链的完整性
+     * @returns {Promise<boolean>} 区块链有效返回true，否则返回false
+     */
+    async isChainValid() {
+        return (await this.validateChain()).valid;
     }
 
     /**
@@ -211,27 +890,42 @@ export class Blockchain {
      */
     getChainInfo() {
         return {
+            chainId: this.chainId,                        // 链标识
+            genesisHash: this.genesisHash,                // 创世区块哈希
             length: this.chain.length,                    // 区块链长度
             difficulty: this.difficulty,                  // 挖矿难度
             totalSupply: this.totalSupply,                // 总供应量
             circulatingSupply: this.circulatingSupply,    // 流通供应量
-            pendingTransactions: this.pendingTransactions.length // 待处理交易数量
+            pendingTransactions: this.pendingTransactions.length, // 待处理交易数量
+            chainWork: this.getChainWork().toString(),    // 主链累计工作量
+            sideBranches: this.getSideBranches().length,  // 侧链数量
+            reorgs: this.reorgs.length                    // 最近的链重组次数
         };
     }
 
     /**
      * 将区块链对象转换为JSON格式
+     * @param {Object} options - 序列化选项
+     * @param {boolean} options.includeChain - 是否包含区块列表（增量持久化时只需要元数据）
+     * @param {boolean} options.includePending - 是否包含待处理交易（增量持久化时逐笔保存）
      * @returns {Object} 包含区块链数据的JSON对象
      */
-    toJSON() {
-        return {
-            chain: this.chain.map(block => block.toJSON()), // 将所有区块转换为JSON
+    toJSON({ includeChain = true, includePending = true } = {}) {
+        const data = {
             difficulty: this.difficulty,
-            pendingTransactions: this.pendingTransactions.map(tx => tx.toJSON()), // 将待处理交易转换为JSON
             miningReward: this.miningReward,
-            totalSupply: this.totalSupply,
-            circulatingSupply: this.circulatingSupply
+            totalSupply: this.totalSupply
         };
+
+        if (includePending) {
+            data.pendingTransactions = this.pendingTransactions.map(tx => tx.toJSON()); // 将待处理交易转换为JSON
+        }
+
+        if (includeChain) {
+            data.chain = this.chain.map(block => block.toJSON()); // 将所有区块转换为JSON
+        }
+
+        return data;
     }
 
     /**
@@ -243,18 +937,24 @@ export class Blockchain {
             return;
         }
 
-        const { chain, difficulty, pendingTransactions, miningReward, totalSupply, circulatingSupply } = data;
+        const { chain, pendingTransactions, miningReward, totalSupply } = data;
 
         if (Array.isArray(chain) && chain.length > 0) {
+            // 拒绝加载创世区块与当前创世配置不一致的链
+            if (chain[0].hash !== this.genesisHash) {
+                throw new Error(`Persisted chain genesis ${chain[0].hash} does not match the configured genesis ${this.genesisHash} (chain ${this.chainId})`);
+            }
             this.chain = chain.map(blockData => Block.fromJSON(blockData));
         }
 
-        if (typeof difficulty === 'number') {
-            this.difficulty = difficulty;
-        }
+        // 从链上交易重建账户状态账本和区块树
+        this.ledger.rebuild(this.chain);
+        this.resetBlockTree();
+        this.lastValidation = null;
 
         if (Array.isArray(pendingTransactions)) {
-            this.pendingTransactions = pendingTransactions.map(txData => Transaction.fromJSON(txData));
+            this.mempool.clear();
+            pendingTransactions.forEach(txData => this.mempool.add(Transaction.fromJSON(txData)));
         }
 
         if (typeof miningReward === 'number') {
@@ -265,10 +965,6 @@ export class Blockchain {
             this.totalSupply = totalSupply;
         }
 
-        if (typeof circulatingSupply === 'number') {
-            this.circulatingSupply = circulatingSupply;
-        }
-
-        saveBlockchainState(this);
+        this.stateStore?.saveBlockchain(this);
     }
 }
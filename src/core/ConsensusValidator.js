@@ -0,0 +1,363 @@
+import { AccountLedger } from './AccountLedger.js';
+import { targetToHex, hashMeetsTarget } from '../utils/target.js';
+import { normalizeAddress } from '../utils/address.js';
+
+const MAX_FUTURE_DRIFT = 2 * 60 * 60 * 1000;   // 区块时间戳最多领先本地时间 2 小时
+
+/**
+ * 共识校验失败原因代码
+ */
+export const CONSENSUS_ERRORS = {
+    INVALID_GENESIS: 'INVALID_GENESIS',                         // 创世区块不符合规范
+    BAD_PREVIOUS_HASH: 'BAD_PREVIOUS_HASH',                     // 前哈希与上一个区块不一致
+    BAD_HASH: 'BAD_HASH',                                       // 区块哈希与区块头不一致
+    BAD_MERKLE_ROOT: 'BAD_MERKLE_ROOT',                         // Merkle根与交易不一致
+    BAD_TARGET: 'BAD_TARGET',                                   // 目标值不符合该高度要求的难度
+    INSUFFICIENT_WORK: 'INSUFFICIENT_WORK',                     // 区块哈希不满足目标值
+    TIMESTAMP_TOO_EARLY: 'TIMESTAMP_TOO_EARLY',                 // 时间戳早于上一个区块
+    TIMESTAMP_TOO_FAR_IN_FUTURE: 'TIMESTAMP_TOO_FAR_IN_FUTURE', // 时间戳超出允许的未来偏差
+    MISSING_COINBASE: 'MISSING_COINBASE',                       // 缺少挖矿奖励交易
+    BAD_COINBASE_POSITION: 'BAD_COINBASE_POSITION',             // 挖矿奖励交易不是唯一且位于末尾
+    BAD_COINBASE_AMOUNT: 'BAD_COINBASE_AMOUNT',                 // 挖矿奖励不等于区块奖励加手续费
+    DUPLICATE_TRANSACTION: 'DUPLICATE_TRANSACTION',             // 交易已在链上或区块中出现过
+    INVALID_TRANSACTION: 'INVALID_TRANSACTION',                 // 交易类型或地址不合法
+    INVALID_AMOUNT: 'INVALID_AMOUNT',                           // 交易金额或手续费不合法
+    INVALID_SIGNATURE: 'INVALID_SIGNATURE',                     // 交易签名无效
+    BAD_NONCE: 'BAD_NONCE',                                     // 交易序列号不连续
+    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',               // 发送方余额不足
+    UNAUTHORIZED: 'UNAUTHORIZED',                               // 发送方没有该交易类型要求的角色
+    SUPPLY_EXCEEDED: 'SUPPLY_EXCEEDED'                          // 铸造使流通供应量超过总供应量
+};
+
+/**
+ * 角色：admin 管理角色，minter 铸造，burner 销毁，operator 运维节点（仅用于HTTP授权）
+ */
+export const ROLES = ['admin', 'minter', 'burner', 'operator'];
+
+/**
+ * 交易类型 -> 发送方必须持有的角色
+ */
+export const TRANSACTION_ROLES = {
+    mint: 'minter',
+    burn: 'burner',
+    role: 'admin'
+};
+
+const TRANSACTION_TYPES = ['transfer', 'mint', 'burn', 'role', 'mine'];
+const ROLE_ACTIONS = ['grant', 'revoke'];
+
+/**
+ * 检查角色变更交易的附加数据
+ * @param {Transaction} tx - 角色变更交易
+ * @returns {boolean} 角色和操作有效返回true
+ */
+export function isValidRoleChange(tx) {
+    return Boolean(tx.data) && ROLES.includes(tx.data.role) && ROLE_ACTIONS.includes(tx.data.action);
+}
+
+export class ConsensusValidator {
+    /**
+     * 共识校验器构造函数
+     * 从创世区块开始重放整条链，按共识规则逐块校验并报告第一个无效区块
+     * @param {Blockchain} blockchain - 区块链实例（提供区块奖励、总供应量和难度规则）
+     */
+    constructor(blockchain) {
+        this.blockchain = blockchain;   // 区块链实例引用
+    }
+
+    /**
+     * 校验整条链
+     * @param {Array<Block>} chain - 待校验的区块链（默认当前链）
+     * @returns {Promise<Object>} 校验结果，无效时包含第一个无效区块的高度、哈希和原因代码
+     */
+    async validateChain(chain = this.blockchain.chain) {
+        const genesisFailure = this.validateGenesis(chain[0]);
+        if (genesisFailure) {
+            return genesisFailure;
+        }
+
+        // 从创世区块开始重放账户状态
+        const ledger = new AccountLedger();
+        ledger.applyBlock(chain[0], 0);
+
+        for (let height = 1; height < chain.length; height++) {
+            const failure = await this.validateBlock(chain[height], height, chain, ledger);
+            if (failure) {
+                return failure;
+            }
+            ledger.applyBlock(chain[height], height);
+        }
+
+        return {
+            valid: true,
+            height: chain.length - 1,
+            blocksChecked: chain.length
+        };
+    }
+
+    /**
+     * 校验创世区块
+     * 创世区块只能包含预分配的铸造交易和初始角色授予，且必须与当前创世配置生成的创世区块完全一致
+     * @param {Block} block - 创世区块
+     * @returns {Object|null} 校验失败结果，有效时返回null
+     */
+    validateGenesis(block) {
+        const fail = message => this.failure(block, 0, CONSENSUS_ERRORS.INVALID_GENESIS, message);
+
+        if (!block) {
+            return fail('Chain has no genesis block');
+        }
+
+        const allocated = block.transactions
+            .filter(tx => tx.type === 'mint')
+            .reduce((sum, tx) => sum + tx.amount, 0);
+        const allowed = tx => tx.fromAddress === null
+            && (tx.type === 'mint' || (tx.type === 'role' && isValidRoleChange(tx) && tx.data.action === 'grant'));
+        if (!block.transactions.every(allowed) || allocated > this.blockchain.totalSupply) {
+            return fail('Genesis block may only contain allocations within the total supply and role grants');
+        }
+
+        if (block.merkleRoot !== block.calculateMerkleRoot() || block.hash !== block.calculateHash()) {
+            return fail('Genesis block hash does not match its contents');
+        }
+
+        if (block.hash !== this.blockchain.genesisHash) {
+            return fail('Genesis block does not match the configured genesis');
+        }
+
+        return null;
+    }
+
+    /**
+     * 校验单个区块
+     * @param {Block} block - 待校验的区块
+     * @param {number} height - 区块高度
+     * @param {Array<Block>} chain - 区块所在的链（至少包含该高度之前的区块）
+     * @param {AccountLedger} ledger - 重放到上一个区块为止的账户状态
+     * @returns {Promise<Object|null>} 校验失败结果，有效时返回null
+     */
+    async validateBlock(block, height, chain, ledger) {
+        const fail = (reason, message, transactionId) => this.failure(block, height, reason, message, transactionId);
+
+        if (block.merkleRoot !== block.calculateMerkleRoot()) {
+            return fail(CONSENSUS_ERRORS.BAD_MERKLE_ROOT, 'Merkle root does not match block transactions');
+        }
+
+        const headerFailure = this.validateHeader(block, height, chain);
+        if (headerFailure) {
+            return headerFailure;
+        }
+
+        return this.validateTransactions(block, ledger, fail);
+    }
+
+    /**
+     * 校验区块头（前哈希、区块哈希、时间戳、目标值和工作量证明）
+     * 不涉及交易内容，同步时可以在下载区块体之前校验整条区块头链
+     * @param {Block} block - 区块（区块头字段即可）
+     * @param {number} height - 区块高度
+     * @param {Array<Block>} chain - 区块所在的链（至少包含该高度之前的区块头）
+     * @returns {Object|null} 校验失败结果，有效时返回null
+     */
+    validateHeader(block, height, chain) {
+        const previousBlock = chain[height - 1];
+        const fail = (reason, message) => this.failure(block, height, reason, message);
+
+        if (block.previousHash !== previousBlock.hash) {
+            return fail(CONSENSUS_ERRORS.BAD_PREVIOUS_HASH, 'Previous hash does not match the previous block');
+        }
+
+        if (block.hash !== block.calculateHash()) {
+            return fail(CONSENSUS_ERRORS.BAD_HASH, 'Block hash does not match block header');
+        }
+
+        if (block.timestamp < previousBlock.timestamp) {
+            return fail(CONSENSUS_ERRORS.TIMESTAMP_TOO_EARLY, 'Block timestamp is earlier than the previous block');
+        }
+
+        if (block.timestamp > Date.now() + MAX_FUTURE_DRIFT) {
+            return fail(CONSENSUS_ERRORS.TIMESTAMP_TOO_FAR_IN_FUTURE, 'Block timestamp is too far in the future');
+        }
+
+        // 工作量证明：没有目标值的旧版区块只允许出现在旧版链中，按创世目标值校验
+        let requiredTarget;
+        if (block.target) {
+            requiredTarget = this.blockchain.getRequiredTarget(height, chain);
+            if (block.target !== targetToHex(requiredTarget)) {
+                return fail(CONSENSUS_ERRORS.BAD_TARGET, 'Block target does not match the required difficulty');
+            }
+        } else {
+            if (chain[0].target) {
+                return fail(CONSENSUS_ERRORS.BAD_TARGET, 'Block is missing its proof-of-work target');
+            }
+            requiredTarget = this.blockchain.getInitialTarget(chain);
+        }
+
+        if (!hashMeetsTarget(block.hash, requiredTarget)) {
+            return fail(CONSENSUS_ERRORS.INSUFFICIENT_WORK, 'Block hash does not meet the required target');
+        }
+
+        return null;
+    }
+
+    /**
+     * 按顺序重放区块内的交易
+     * @param {Block} block - 待校验的区块
+     * @param {AccountLedger} ledger - 重放到上一个区块为止的账户状态
+     * @param {Function} fail - 生成失败结果的函数
+     * @returns {Promise<Object|null>} 校验失败结果，有效时返回null
+     */
+    async validateTransactions(block, ledger, fail) {
+        const { transactions } = block;
+        const balances = new Map();
+        const nonces = new Map();
+        const seen = new Set();
+        const { circulating } = ledger.getSupply();
+        let minted = 0;
+        let fees = 0;
+
+        const coinbaseIndexes = transactions
+            .map((tx, index) => (tx.type === 'mine' ? index : -1))
+            .filter(index => index !== -1);
+
+        if (coinbaseIndexes.length === 0) {
+            return fail(CONSENSUS_ERRORS.MISSING_COINBASE, 'Block has no mining reward transaction');
+        }
+
+        if (coinbaseIndexes.length > 1 || coinbaseIndexes[0] !== transactions.length - 1) {
+            return fail(CONSENSUS_ERRORS.BAD_COINBASE_POSITION, 'Mining reward must be the single last transaction');
+        }
+
+        for (const tx of transactions) {
+            if (seen.has(tx.id) || ledger.getLocation(tx.id)) {
+                return fail(CONSENSUS_ERRORS.DUPLICATE_TRANSACTION, 'Transaction already exists', tx.id);
+            }
+            seen.add(tx.id);
+
+            const ruleFailure = this.checkTransaction(tx);
+            if (ruleFailure) {
+                return fail(ruleFailure.reason, ruleFailure.message, tx.id);
+            }
+
+            // 挖矿奖励交易没有发送方，金额在区块末尾统一校验
+            if (!tx.fromAddress) {
+                continue;
+            }
+
+            if (!(await tx.isValid())) {
+                return fail(CONSENSUS_ERRORS.INVALID_SIGNATURE, 'Transaction signature is invalid', tx.id);
+            }
+
+            // 旧格式地址和带校验和地址按同一账户计算序列号和余额
+            const fromAddress = normalizeAddress(tx.fromAddress);
+            const toAddress = normalizeAddress(tx.toAddress);
+
+            const expectedNonce = nonces.get(fromAddress) ?? ledger.getNonce(fromAddress);
+            if (tx.nonce !== expectedNonce) {
+                return fail(CONSENSUS_ERRORS.BAD_NONCE, `Invalid nonce. Expected ${expectedNonce}, received ${tx.nonce}`, tx.id);
+            }
+
+            // 角色按上一个区块为止的链上状态判断，区块内的角色变更从下一个区块开始生效
+            const requiredRole = TRANSACTION_ROLES[tx.type];
+            if (requiredRole && !ledger.hasRole(fromAddress, requiredRole)) {
+                return fail(CONSENSUS_ERRORS.UNAUTHORIZED, `${tx.type} transactions require the ${requiredRole} role`, tx.id);
+            }
+
+            // 铸造不能使流通供应量超过总供应量，区块内的铸造累计计算
+            if (tx.type === 'mint') {
+                minted += tx.amount;
+                if (circulating + minted > this.blockchain.totalSupply) {
+                    return fail(CONSENSUS_ERRORS.SUPPLY_EXCEEDED, 'Minting would exceed total supply', tx.id);
+                }
+            }
+
+            const balance = balances.get(fromAddress) ?? ledger.getBalance(fromAddress);
+            if (balance < tx.getTotalCost()) {
+                return fail(CONSENSUS_ERRORS.INSUFFICIENT_BALANCE, `Insufficient balance. Available: ${balance}, Required: ${tx.getTotalCost()}`, tx.id);
+            }
+
+            nonces.set(fromAddress, expectedNonce + 1);
+            balances.set(fromAddress, balance - tx.getTotalCost());
+            if (toAddress) {
+                balances.set(toAddress, (balances.get(toAddress) ?? ledger.getBalance(toAddress)) + tx.amount);
+            }
+            fees += tx.fee;
+        }
+
+        const coinbase = transactions[transactions.length - 1];
+        const expectedReward = this.blockchain.miningReward + fees;
+        if (coinbase.amount !== expectedReward) {
+            return fail(CONSENSUS_ERRORS.BAD_COINBASE_AMOUNT, `Mining reward must be ${expectedReward}, received ${coinbase.amount}`, coinbase.id);
+        }
+
+        return null;
+    }
+
+    /**
+     * 校验单笔交易中不依赖链上状态的规则（类型、金额、手续费、发送方和接收方）
+     * 区块校验和交易池准入共用，保证被接受的交易不会使区块模板无效
+     * @param {Transaction} tx - 交易
+     * @returns {{ reason: string, message: string }|null} 校验失败的原因代码和说明，有效时返回null
+     */
+    checkTransaction(tx) {
+        const fail = (reason, message) => ({ reason, message });
+
+        if (!TRANSACTION_TYPES.includes(tx.type)) {
+            return fail(CONSENSUS_ERRORS.INVALID_TRANSACTION, `Unknown transaction type: ${tx.type}`);
+        }
+
+        if (tx.type === 'role') {
+            if (tx.amount !== 0) {
+                return fail(CONSENSUS_ERRORS.INVALID_AMOUNT, 'Role changes must not carry an amount');
+            }
+            if (!isValidRoleChange(tx)) {
+                return fail(CONSENSUS_ERRORS.INVALID_TRANSACTION, 'Role change must name a known role and a grant or revoke action');
+            }
+        } else if (!Number.isFinite(tx.amount) || tx.amount <= 0) {
+            return fail(CONSENSUS_ERRORS.INVALID_AMOUNT, 'Transaction amount must be a positive number');
+        }
+
+        // 创世区块之后只有挖矿奖励交易没有发送方
+        if (!tx.fromAddress) {
+            if (tx.type !== 'mine') {
+                return fail(CONSENSUS_ERRORS.INVALID_TRANSACTION, 'Only mining reward transactions may omit the sender');
+            }
+            if (!tx.toAddress) {
+                return fail(CONSENSUS_ERRORS.INVALID_TRANSACTION, 'Transaction must include a recipient');
+            }
+            return null;
+        }
+
+        if (tx.type === 'mine') {
+            return fail(CONSENSUS_ERRORS.INVALID_TRANSACTION, 'mine transactions cannot have a sender');
+        }
+
+        if (tx.type === 'burn' ? tx.toAddress : !tx.toAddress) {
+            return fail(CONSENSUS_ERRORS.INVALID_TRANSACTION, 'Burns must not have a recipient and other transactions need one');
+        }
+
+        if (!Number.isFinite(tx.fee) || tx.fee < 0) {
+            return fail(CONSENSUS_ERRORS.INVALID_AMOUNT, 'Transaction fee must be a non-negative number');
+        }
+
+        return null;
+    }
+
+    /**
+     * 生成校验失败结果
+     * @returns {Object} 包含高度、区块哈希、原因代码和说明的结果
+     */
+    failure(block, height, reason, message, transactionId = null) {
+        const result = {
+            valid: false,
+            height,
+            blockHash: block ? block.hash : null,
+            reason,
+            message
+        };
+        if (transactionId) {
+            result.transactionId = transactionId;
+        }
+        return result;
+    }
+}
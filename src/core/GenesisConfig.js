@@ -0,0 +1,251 @@
+import { Block } from './Block.js';
+import { Transaction } from './Transaction.js';
+import { sha256Hex } from '../utils/crypto.js';
+import { isAddressFormat, normalizeAddress } from '../utils/address.js';
+import { difficultyToTarget, targetToHex } from '../utils/target.js';
+import { ROLES } from './ConsensusValidator.js';
+
+/**
+ * 默认创世配置（未提供 genesis.json 或环境变量时使用）
+ */
+export const DEFAULT_GENESIS_CONFIG = {
+    chainId: 'chain-cosmos-devnet',         // 链标识
+    timestamp: 1735689600000,               // 创世时间（2025-01-01T00:00:00Z）
+    totalSupply: 1000000,                   // 总供应量
+    miningReward: 100,                      // 挖矿奖励
+    initialDifficulty: 2,                   // 创世难度
+    allocations: [],                        // 预分配 [{ address, amount }]
+    roles: {}                               // 初始角色 { role: [address] }
+};
+
+// 环境变量 -> 配置字段
+const ENV_FIELDS = {
+    GENESIS_CHAIN_ID: 'chainId',
+    GENESIS_TIMESTAMP: 'timestamp',
+    GENESIS_TOTAL_SUPPLY: 'totalSupply',
+    GENESIS_MINING_REWARD: 'miningReward',
+    GENESIS_DIFFICULTY: 'initialDifficulty',
+    GENESIS_ALLOCATIONS: 'allocations',
+    GENESIS_ROLES: 'roles'
+};
+
+/**
+ * 解析JSON格式的环境变量（Workers 的 vars 可以直接是对象）
+ * @param {string|Object} value - 环境变量值
+ * @param {string} name - 环境变量名称
+ * @returns {*} 解析结果
+ */
+function parseJsonValue(value, name) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`${name} must be valid JSON`);
+    }
+}
+
+/**
+ * 解析预分配列表
+ * 支持数组 [{ address, amount }]、对象 { address: amount } 或 "address:amount,address:amount" 字符串
+ * @param {Array|Object|string} value - 预分配
+ * @returns {Array<{ address: string, amount: number }>} 预分配列表
+ */
+function parseAllocations(value) {
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            return parseAllocations(parseJsonValue(trimmed, 'GENESIS_ALLOCATIONS'));
+        }
+        return trimmed
+            ? trimmed.split(',').map(item => {
+                const [address, amount] = item.split(':').map(part => part.trim());
+                return { address, amount: Number(amount) };
+            })
+            : [];
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => ({ address: item?.address, amount: Number(item?.amount) }));
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.entries(value).map(([address, amount]) => ({ address, amount: Number(amount) }));
+    }
+
+    throw new Error('Genesis allocations must be a list of { address, amount }');
+}
+
+/**
+ * 解析初始角色
+ * 支持对象 { role: [address] } 或 "role:address,role:address" 字符串
+ * @param {Object|string} value - 初始角色
+ * @returns {Object} 角色 -> 地址列表
+ */
+function parseRoles(value) {
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if (trimmed.startsWith('{')) {
+            return parseRoles(parseJsonValue(trimmed, 'GENESIS_ROLES'));
+        }
+
+        const roles = {};
+        if (trimmed) {
+            trimmed.split(',').forEach(item => {
+                const [role, address] = item.split(':').map(part => part.trim());
+                (roles[role] ??= []).push(address);
+            });
+        }
+        return roles;
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return Object.fromEntries(Object.entries(value).map(([role, addresses]) => [
+            role,
+            Array.isArray(addresses) ? addresses : [addresses]
+        ]));
+    }
+
+    throw new Error('Genesis roles must map each role to a list of addresses');
+}
+
+/**
+ * 校验并规范化创世配置
+ * @param {Object} config - 创世配置（缺少的字段使用默认值）
+ * @returns {Object} 冻结的创世配置
+ */
+export function normalizeGenesisConfig(config = {}) {
+    const merged = { ...DEFAULT_GENESIS_CONFIG, ...config };
+
+    const chainId = String(merged.chainId ?? '').trim();
+    if (!chainId) {
+        throw new Error('Genesis chainId is required');
+    }
+
+    const timestamp = typeof merged.timestamp === 'string' && !/^\d+$/.test(merged.timestamp)
+        ? Date.parse(merged.timestamp)
+        : Number(merged.timestamp);
+    if (!Number.isSafeInteger(timestamp) || timestamp < 0) {
+        throw new Error('Genesis timestamp must be a millisecond timestamp or ISO date');
+    }
+
+    const totalSupply = Number(merged.totalSupply);
+    if (!Number.isFinite(totalSupply) || totalSupply <= 0) {
+        throw new Error('Genesis totalSupply must be a positive number');
+    }
+
+    const miningReward = Number(merged.miningReward);
+    if (!Number.isFinite(miningReward) || miningReward < 0) {
+        throw new Error('Genesis miningReward must be a non-negative number');
+    }
+
+    const initialDifficulty = Number(merged.initialDifficulty);
+    difficultyToTarget(initialDifficulty);
+
+    const allocations = parseAllocations(merged.allocations);
+    const seen = new Set();
+    let allocated = 0;
+    allocations.forEach(({ address, amount }) => {
+        // 已发布的创世配置可能使用旧格式地址，原样保留以保证创世区块哈希不变
+        if (!isAddressFormat(address, { allowLegacy: true })) {
+            throw new Error(`Invalid genesis allocation address: ${address}`);
+        }
+        if (seen.has(normalizeAddress(address))) {
+            throw new Error(`Duplicate genesis allocation for ${address}`);
+        }
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error(`Genesis allocation for ${address} must be a positive amount`);
+        }
+        seen.add(normalizeAddress(address));
+        allocated += amount;
+    });
+
+    if (allocated > totalSupply) {
+        throw new Error('Genesis allocations exceed the total supply');
+    }
+
+    const roles = parseRoles(merged.roles ?? {});
+    Object.entries(roles).forEach(([role, addresses]) => {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown genesis role: ${role}`);
+        }
+        if (new Set(addresses.map(normalizeAddress)).size !== addresses.length) {
+            throw new Error(`Duplicate genesis ${role} address`);
+        }
+        addresses.forEach(address => {
+            if (!isAddressFormat(address, { allowLegacy: true })) {
+                throw new Error(`Invalid genesis ${role} address: ${address}`);
+            }
+        });
+    });
+
+    return Object.freeze({
+        chainId,
+        timestamp,
+        totalSupply,
+        miningReward,
+        initialDifficulty,
+        allocations: Object.freeze(allocations.map(allocation => Object.freeze(allocation))),
+        roles: Object.freeze(Object.fromEntries(
+            ROLES.filter(role => roles[role]?.length).map(role => [role, Object.freeze([...roles[role]])])
+        ))
+    });
+}
+
+/**
+ * 加载创世配置
+ * 优先级：环境变量单项（GENESIS_CHAIN_ID 等） > GENESIS_CONFIG（完整JSON） > genesis.json > 默认值
+ * @param {Object} options - 配置来源
+ * @param {Object} options.file - genesis.json 的内容
+ * @param {Object} options.env - 环境变量
+ * @returns {Object} 规范化后的创世配置
+ */
+export function loadGenesisConfig({ file = null, env = {} } = {}) {
+    const config = { ...(file ?? {}) };
+
+    if (env?.GENESIS_CONFIG) {
+        Object.assign(config, parseJsonValue(env.GENESIS_CONFIG, 'GENESIS_CONFIG'));
+    }
+
+    Object.entries(ENV_FIELDS).forEach(([name, field]) => {
+        if (env?.[name] !== undefined && env[name] !== '') {
+            config[field] = env[name];
+        }
+    });
+
+    return normalizeGenesisConfig(config);
+}
+
+/**
+ * 计算链参数摘要
+ * 作为创世区块的前哈希，使创世哈希同时覆盖链标识、总供应量、挖矿奖励和创世难度
+ * @param {Object} config - 规范化后的创世配置
+ * @returns {string} 十六进制摘要
+ */
+export function computeParamsHash(config) {
+    const { chainId, totalSupply, miningReward, initialDifficulty } = config;
+    return sha256Hex(JSON.stringify({ chainId, totalSupply, miningReward, initialDifficulty }));
+}
+
+/**
+ * 按创世配置构造创世区块
+ * 预分配之后依次是初始角色授予。交易ID、时间戳和区块时间戳都由配置决定，相同配置总是得到相同的创世哈希
+ * @param {Object} config - 规范化后的创世配置
+ * @returns {Block} 创世区块
+ */
+export function buildGenesisBlock(config) {
+    const transactions = [
+        ...config.allocations.map(({ address, amount }) => new Transaction(null, address, amount, 'mint')),
+        ...Object.entries(config.roles ?? {}).flatMap(([role, addresses]) => addresses.map(address =>
+            new Transaction(null, address, 0, 'role', 0, 0, { role, action: 'grant' })
+        ))
+    ];
+    transactions.forEach((tx, index) => {
+        tx.id = sha256Hex(`${config.chainId}:genesis:${index}`);
+        tx.timestamp = config.timestamp;
+    });
+
+    const target = targetToHex(difficultyToTarget(config.initialDifficulty));
+    return new Block(config.timestamp, transactions, computeParamsHash(config), target);
+}
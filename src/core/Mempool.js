@@ -0,0 +1,330 @@
+import { normalizeAddress } from '../utils/address.js';
+
+const TEXT_ENCODER = new TextEncoder();
+
+export const DEFAULT_MEMPOOL_OPTIONS = {
+    maxBlockTransactions: 500,          // 每个区块最多打包的交易数（含挖矿奖励交易）
+    maxBlockBytes: 256 * 1024,          // 每个区块交易的最大字节数
+    maxPoolSize: 5000,                  // 交易池最多容纳的交易数
+    ttlMs: 60 * 60 * 1000               // 交易在池中的最长存活时间
+};
+
+/**
+ * 比较两个交易池条目的优先级：手续费率高者优先，相同时先到者优先
+ * @returns {number} 负数表示 a 优先
+ */
+function compareEntries(a, b) {
+    if (b.feeRate !== a.feeRate) {
+        return b.feeRate - a.feeRate;
+    }
+    return a.sequence - b.sequence;
+}
+
+class EntryHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (compareEntries(items[index].entry, items[parent].entry) >= 0) break;
+            [items[index], items[parent]] = [items[parent], items[index]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < items.length && compareEntries(items[left].entry, items[smallest].entry) < 0) smallest = left;
+                if (right < items.length && compareEntries(items[right].entry, items[smallest].entry) < 0) smallest = right;
+                if (smallest === index) break;
+                [items[index], items[smallest]] = [items[smallest], items[index]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+export class Mempool {
+    /**
+     * 交易池构造函数
+     * 按手续费率和到达顺序排序，同一发送方的交易按序列号串联
+     * @param {Object} options - 交易池配置，参见 DEFAULT_MEMPOOL_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_MEMPOOL_OPTIONS, ...options };
+        this.entries = new Map();       // 交易ID -> 条目
+        this.sequence = 0;              // 到达顺序计数器
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * 检查交易是否在交易池中
+     * @param {string} transactionId - 交易ID
+     * @returns {boolean} 在池中返回true
+     */
+    has(transactionId) {
+        return this.entries.has(transactionId);
+    }
+
+    /**
+     * 计算交易的序列化字节数
+     * @param {Transaction} tx - 交易对象
+     * @returns {number} 字节数
+     */
+    static measure(tx) {
+        return TEXT_ENCODER.encode(JSON.stringify(tx.toJSON())).length;
+    }
+
+    /**
+     * 将交易加入交易池
+     * 池满时淘汰手续费率最低的末尾交易；新交易手续费率不高于它时拒绝加入
+     * @param {Transaction} tx - 交易对象
+     * @param {number} receivedAt - 接收时间
+     * @returns {Array<Transaction>} 被淘汰的交易
+     */
+    add(tx, receivedAt = Date.now()) {
+        this.pruneExpired(receivedAt);
+
+        if (this.entries.has(tx.id)) {
+            throw new Error('Transaction already in mempool');
+        }
+
+        const size = Mempool.measure(tx);
+        const entry = {
+            tx,
+            size,
+            feeRate: (tx.fee || 0) / size,
+            sequence: this.sequence++,
+            receivedAt
+        };
+
+        const evicted = [];
+        if (this.entries.size >= this.options.maxPoolSize) {
+            const candidate = this.findEvictionCandidate();
+            if (!candidate || compareEntries(entry, candidate) >= 0) {
+                throw new Error('Mempool is full; transaction fee is too low');
+            }
+            evicted.push(...this.remove(candidate.tx.id));
+        }
+
+        this.entries.set(tx.id, entry);
+        return evicted;
+    }
+
+    /**
+     * 从交易池移除交易
+     * 默认同时移除同一发送方序列号更大的交易，避免留下无法打包的序列号断层
+     * @param {string} transactionId - 交易ID
+     * @param {Object} options - 移除选项
+     * @param {boolean} options.cascade - 是否移除后续序列号的交易
+     * @returns {Array<Transaction>} 被移除的交易
+     */
+    remove(transactionId, { cascade = true } = {}) {
+        const entry = this.entries.get(transactionId);
+        if (!entry) {
+            return [];
+        }
+
+        this.entries.delete(transactionId);
+        const removed = [entry.tx];
+
+        if (cascade && entry.tx.fromAddress && Number.isInteger(entry.tx.nonce)) {
+            const sender = normalizeAddress(entry.tx.fromAddress);
+            for (const [id, other] of Array.from(this.entries.entries())) {
+                if (normalizeAddress(other.tx.fromAddress) === sender && other.tx.nonce > entry.tx.nonce) {
+                    this.entries.delete(id);
+                    removed.push(other.tx);
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * 移除已上链的交易（不影响后续序列号）
+     * @param {Array<Transaction>} transactions - 已打包的交易
+     */
+    removeMined(transactions) {
+        transactions.forEach(tx => this.entries.delete(tx.id));
+    }
+
+    /**
+     * 移除超过存活时间的交易
+     * @param {number} now - 当前时间
+     * @returns {Array<Transaction>} 过期移除的交易
+     */
+    pruneExpired(now = Date.now()) {
+        const expired = [];
+        for (const entry of Array.from(this.entries.values())) {
+            if (this.entries.has(entry.tx.id) && now - entry.receivedAt > this.options.ttlMs) {
+                expired.push(...this.remove(entry.tx.id));
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * 查找淘汰候选：每个发送方只考虑序列号最大的交易，取其中优先级最低者
+     * @returns {Object|null} 交易池条目
+     */
+    findEvictionCandidate() {
+        const tails = new Map();
+        let candidate = null;
+
+        for (const entry of this.entries.values()) {
+            const sender = normalizeAddress(entry.tx.fromAddress);
+            if (sender && Number.isInteger(entry.tx.nonce)) {
+                const current = tails.get(sender);
+                if (!current || entry.tx.nonce > current.tx.nonce) {
+                    tails.set(sender, entry);
+                }
+            } else if (!candidate || compareEntries(entry, candidate) > 0) {
+                candidate = entry;
+            }
+        }
+
+        for (const entry of tails.values()) {
+            if (!candidate || compareEntries(entry, candidate) > 0) {
+                candidate = entry;
+            }
+        }
+
+        return candidate;
+    }
+
+    /**
+     * 按打包优先级排列全部交易
+     * 每个发送方的交易按序列号依次进入候选堆，保证不会越过更小的序列号
+     * @returns {Array<Object>} 排好序的交易池条目
+     */
+    getOrderedEntries() {
+        const queues = new Map();
+        const heap = new EntryHeap();
+
+        for (const entry of this.entries.values()) {
+            const sender = normalizeAddress(entry.tx.fromAddress);
+            if (sender && Number.isInteger(entry.tx.nonce)) {
+                if (!queues.has(sender)) {
+                    queues.set(sender, []);
+                }
+                queues.get(sender).push(entry);
+            } else {
+                heap.push({ entry, queue: null });
+            }
+        }
+
+        for (const queue of queues.values()) {
+            queue.sort((a, b) => a.tx.nonce - b.tx.nonce);
+            heap.push({ entry: queue.shift(), queue });
+        }
+
+        const ordered = [];
+        while (heap.size > 0) {
+            const { entry, queue } = heap.pop();
+            ordered.push(entry);
+            if (queue && queue.length > 0) {
+                heap.push({ entry: queue.shift(), queue });
+            }
+        }
+        return ordered;
+    }
+
+    /**
+     * 选出下一个区块要打包的交易
+     * @param {Object} limits - 区块限制（默认使用交易池配置）
+     * @returns {Array<Transaction>} 按打包顺序排列的交易
+     */
+    selectForBlock({
+        maxTransactions = this.options.maxBlockTransactions - 1,
+        maxBytes = this.options.maxBlockBytes
+    } = {}) {
+        return this.planBlock({ maxTransactions, maxBytes })
+            .filter(item => item.inNextBlock)
+            .map(item => item.entry.tx);
+    }
+
+    /**
+     * 计算每笔交易的排队位置以及是否能进入下一个区块
+     * 某发送方的交易放不下时，其后续序列号的交易也不会进入该区块
+     * @param {Object} limits - 区块限制
+     * @returns {Array<{ entry: Object, position: number, inNextBlock: boolean }>} 排队结果
+     */
+    planBlock({
+        maxTransactions = this.options.maxBlockTransactions - 1,
+        maxBytes = this.options.maxBlockBytes
+    } = {}) {
+        const blockedSenders = new Set();
+        let count = 0;
+        let bytes = 0;
+
+        return this.getOrderedEntries().map((entry, position) => {
+            const sender = normalizeAddress(entry.tx.fromAddress);
+            const fits = count < maxTransactions
+                && bytes + entry.size <= maxBytes
+                && !(sender && blockedSenders.has(sender));
+
+            if (fits) {
+                count += 1;
+                bytes += entry.size;
+            } else if (sender) {
+                blockedSenders.add(sender);
+            }
+
+            return { entry, position, inNextBlock: fits };
+        });
+    }
+
+    /**
+     * 按到达顺序列出交易
+     * @returns {Array<Transaction>} 交易列表
+     */
+    list() {
+        return Array.from(this.entries.values())
+            .sort((a, b) => a.sequence - b.sequence)
+            .map(entry => entry.tx);
+    }
+
+    /**
+     * 获取交易池统计信息
+     * @returns {Object} 交易数、总字节数和配置
+     */
+    getStats() {
+        let bytes = 0;
+        this.entries.forEach(entry => {
+            bytes += entry.size;
+        });
+        return {
+            size: this.entries.size,
+            bytes,
+            ...this.options
+        };
+    }
+
+    clear() {
+        this.entries.clear();
+        this.sequence = 0;
+    }
+}
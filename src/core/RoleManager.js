@@ -0,0 +1,84 @@
+import { Transaction } from './Transaction.js';
+import { ROLES } from './ConsensusValidator.js';
+import { assertAddress } from '../utils/address.js';
+
+export class RoleManager {
+    /**
+     * 角色管理器构造函数
+     * 角色记录在链上：admin 签名的角色变更交易上链后生效
+     * @param {Blockchain} blockchain - 区块链实例
+     * @param {WalletManager} walletManager - 钱包管理器实例（用于签名角色变更交易）
+     */
+    constructor(blockchain, walletManager = null) {
+        this.blockchain = blockchain;         // 区块链实例引用
+        this.walletManager = walletManager;   // 钱包管理器实例引用
+    }
+
+    /**
+     * 授予或撤销角色
+     * 创建由管理员签名的角色变更交易并添加到待处理交易池
+     * @param {string} adminAddress - 持有 admin 角色的地址
+     * @param {string} address - 目标地址
+     * @param {string} role - 角色（admin、minter、burner 或 operator）
+     * @param {string} action - grant 授予或 revoke 撤销
+     * @param {string} privateKey - 私钥（可选，未托管的钱包必须提供）
+     * @param {Object|null} principal - 发起请求的已认证身份（使用已解锁的托管钱包时必须与解锁者一致）
+     * @returns {Promise<Object>} 包含交易信息的结果对象
+     */
+    async changeRole(adminAddress, address, role, action, privateKey = null, principal = null) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        if (action !== 'grant' && action !== 'revoke') {
+            throw new Error('Action must be grant or revoke');
+        }
+        assertAddress(address, 'address');
+        if (adminAddress) {
+            assertAddress(adminAddress, 'admin address');
+        }
+
+        const hasRole = this.blockchain.hasRole(address, role);
+        if (action === 'grant' ? hasRole : !hasRole) {
+            throw new Error(`Address ${action === 'grant' ? 'already has' : 'does not have'} the ${role} role`);
+        }
+
+        // 角色变更交易必须由管理员签名
+        if (!this.walletManager) {
+            throw new Error('Wallet manager is required to sign role transactions');
+        }
+        const nonce = this.blockchain.getNextNonce(adminAddress);
+        const roleTransaction = new Transaction(adminAddress, address, 0, 'role', nonce, 0, { role, action });
+        const wallet = await this.walletManager.getSigningWallet(adminAddress, privateKey, principal);
+        await roleTransaction.signTransaction(wallet);
+
+        // 验证后将角色变更交易添加到待处理交易池
+        await this.blockchain.createTransaction(roleTransaction);
+
+        return {
+            success: true,
+            transaction: roleTransaction.toJSON(),
+            message: `${role} role ${action === 'grant' ? 'grant to' : 'revocation from'} ${address} queued`
+        };
+    }
+
+    /**
+     * 获取地址持有的角色
+     * @param {string} address - 钱包地址
+     * @returns {Object} 地址和角色列表
+     */
+    getRoles(address) {
+        return {
+            address,
+            roles: this.blockchain.getRoles(address)
+        };
+    }
+
+    /**
+     * 获取所有角色分配
+     * @returns {Object} 角色 -> 地址列表
+     */
+    getAssignments() {
+        const assignments = this.blockchain.ledger.getRoleAssignments();
+        return Object.fromEntries(ROLES.map(role => [role, assignments[role] ?? []]));
+    }
+}
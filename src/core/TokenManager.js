@@ -1,40 +1,65 @@
 import { Transaction } from './Transaction.js';
+import { assertAddress } from '../utils/address.js';
 
 export class TokenManager {
     /**
      * 代币管理器构造函数
      * @param {Blockchain} blockchain - 区块链实例
+     * @param {WalletManager} walletManager - 钱包管理器实例（用于签名铸造和销毁交易）
      */
-    constructor(blockchain) {
+    constructor(blockchain, walletManager = null) {
         this.blockchain = blockchain;         // 区块链实例引用
+        this.walletManager = walletManager;   // 钱包管理器实例引用
         this.tokenName = 'CosmoCoin';         // 代币名称
         this.tokenSymbol = 'COSMO';           // 代币符号
     }
 
     /**
      * 铸造代币
-     * 创建代币铸造交易并添加到待处理交易池
+     * 创建由铸造者签名的代币铸造交易并添加到待处理交易池
      * @param {string} toAddress - 接收代币的地址
      * @param {number} amount - 铸造的代币数量
-     * @param {string} adminAddress - 管理员地址（可选）
-     * @returns {Object} 包含交易信息的结果对象
+     * @param {string} minterAddress - 持有 minter 角色的地址
+     * @param {string} privateKey - 私钥（可选，未托管的钱包必须提供）
+     * @param {Object|null} principal - 发起请求的已认证身份（使用已解锁的托管钱包时必须与解锁者一致）
+     * @returns {Promise<Object>} 包含交易信息的结果对象
      */
-    mintTokens(toAddress, amount, adminAddress = null) {
+    async mintTokens(toAddress, amount, minterAddress, privateKey = null, principal = null) {
         // 检查铸造数量必须为正数
         if (amount <= 0) {
             throw new Error('Amount must be positive');
         }
 
-        // 检查铸造是否会超过总供应量
-        if (this.blockchain.circulatingSupply + amount > this.blockchain.totalSupply) {
+        // 检查接收地址和铸造者地址格式（必须是带校验和的地址）
+        assertAddress(toAddress, 'recipient address');
+        if (minterAddress) {
+            assertAddress(minterAddress, 'minter address');
+        }
+
+        // 检查铸造者持有 minter 角色
+        if (!minterAddress || !this.blockchain.hasRole(minterAddress, 'minter')) {
+            throw new Error('Minting requires the minter role');
+        }
+
+        // 检查铸造是否会超过总供应量（包括交易池中尚未确认的铸造）
+        const { circulatingSupply, pendingMinted, totalSupply } = this.blockchain.getSupplyInfo();
+        if (circulatingSupply + pendingMinted + amount > totalSupply) {
             throw new Error('Minting would exceed total supply');
         }
 
-        // 创建铸造交易
-        const mintTransaction = new Transaction(null, toAddress, amount, 'mint');
-        
-        // 将铸造交易添加到待处理交易池
-        this.blockchain.pendingTransactions.push(mintTransaction);
+        // 创建铸造交易，使用铸造者下一个序列号
+        const nonce = this.blockchain.getNextNonce(minterAddress);
+        const mintTransaction = new Transaction(minterAddress, toAddress, amount, 'mint', nonce);
+
+        // 铸造交易必须由铸造者签名
+        if (!this.walletManager) {
+            throw new Error('Wallet manager is required to sign mint transactions');
+        }
+        const wallet = await this.walletManager.getSigningWallet(minterAddress, privateKey, principal);
+        await mintTransaction.signTransaction(wallet);
+
+        // 验证后将铸造交易添加到待处理交易池
+        await this.blockchain.createTransaction(mintTransaction);
         
         // 返回成功结果
         return {
@@ -49,25 +74,43 @@ export class TokenManager {
      * 创建代币销毁交易并添加到待处理交易池
      * @param {string} fromAddress - 销毁代币的地址
      * @param {number} amount - 销毁的代币数量
-     * @returns {Object} 包含交易信息的结果对象
+     * @param {string} privateKey - 私钥（可选，未托管的钱包必须提供）
+     * @param {Object|null} principal - 发起请求的已认证身份（使用已解锁的托管钱包时必须与解锁者一致）
+     * @returns {Promise<Object>} 包含交易信息的结果对象
      */
-    burnTokens(fromAddress, amount) {
+    async burnTokens(fromAddress, amount, privateKey = null, principal = null) {
         // 检查销毁数量必须为正数
         if (amount <= 0) {
             throw new Error('Amount must be positive');
         }
 
-        // 检查地址余额是否充足
-        const balance = this.blockchain.getBalance(fromAddress);
+        // 检查销毁地址格式（必须是带校验和的地址）
+        assertAddress(fromAddress, 'burn address');
+
+        // 检查销毁者持有 burner 角色
+        if (!this.blockchain.hasRole(fromAddress, 'burner')) {
+            throw new Error('Burning requires the burner role');
+        }
+
+        // 检查地址可用余额是否充足（扣除待处理的支出）
+        const balance = this.blockchain.getSpendableBalance(fromAddress);
         if (balance < amount) {
             throw new Error('Insufficient balance for burning');
         }
 
-        // 创建销毁交易
-        const burnTransaction = new Transaction(fromAddress, null, amount, 'burn');
-        
-        // 将销毁交易添加到待处理交易池
-        this.blockchain.pendingTransactions.push(burnTransaction);
+        // 创建销毁交易，使用发送方下一个序列号
+        const nonce = this.blockchain.getNextNonce(fromAddress);
+        const burnTransaction = new Transaction(fromAddress, null, amount, 'burn', nonce);
+
+        // 销毁交易必须由持有者签名
+        if (!this.walletManager) {
+            throw new Error('Wallet manager is required to sign burn transactions');
+        }
+        const wallet = await this.walletManager.getSigningWallet(fromAddress, privateKey, principal);
+        await burnTransaction.signTransaction(wallet);
+
+        // 验证后将销毁交易添加到待处理交易池
+        await this.blockchain.createTransaction(burnTransaction);
         
         // 返回成功结果
         return {
@@ -105,31 +148,14 @@ export class TokenManager {
      * @returns {Object} 包含所有地址余额的对象
      */
     getAllBalances() {
-        const balances = new Map();                     // 使用Map存储地址和余额的映射
-        const transactions = this.blockchain.getAllTransactions(); // 获取所有交易
-        
-        // 遍历所有交易计算每个地址的余额
-        transactions.forEach(tx => {
-            // 如果有发送方，减少其余额
-            if (tx.fromAddress) {
-                const currentBalance = balances.get(tx.fromAddress) || 0;
-                balances.set(tx.fromAddress, currentBalance - tx.amount);
-            }
-            
-            // 如果有接收方且不是创世地址，增加其余额
-            if (tx.toAddress && tx.toAddress !== 'genesis') {
-                const currentBalance = balances.get(tx.toAddress) || 0;
-                balances.set(tx.toAddress, currentBalance + tx.amount);
-            }
-        });
-
-        // 将Map转换为对象并过滤掉零余额或负余额
         const result = {};
-        balances.forEach((balance, address) => {
+
+        // 从账户状态账本读取余额，过滤掉零余额或负余额
+        for (const [address, balance] of this.blockchain.ledger.entries()) {
             if (balance > 0) {
                 result[address] = balance;
             }
-        });
+        }
 
         return result;
     }
@@ -1,5 +1,17 @@
 import { v4 as uuidv4 } from 'uuid';
-import { sha256Hex } from '../utils/crypto.js';
+import { sha256Hex, ed25519VerifyHex } from '../utils/crypto.js';
+import { deriveAddress, normalizeAddress } from '../utils/address.js';
+
+const SIGNING_DOMAIN = 'cosmo-tx:1';    // 签名内容的域标识和版本
+
+/**
+ * 按键名排序对象，使附加数据的序列化结果与键的插入顺序无关
+ * @param {Object} value - 附加数据
+ * @returns {Object} 键名有序的对象
+ */
+function sortKeys(value) {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, value[key]]));
+}
 
 export class Transaction {
     /**
@@ -7,57 +19,120 @@ export class Transaction {
      * @param {string} fromAddress - 发送方地址
      * @param {string} toAddress - 接收方地址
      * @param {number} amount - 交易金额
-     * @param {string} type - 交易类型（transfer转账、mint铸造、mine挖矿奖励）
+     * @param {string} type - 交易类型（transfer转账、mint铸造、burn销毁、role角色变更、mine挖矿奖励）
+     * @param {number|null} nonce - 发送方序列号（系统交易为null）
+     * @param {number} fee - 交易手续费，由发送方支付给打包区块的矿工
+     * @param {Object|null} data - 附加数据（角色变更交易为 { role, action }）
      */
-    constructor(fromAddress, toAddress, amount, type = 'transfer') {
+    constructor(fromAddress, toAddress, amount, type = 'transfer', nonce = null, fee = 0, data = null) {
         this.id = uuidv4();              // 交易唯一标识符
         this.fromAddress = fromAddress;  // 发送方地址
         this.toAddress = toAddress;      // 接收方地址
         this.amount = amount;            // 交易金额
+        this.fee = fee;                  // 交易手续费
         this.type = type;                // 交易类型
+        this.nonce = nonce;              // 发送方序列号，防止重放
         this.timestamp = Date.now();     // 交易时间戳
+        this.publicKey = null;           // 发送方公钥（用于验证签名）
         this.signature = null;           // 交易签名
+        this.data = data;                // 附加数据
+    }
+
+    /**
+     * 获取签名内容
+     * 签名覆盖的字段按固定顺序编码为JSON数组，字段之间有明确的边界，
+     * 不同的字段取值不会得到相同的签名内容
+     * @returns {string} 签名内容
+     */
+    getSigningPayload() {
+        return JSON.stringify([
+            SIGNING_DOMAIN,
+            this.type,
+            this.fromAddress,
+            this.toAddress,
+            this.amount,
+            this.fee,
+            this.nonce,
+            this.timestamp,
+            this.data ? sortKeys(this.data) : null
+        ]);
     }
 
     /**
      * 计算交易哈希值
-     * 使用SHA-256算法对交易数据进行哈希计算
+     * 对签名内容进行SHA-256哈希，签名交易的ID即为该哈希
      * @returns {string} 交易的哈希值
      */
     calculateHash() {
-        const payload = `${this.fromAddress}${this.toAddress}${this.amount}${this.timestamp}${this.type}`;
-        return sha256Hex(payload);
+        return sha256Hex(this.getSigningPayload());
+    }
+
+    /**
+     * 获取发送方需要支付的总额
+     * 铸造和角色变更交易的发送方是授权者，只支付手续费
+     * @returns {number} 发送方支付的金额加手续费
+     */
+    getTotalCost() {
+        if (this.type === 'mint' || this.type === 'role') {
+            return this.fee || 0;
+        }
+        return this.amount + (this.fee || 0);
+    }
+
+    /**
+     * 计算完整交易哈希
+     * 覆盖交易ID、公钥和签名等全部字段，用作区块Merkle树的叶子
+     * @returns {string} 完整交易的哈希值
+     */
+    calculateFullHash() {
+        return sha256Hex(JSON.stringify(this.toJSON()));
     }
 
     /**
      * 对交易进行签名
-     * @param {Object} signingKey - 签名密钥对象
+     * @param {Wallet} wallet - 发送方钱包（持有私钥）
      */
-    signTransaction(signingKey) {
-        // 检查签名密钥是否与发送方地址匹配（转账交易）
-        if (signingKey.getPublic('hex') !== this.fromAddress && this.type === 'transfer') {
+    async signTransaction(wallet) {
+        // 检查签名钱包是否与发送方地址匹配
+        if (!wallet || wallet.address !== this.fromAddress) {
             throw new Error('You cannot sign transactions for other wallets!');
         }
 
-        // 计算交易哈希并进行签名
-        const hashTx = this.calculateHash();
-        const sig = signingKey.sign(hashTx, 'base64');
-        this.signature = sig.toDER('hex'); // 存储签名
+        // 计算交易哈希并使用发送方私钥签名，交易ID取签名覆盖的哈希
+        this.publicKey = wallet.publicKey;
+        this.id = this.calculateHash();
+        this.signature = await wallet.sign(this.id);
     }
 
     /**
      * 验证交易的有效性
-     * @returns {boolean} 交易有效返回true，否则返回false
+     * 检查交易ID与签名内容的哈希一致、公钥与发送方地址匹配，并用该公钥验证交易哈希的签名
+     * @returns {Promise<boolean>} 交易有效返回true，否则返回false
      */
-    isValid() {
-        // 挖矿奖励交易（发送方为null）始终有效
+    async isValid() {
+        // 没有发送方的系统交易（创世交易和挖矿奖励）无需签名，由共识规则限制出现的位置
         if (this.fromAddress === null) return true;
-        // 系统交易（铸造和挖矿奖励）始终有效
-        if (this.type === 'mint' || this.type === 'mine') return true;
-        
-        // 对于测试目的，目前认为所有交易都有效
-        // 在生产环境中，会实现适当的签名验证
-        return true;
+
+        if (!this.signature || !this.publicKey) {
+            return false;
+        }
+
+        // 交易ID由签名内容推导，防止转发时替换ID
+        const hash = this.calculateHash();
+        if (this.id !== hash) {
+            return false;
+        }
+
+        // 公钥必须推导出发送方地址，防止用他人公钥冒充（链上可能存在旧格式地址）
+        if (deriveAddress(this.publicKey) !== normalizeAddress(this.fromAddress)) {
+            return false;
+        }
+
+        try {
+            return await ed25519VerifyHex(this.publicKey, hash, this.signature);
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
@@ -65,15 +140,25 @@ export class Transaction {
      * @returns {Object} 包含交易数据的JSON对象
      */
     toJSON() {
-        return {
+        const data = {
             id: this.id,                 // 交易ID
             fromAddress: this.fromAddress, // 发送方地址
             toAddress: this.toAddress,     // 接收方地址
             amount: this.amount,           // 交易金额
+            fee: this.fee,                 // 交易手续费
             type: this.type,               // 交易类型
+            nonce: this.nonce,             // 发送方序列号
             timestamp: this.timestamp,     // 时间戳
+            publicKey: this.publicKey,     // 发送方公钥
             signature: this.signature      // 签名
         };
+
+        // 只有带附加数据的交易输出 data 字段，其他交易的完整哈希保持不变
+        if (this.data) {
+            data.data = this.data;         // 附加数据
+        }
+
+        return data;
     }
 
     /**
@@ -83,13 +168,18 @@ export class Transaction {
      */
     static fromJSON(data = {}) {
         const tx = Object.create(Transaction.prototype);
-        tx.id = data.id ?? uuidv4();
         tx.fromAddress = data.fromAddress ?? null;
         tx.toAddress = data.toAddress ?? null;
         tx.amount = data.amount ?? 0;
+        tx.fee = data.fee ?? 0;
         tx.type = data.type ?? 'transfer';
+        tx.nonce = data.nonce ?? null;
         tx.timestamp = data.timestamp ?? Date.now();
+        tx.publicKey = data.publicKey ?? null;
         tx.signature = data.signature ?? null;
+        tx.data = data.data ?? null;
+        // 未提供ID时，签名交易使用签名内容的哈希，系统交易随机生成
+        tx.id = data.id ?? (tx.fromAddress ? tx.calculateHash() : uuidv4());
         return tx;
     }
 }
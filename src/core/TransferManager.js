@@ -1,4 +1,5 @@
 import { Transaction } from './Transaction.js';
+import { assertAddress, validateAddress, normalizeAddress } from '../utils/address.js';
 
 export class TransferManager {
     /**
@@ -17,19 +18,20 @@ export class TransferManager {
      * @param {string} fromAddress - 发送方地址
      * @param {string} toAddress - 接收方地址
      * @param {number} amount - 转账金额
-     * @param {string} privateKey - 私钥（可选）
-     * @returns {Object} 包含交易信息的结果对象
+     * @param {string} privateKey - 私钥（可选，未托管的钱包必须提供）
+     * @param {number|null} fee - 手续费（为空时使用估算手续费）
+     * @param {Object|null} principal - 发起请求的已认证身份（使用已解锁的托管钱包时必须与解锁者一致）
+     * @returns {Promise<Object>} 包含交易信息的结果对象
      */
-    createTransfer(fromAddress, toAddress, amount, privateKey = null) {
+    async createTransfer(fromAddress, toAddress, amount, privateKey = null, fee = null, principal = null) {
         // 参数验证
         if (!fromAddress || !toAddress) {
             throw new Error('From and to addresses are required');
         }
 
-        // 地址格式验证
-        if (!this.walletManager.isValidAddress(fromAddress) || !this.walletManager.isValidAddress(toAddress)) {
-            throw new Error('Invalid address format');
-        }
+        // 地址格式验证（必须是带校验和的地址）
+        assertAddress(fromAddress, 'from address');
+        assertAddress(toAddress, 'to address');
 
         // 金额验证
         if (amount <= 0) {
@@ -41,28 +43,28 @@ export class TransferManager {
             throw new Error('Cannot transfer to the same address');
         }
 
-        // 余额检查
-        const balance = this.blockchain.getBalance(fromAddress);
-        if (balance < amount) {
-            throw new Error(`Insufficient balance. Available: ${balance}, Required: ${amount}`);
+        // 手续费验证
+        const transactionFee = fee ?? this.estimateTransactionFee(amount);
+        if (!Number.isFinite(transactionFee) || transactionFee < 0) {
+            throw new Error('Fee must be a non-negative number');
         }
 
-        // 创建交易对象
-        const transaction = new Transaction(fromAddress, toAddress, amount, 'transfer');
-
-        // 如果提供了私钥，则对交易进行签名
-        if (privateKey) {
-            const wallet = this.walletManager.wallets.get(fromAddress);
-            if (wallet && wallet.privateKey === privateKey) {
-                const signature = wallet.sign(transaction.calculateHash());
-                transaction.signature = signature;
-            } else {
-                throw new Error('Invalid private key or wallet not found');
-            }
+        // 余额检查（扣除待处理的支出，包含手续费）
+        const balance = this.blockchain.getSpendableBalance(fromAddress);
+        if (balance < amount + transactionFee) {
+            throw new Error(`Insufficient balance. Available: ${balance}, Required: ${amount + transactionFee}`);
         }
 
+        // 创建交易对象，使用发送方下一个序列号
+        const nonce = this.blockchain.getNextNonce(fromAddress);
+        const transaction = new Transaction(fromAddress, toAddress, amount, 'transfer', nonce, transactionFee);
+
+        // 使用发送方钱包对交易进行签名
+        const wallet = await this.walletManager.getSigningWallet(fromAddress, privateKey, principal);
+        await transaction.signTransaction(wallet);
+
         // 将交易添加到区块链
-        this.blockchain.createTransaction(transaction);
+        await this.blockchain.createTransaction(transaction);
 
         // 返回成功结果
         return {
@@ -72,6 +74,70 @@ export class TransferManager {
         };
     }
 
+    /**
+     * 提交客户端签名的转账交易
+     * 服务器不接触私钥，仅验证签名与发送方地址匹配后加入待处理交易池
+     * @param {Object} data - 已签名的交易数据
+     * @param {string} data.fromAddress - 发送方地址
+     * @param {string} data.toAddress - 接收方地址
+     * @param {number} data.amount - 转账金额
+     * @param {number} data.fee - 手续费（可选，默认为0）
+     * @param {number} data.nonce - 发送方序列号
+     * @param {number} data.timestamp - 签名时使用的时间戳
+     * @param {string} data.publicKey - 发送方公钥
+     * @param {string} data.signature - 交易哈希的签名
+     * @returns {Promise<Object>} 包含交易信息的结果对象
+     */
+    async submitSignedTransfer(data = {}) {
+        const { fromAddress, toAddress, amount, fee = 0, nonce, timestamp, publicKey, signature } = data;
+
+        // 参数验证
+        const validation = this.validateTransferRequest(fromAddress, toAddress, amount, fee);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join('; '));
+        }
+
+        if (!Number.isInteger(nonce) || nonce < 0) {
+            throw new Error('Nonce must be a non-negative integer');
+        }
+
+        if (!Number.isFinite(timestamp)) {
+            throw new Error('Timestamp is required');
+        }
+
+        if (!publicKey || !signature) {
+            throw new Error('Public key and signature are required');
+        }
+
+        // 按客户端签名时的字段还原交易
+        const transaction = Transaction.fromJSON({
+            fromAddress,
+            toAddress,
+            amount,
+            fee,
+            type: 'transfer',
+            nonce,
+            timestamp,
+            publicKey,
+            signature
+        });
+
+        // 验证签名与发送方地址
+        if (!(await transaction.isValid())) {
+            throw new Error('Invalid transaction signature');
+        }
+
+        // 将交易添加到区块链
+        await this.blockchain.createTransaction(transaction);
+
+        // 返回成功结果
+        return {
+            success: true,
+            transaction: transaction.toJSON(),
+            message: `Signed transfer of ${amount} COSMO from ${fromAddress} to ${toAddress} has been queued`
+        };
+    }
+
     /**
      * 获取指定地址的交易历史
      * @param {string} address - 钱包地址
@@ -79,13 +145,8 @@ export class TransferManager {
      * @returns {Array} 包含交易历史的数组
      */
     getTransactionHistory(address, limit = 50) {
-        // 获取所有交易记录
-        const allTransactions = this.blockchain.getAllTransactions();
-        
-        // 筛选出与指定地址相关的交易
-        const userTransactions = allTransactions.filter(tx => 
-            tx.fromAddress === address || tx.toAddress === address
-        );
+        // 从账户索引获取与指定地址相关的交易
+        const userTransactions = [...this.blockchain.getTransactionsByAddress(address)];
 
         // 按时间戳降序排序（最新的在前）
         userTransactions.sort((a, b) => b.timestamp - a.timestamp);
@@ -105,16 +166,21 @@ export class TransferManager {
      * @returns {string} 交易类型（sent发送、received接收、self自己、unknown未知）
      */
     determineTransactionType(transaction, userAddress) {
+        // 按规范地址比较，旧格式地址的交易也属于同一账户
+        const account = normalizeAddress(userAddress);
+        const fromAddress = normalizeAddress(transaction.fromAddress);
+        const toAddress = normalizeAddress(transaction.toAddress);
+
         // 自己转给自己
-        if (transaction.fromAddress === userAddress && transaction.toAddress === userAddress) {
+        if (fromAddress === account && toAddress === account) {
             return 'self';
         }
         // 发送交易
-        if (transaction.fromAddress === userAddress) {
+        if (fromAddress === account) {
             return 'sent';
         }
         // 接收交易
-        if (transaction.toAddress === userAddress) {
+        if (toAddress === account) {
             return 'received';
         }
         // 未知类型
@@ -132,8 +198,9 @@ export class TransferManager {
         
         // 如果指定了地址，则筛选该地址相关的交易
         if (address) {
+            const account = normalizeAddress(address);
             pendingTxs = pendingTxs.filter(tx => 
-                tx.fromAddress === address || tx.toAddress === address
+                normalizeAddress(tx.fromAddress) === account || normalizeAddress(tx.toAddress) === account
             );
         }
 
@@ -150,31 +217,23 @@ export class TransferManager {
      * @returns {Object} 包含交易详情和区块信息的对象
      */
     getTransactionById(transactionId) {
-        // 获取所有交易记录
-        const allTransactions = this.blockchain.getAllTransactions();
-        // 根据ID查找交易
-        const transaction = allTransactions.find(tx => tx.id === transactionId);
+        // 通过交易位置索引查找交易
+        const found = this.blockchain.findTransaction(transactionId);
         
         // 如果未找到交易，抛出异常
-        if (!transaction) {
+        if (!found) {
             throw new Error('Transaction not found');
         }
 
-        // 查找包含此交易的区块信息
-        let blockInfo = null;
-        for (let i = 0; i < this.blockchain.chain.length; i++) {
-            const block = this.blockchain.chain[i];
-            const txInBlock = block.transactions.find(tx => tx.id === transactionId);
-            if (txInBlock) {
-                blockInfo = {
-                    blockIndex: i,              // 区块索引
-                    blockHash: block.hash,      // 区块哈希
-                    blockTimestamp: block.timestamp, // 区块时间戳
-                    confirmations: this.blockchain.chain.length - i // 确认数
-                };
-                break;
-            }
-        }
+        const { transaction, block, blockIndex } = found;
+
+        // 包含此交易的区块信息
+        const blockInfo = {
+            blockIndex,                         // 区块索引
+            blockHash: block.hash,              // 区块哈希
+            blockTimestamp: block.timestamp,    // 区块时间戳
+            confirmations: this.blockchain.chain.length - blockIndex // 确认数
+        };
 
         // 返回交易详情
         return {
@@ -190,16 +249,10 @@ export class TransferManager {
      * @returns {Object} 包含转账统计信息的对象
      */
     getTransferStats(address = null) {
-        // 获取所有交易记录
-        const allTransactions = this.blockchain.getAllTransactions();
-        let relevantTxs = allTransactions;
-
-        // 如果指定了地址，则筛选该地址相关的交易
-        if (address) {
-            relevantTxs = allTransactions.filter(tx => 
-                tx.fromAddress === address || tx.toAddress === address
-            );
-        }
+        // 指定地址时从账户索引获取相关交易，否则获取所有交易记录
+        const relevantTxs = address
+            ? this.blockchain.getTransactionsByAddress(address)
+            : this.blockchain.getAllTransactions();
 
         // 筛选出转账类型的交易
         const transferTxs = relevantTxs.filter(tx => tx.type === 'transfer');
@@ -209,14 +262,16 @@ export class TransferManager {
             totalTransactions: relevantTxs.length,           // 总交易数
             totalTransfers: transferTxs.length,              // 转账交易数
             totalVolume: transferTxs.reduce((sum, tx) => sum + tx.amount, 0), // 总交易量
+            totalFees: transferTxs.reduce((sum, tx) => sum + (tx.fee || 0), 0), // 总手续费
             averageAmount: transferTxs.length > 0 ? 
                 (transferTxs.reduce((sum, tx) => sum + tx.amount, 0) / transferTxs.length).toFixed(2) : 0 // 平均交易金额
         };
 
         // 如果指定了地址，计算发送和接收的详细信息
         if (address) {
-            const sentTxs = transferTxs.filter(tx => tx.fromAddress === address);    // 发送的交易
-            const receivedTxs = transferTxs.filter(tx => tx.toAddress === address);  // 接收的交易
+            const account = normalizeAddress(address);
+            const sentTxs = transferTxs.filter(tx => normalizeAddress(tx.fromAddress) === account);    // 发送的交易
+            const receivedTxs = transferTxs.filter(tx => normalizeAddress(tx.toAddress) === account);  // 接收的交易
             
             // 添加发送统计
             stats.sent = {
@@ -252,23 +307,27 @@ export class TransferManager {
      * @param {string} fromAddress - 发送方地址
      * @param {string} toAddress - 接收方地址
      * @param {number} amount - 转账金额
+     * @param {number} fee - 手续费
      * @returns {Object} 包含验证结果和错误信息的对象
      */
-    validateTransferRequest(fromAddress, toAddress, amount) {
+    validateTransferRequest(fromAddress, toAddress, amount, fee = 0) {
         const errors = []; // 错误信息数组
 
         // 基本参数验证
         if (!fromAddress) errors.push('From address is required');
         if (!toAddress) errors.push('To address is required');
         if (!amount || amount <= 0) errors.push('Amount must be greater than 0');
+        if (!Number.isFinite(fee) || fee < 0) errors.push('Fee must be a non-negative number');
 
-        // 地址格式验证
-        if (fromAddress && !this.walletManager.isValidAddress(fromAddress)) {
-            errors.push('Invalid from address format');
+        // 地址格式验证（必须是带校验和的地址）
+        const fromCheck = fromAddress ? validateAddress(fromAddress) : null;
+        if (fromCheck && !fromCheck.valid) {
+            errors.push(`Invalid from address: ${fromCheck.reason}`);
         }
 
-        if (toAddress && !this.walletManager.isValidAddress(toAddress)) {
-            errors.push('Invalid to address format');
+        const toCheck = toAddress ? validateAddress(toAddress) : null;
+        if (toCheck && !toCheck.valid) {
+            errors.push(`Invalid to address: ${toCheck.reason}`);
         }
 
         // 检查是否发送给自己
@@ -276,11 +335,11 @@ export class TransferManager {
             errors.push('Cannot transfer to the same address');
         }
 
-        // 余额验证
-        if (fromAddress && amount > 0) {
-            const balance = this.blockchain.getBalance(fromAddress);
-            if (balance < amount) {
-                errors.push(`Insufficient balance. Available: ${balance}, Required: ${amount}`);
+        // 余额验证（扣除待处理的支出，包含手续费）
+        if (fromAddress && amount > 0 && fee >= 0) {
+            const balance = this.blockchain.getSpendableBalance(fromAddress);
+            if (balance < amount + fee) {
+                errors.push(`Insufficient balance. Available: ${balance}, Required: ${amount + fee}`);
             }
         }
 
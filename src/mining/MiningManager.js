@@ -1,24 +1,35 @@
-import { saveBlockchainState, saveMiningState } from '../storage/stateStore.js';
+import { Block } from '../core/Block.js';
+import { assertAddress, normalizeAddress } from '../utils/address.js';
+
+const MINING_BATCH_SIZE = 2000;     // 每批次尝试的哈希次数，批次之间让出执行权
+
+/**
+ * 让出执行权，使其他请求（包括停止挖矿）可以在两个批次之间被处理
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
 
 export class MiningManager {
     /**
      * 挖矿管理器构造函数
      * @param {Blockchain} blockchain - 区块链实例
      * @param {WalletManager} walletManager - 钱包管理器实例
+     * @param {Object} options - 配置
+     * @param {StateStore|null} options.stateStore - 状态存储（为空时不持久化）
      */
-    constructor(blockchain, walletManager) {
+    constructor(blockchain, walletManager, { stateStore = null } = {}) {
         this.blockchain = blockchain;           // 区块链实例引用
         this.walletManager = walletManager;     // 钱包管理器实例引用
+        this.stateStore = stateStore;           // 状态存储（为空时不持久化）
         this.miners = new Map();                // 已注册矿工映射表
         this.miningStats = new Map();           // 挖矿统计数据映射表
         this.isMining = false;                  // 挖矿状态标记
         this.currentMiner = null;               // 当前挖矿的矿工地址
         this.miningStartTime = null;            // 挖矿开始时间
-        this.currentTimeoutId = null;           // 当前挖矿的定时器ID
+        this.currentJob = null;                 // 当前挖矿任务（区块模板和已尝试的哈希次数）
         this.currentMiningPromise = null;       // 当前挖矿的Promise
-        this.currentMiningResolve = null;       // 当前挖矿Promise的resolve
-        this.currentMiningReject = null;        // 当前挖矿Promise的reject
-        this.currentMiningDuration = null;      // 当前挖矿预计耗时
     }
 
     /**
@@ -28,10 +39,8 @@ export class MiningManager {
      * @returns {Object} 注册结果对象
      */
     registerMiner(minerAddress, minerName = 'Unknown Miner') {
-        // 验证矿工地址有效性
-        if (!this.walletManager.isValidAddress(minerAddress)) {
-            throw new Error('Invalid miner address');
-        }
+        // 验证矿工地址有效性（必须是带校验和的地址）
+        assertAddress(minerAddress, 'miner address');
 
         // 检查矿工是否已注册
         if (this.miners.has(minerAddress)) {
@@ -44,7 +53,8 @@ export class MiningManager {
             name: minerName,                    // 矿工名称
             registeredAt: Date.now(),           // 注册时间
             blocksMinedCount: 0,                // 挖出的区块数量
-            totalRewards: 0,                    // 总奖励
+            totalRewards: 0,                    // 总区块奖励
+            totalFees: 0,                       // 总手续费收入
             isActive: true                      // 是否活跃
         };
 
@@ -53,13 +63,15 @@ export class MiningManager {
         // 初始化矿工挖矿统计数据
         this.miningStats.set(minerAddress, {
             blocksFound: 0,                     // 找到的区块数
-            totalHashrate: 0,                   // 总哈希率
+            totalHashrate: 0,                   // 实测哈希率（次/秒）
+            totalHashes: 0,                     // 累计计算的哈希次数
+            hashingTime: 0,                     // 累计计算哈希的时间
             lastBlockTime: null,                // 最后出块时间
             averageBlockTime: 0,                // 平均出块时间
             totalMiningTime: 0                  // 总挖矿时间
         });
 
-        saveMiningState(this);
+        this.stateStore?.saveMining(this);
 
         // 返回注册成功结果
         return {
@@ -71,10 +83,14 @@ export class MiningManager {
 
     /**
      * 开始挖矿
+     * 返回的 waitUntil 不会被拒绝：挖出区块、被停止和失败时分别以成功、cancelled 和失败结果完成
      * @param {string} minerAddress - 矿工地址
      * @returns {Object} 开始挖矿结果对象
      */
     startMining(minerAddress) {
+        // 旧格式地址按对应的带校验和地址查找
+        minerAddress = normalizeAddress(minerAddress);
+
         // 检查矿工是否已注册
         if (!this.miners.has(minerAddress)) {
             throw new Error('Miner not registered. Please register first.');
@@ -90,40 +106,35 @@ export class MiningManager {
             throw new Error('No pending transactions to mine');
         }
 
+        // 构造区块模板（选取交易并丢弃无法支付的交易）
+        const { block, dropped, fees } = this.blockchain.createBlockTemplate(minerAddress);
+        if (dropped.length > 0) {
+            this.stateStore?.saveBlockchain(this.blockchain);
+        }
+
         // 设置挖矿状态
         this.isMining = true;
         this.currentMiner = minerAddress;
         this.miningStartTime = Date.now();
 
-        const duration = Math.floor(Math.random() * 5000) + 5000; // 5-10秒
-        this.currentMiningDuration = duration;
+        const job = {
+            minerAddress,                       // 矿工地址
+            block,                              // 待挖矿的区块
+            dropped,                            // 被丢弃的交易
+            fees,                               // 区块内手续费
+            hashes: 0,                          // 已尝试的哈希次数
+            cancelled: false                    // 是否已被停止
+        };
+        this.currentJob = job;
 
         // 更新矿工活跃状态
         const miner = this.miners.get(minerAddress);
         miner.isActive = true;
 
-        const miningPromise = new Promise((resolve, reject) => {
-            this.currentMiningResolve = resolve;
-            this.currentMiningReject = reject;
-            this.currentTimeoutId = setTimeout(() => {
-                try {
-                    const result = this.completeMining(minerAddress);
-                    resolve(result);
-                } catch (error) {
-                    reject(error);
-                } finally {
-                    this.currentTimeoutId = null;
-                    this.currentMiningResolve = null;
-                    this.currentMiningReject = null;
-                    this.currentMiningDuration = null;
-                    this.currentMiningPromise = null;
-                }
-            }, duration);
-        });
-
+        const miningPromise = this.runMiningJob(job).catch(error => this.failMining(job, error));
         this.currentMiningPromise = miningPromise;
 
-        saveMiningState(this);
+        this.stateStore?.saveMining(this);
 
         // 返回开始挖矿结果
         return {
@@ -132,59 +143,83 @@ export class MiningManager {
                 message: `Mining started by ${miner.name}`,
                 minerAddress: minerAddress,
                 pendingTransactions: this.blockchain.pendingTransactions.length,
-                difficulty: this.blockchain.difficulty,
-                estimatedDurationMs: duration
+                blockTransactions: block.transactions.length,
+                difficulty: block.getDifficulty(),
+                target: block.target,
+                expectedHashes: Block.expectedAttempts(block.getDifficulty())
             },
             waitUntil: miningPromise
         };
     }
 
+    /**
+     * 执行挖矿任务
+     * 分批搜索nonce，每批之前让出执行权并检查是否已被停止
+     * @param {Object} job - 挖矿任务
+     * @returns {Promise<Object>} 挖矿完成结果对象
+     */
+    async runMiningJob(job) {
+        for (;;) {
+            await yieldToEventLoop();
+
+            if (job.cancelled) {
+                return this.cancelledResult(job);
+            }
+
+            // 其他节点的区块已延伸链尾时，基于新的链尾重新构造区块模板
+            if (job.block.previousHash !== this.blockchain.getLatestBlock().hash) {
+                const template = this.blockchain.createBlockTemplate(job.minerAddress);
+                job.block = template.block;
+                job.fees = template.fees;
+                job.dropped.push(...template.dropped);
+            }
+
+            const { found, attempts } = job.block.mineChunk(MINING_BATCH_SIZE);
+            job.hashes += attempts;
+
+            if (found) {
+                return this.completeMining(job);
+            }
+        }
+    }
+
     /**
      * 完成挖矿
-     * @param {string} minerAddress - 矿工地址
-     * @returns {Object} 挖矿完成结果对象
+     * @param {Object} job - 已找到有效哈希的挖矿任务
+     * @returns {Promise<Object>} 挖矿完成结果对象
      */
-    completeMining(minerAddress) {
-        // 检查挖矿状态和当前矿工是否匹配
-        if (!this.isMining || this.currentMiner !== minerAddress) {
-            return;
+    async completeMining(job) {
+        const { minerAddress, block: newBlock, dropped, fees } = job;
+
+        // 检查挖矿状态和当前任务是否匹配
+        if (!this.isMining || this.currentJob !== job) {
+            return this.cancelledResult(job);
         }
 
-        try {
-            // 挖掘待处理交易
-            this.blockchain.minePendingTransactions(minerAddress);
-            saveBlockchainState(this.blockchain);
+        // 计算挖矿结束时间和持续时间
+        const miningEndTime = Date.now();
+        const miningDuration = miningEndTime - this.miningStartTime;
 
-            // 计算挖矿结束时间和持续时间
-            const miningEndTime = Date.now();
-            const miningDuration = miningEndTime - this.miningStartTime;
+        try {
+            // 将挖出的区块按共识规则校验后加入区块链
+            await this.blockchain.addBlock(newBlock);
 
             // 更新矿工统计数据
             const miner = this.miners.get(minerAddress);
             const stats = this.miningStats.get(minerAddress);
 
             miner.blocksMinedCount += 1;        // 增加挖出区块数
-            miner.totalRewards += this.blockchain.miningReward; // 增加总奖励
+            miner.totalRewards += this.blockchain.miningReward; // 增加总区块奖励
+            miner.totalFees = (miner.totalFees ?? 0) + fees;    // 增加总手续费收入
 
             stats.blocksFound += 1;             // 增加找到的区块数
             stats.lastBlockTime = miningEndTime; // 更新最后出块时间
             stats.totalMiningTime += miningDuration; // 增加总挖矿时间
             stats.averageBlockTime = stats.totalMiningTime / stats.blocksFound; // 更新平均出块时间
+            this.recordHashes(stats, job.hashes, miningDuration);
 
-            // 重置挖矿状态
-            this.isMining = false;
-            this.currentMiner = null;
-            this.miningStartTime = null;
-            this.currentTimeoutId = null;
-            this.currentMiningPromise = null;
-            this.currentMiningResolve = null;
-            this.currentMiningReject = null;
-            this.currentMiningDuration = null;
-
-            // 获取最新挖出的区块
-            const newBlock = this.blockchain.getLatestBlock();
-
-            saveMiningState(this);
+            this.resetMiningState();
+            this.stateStore?.saveMining(this);
 
             // 返回挖矿成功结果
             return {
@@ -192,32 +227,96 @@ export class MiningManager {
                 message: `Block successfully mined by ${miner.name}`,
                 block: newBlock.toJSON(),
                 miningDuration: miningDuration,
+                hashes: job.hashes,
                 reward: this.blockchain.miningReward,
-                blockHash: newBlock.hash
+                fees,
+                blockHash: newBlock.hash,
+                droppedTransactions: dropped.map(tx => tx.id)
             };
         } catch (error) {
-            // 发生错误时重置挖矿状态
-            this.isMining = false;
-            this.currentMiner = null;
-            this.miningStartTime = null;
-            this.currentTimeoutId = null;
-            this.currentMiningPromise = null;
-            this.currentMiningResolve = null;
-            this.currentMiningReject = null;
-            this.currentMiningDuration = null;
-
-            saveMiningState(this);
-            
+            // 挖矿状态由 failMining 重置
             throw new Error(`Mining failed: ${error.message}`);
         }
     }
 
+    /**
+     * 已停止的挖矿任务的结果
+     * @param {Object} job - 挖矿任务
+     * @returns {Object} 挖矿停止结果对象
+     */
+    cancelledResult(job) {
+        return {
+            success: false,
+            cancelled: true,
+            message: 'Mining stopped by user',
+            minerAddress: job.minerAddress,
+            hashes: job.hashes
+        };
+    }
+
+    /**
+     * 处理挖矿任务中的错误
+     * 任务仍是当前任务时重置挖矿状态，错误只记录日志，不向调用方抛出
+     * @param {Object} job - 挖矿任务
+     * @param {Error} error - 错误
+     * @returns {Object} 挖矿失败结果对象
+     */
+    failMining(job, error) {
+        if (this.currentJob === job) {
+            this.resetMiningState();
+            const miner = this.miners.get(job.minerAddress);
+            if (miner) {
+                miner.isActive = false;
+            }
+            this.stateStore?.saveMining(this);
+        }
+
+        console.log(`Mining by ${job.minerAddress} failed: ${error.message}`);
+
+        return {
+            success: false,
+            cancelled: false,
+            message: error.message,
+            minerAddress: job.minerAddress,
+            hashes: job.hashes
+        };
+    }
+
+    /**
+     * 累计矿工的哈希次数并更新实测哈希率
+     * @param {Object} stats - 矿工挖矿统计数据
+     * @param {number} hashes - 本次计算的哈希次数
+     * @param {number} elapsed - 本次挖矿耗时（毫秒）
+     */
+    recordHashes(stats, hashes, elapsed) {
+        if (!stats) {
+            return;
+        }
+
+        stats.totalHashes = (stats.totalHashes ?? 0) + hashes;
+        stats.hashingTime = (stats.hashingTime ?? 0) + elapsed;
+        stats.totalHashrate = stats.hashingTime > 0 ? stats.totalHashes / (stats.hashingTime / 1000) : 0;
+    }
+
+    /**
+     * 重置当前挖矿状态
+     */
+    resetMiningState() {
+        this.isMining = false;
+        this.currentMiner = null;
+        this.miningStartTime = null;
+        this.currentJob = null;
+        this.currentMiningPromise = null;
+    }
+
     /**
      * 停止挖矿
      * @param {string} minerAddress - 矿工地址
      * @returns {Object} 停止挖矿结果对象
      */
     stopMining(minerAddress) {
+        minerAddress = normalizeAddress(minerAddress);
+
         // 检查是否有挖矿进行中
         if (!this.isMining) {
             throw new Error('No mining in progress');
@@ -228,30 +327,21 @@ export class MiningManager {
             throw new Error('You are not the current miner');
         }
 
-        // 重置挖矿状态
-        this.isMining = false;
-        this.currentMiner = null;
-        this.miningStartTime = null;
-
-        if (this.currentTimeoutId) {
-            clearTimeout(this.currentTimeoutId);
-            this.currentTimeoutId = null;
-        }
-
-        if (this.currentMiningReject) {
-            this.currentMiningReject(new Error('Mining stopped by user'));
+        // 通知挖矿任务在下一个批次前停止，并记录已完成的哈希计算
+        const job = this.currentJob;
+        if (job) {
+            job.cancelled = true;
+            this.recordHashes(this.miningStats.get(minerAddress), job.hashes, Date.now() - this.miningStartTime);
         }
 
-        this.currentMiningPromise = null;
-        this.currentMiningResolve = null;
-        this.currentMiningReject = null;
-        this.currentMiningDuration = null;
+        // 重置挖矿状态
+        this.resetMiningState();
 
         // 更新矿工活跃状态
         const miner = this.miners.get(minerAddress);
         miner.isActive = false;
 
-        saveMiningState(this);
+        this.stateStore?.saveMining(this);
 
         // 返回停止挖矿结果
         return {
@@ -266,6 +356,9 @@ export class MiningManager {
      * @returns {Object} 包含挖矿状态信息的对象
      */
     getMiningStatus() {
+        const expectedHashes = Block.expectedAttempts(this.blockchain.difficulty);
+        const currentHashrate = this.getCurrentHashrate();
+
         return {
             isMining: this.isMining,                            // 是否正在挖矿
             currentMiner: this.currentMiner,                    // 当前矿工地址
@@ -273,17 +366,53 @@ export class MiningManager {
             difficulty: this.blockchain.difficulty,             // 挖矿难度
             pendingTransactions: this.blockchain.pendingTransactions.length, // 待处理交易数
             miningReward: this.blockchain.miningReward,         // 挖矿奖励
-            estimatedTimeToBlock: this.isMining ? 
-                Math.max(0, (this.currentMiningDuration ?? 0) - (Date.now() - this.miningStartTime)) : null // 预计出块时间
+            hashesTried: this.currentJob ? this.currentJob.hashes : 0, // 当前任务已尝试的哈希次数
+            expectedHashes,                                     // 找到区块的期望哈希次数
+            currentHashrate,                                    // 当前任务实测哈希率（次/秒）
+            networkHashrate: this.calculateNetworkHashrate(),   // 全部矿工累计实测哈希率（次/秒）
+            // 预计出块时间：每次尝试相互独立，剩余期望次数始终为期望哈希次数
+            estimatedTimeToBlock: this.isMining && currentHashrate > 0 ?
+                Math.round(expectedHashes / currentHashrate * 1000) : null
         };
     }
 
+    /**
+     * 获取当前挖矿任务的实测哈希率
+     * @returns {number} 哈希率（次/秒），未在挖矿时返回0
+     */
+    getCurrentHashrate() {
+        if (!this.isMining || !this.currentJob) {
+            return 0;
+        }
+        const elapsed = Date.now() - this.miningStartTime;
+        return elapsed > 0 ? this.currentJob.hashes / (elapsed / 1000) : 0;
+    }
+
+    /**
+     * 计算网络哈希率
+     * 以全部矿工累计的哈希次数除以累计计算时间
+     * @returns {number} 哈希率（次/秒）
+     */
+    calculateNetworkHashrate() {
+        let totalHashes = 0;
+        let hashingTime = 0;
+
+        this.miningStats.forEach(stats => {
+            totalHashes += stats.totalHashes ?? 0;
+            hashingTime += stats.hashingTime ?? 0;
+        });
+
+        return hashingTime > 0 ? totalHashes / (hashingTime / 1000) : 0;
+    }
+
     /**
      * 获取矿工信息
      * @param {string} minerAddress - 矿工地址
      * @returns {Object} 包含矿工详细信息的对象
      */
     getMinerInfo(minerAddress) {
+        minerAddress = normalizeAddress(minerAddress);
+
         // 检查矿工是否存在
         if (!this.miners.has(minerAddress)) {
             throw new Error('Miner not found');
@@ -346,22 +475,24 @@ export class MiningManager {
         const activeMiners = Array.from(this.miners.values()).filter(m => m.isActive).length;
         
         let totalBlocks = 0;     // 总挖出区块数
-        let totalRewards = 0;    // 总分发奖励
-        let totalHashrate = 0;   // 总哈希率
+        let totalRewards = 0;    // 总分发区块奖励
+        let totalFees = 0;       // 总手续费收入
+        let totalHashes = 0;     // 累计哈希次数
 
-        // 计算总挖出区块数和总奖励
+        // 计算总挖出区块数、总奖励和总手续费
         this.miners.forEach(miner => {
             totalBlocks += miner.blocksMinedCount;
             totalRewards += miner.totalRewards;
+            totalFees += miner.totalFees ?? 0;
         });
 
-        // 计算总哈希率
+        // 计算累计哈希次数
         this.miningStats.forEach(stats => {
-            totalHashrate += stats.totalHashrate;
+            totalHashes += stats.totalHashes ?? 0;
         });
 
         // 计算网络哈希率
-        const networkHashrate = totalHashrate / totalMiners || 0;
+        const networkHashrate = this.calculateNetworkHashrate();
         // 计算平均出块时间
         const averageBlockTime = this.blockchain.chain.length > 1 ? 
             this.calculateAverageBlockTime() : 0;
@@ -371,7 +502,9 @@ export class MiningManager {
             totalMiners,                          // 总矿工数
             activeMiners,                         // 活跃矿工数
             totalBlocksMined: totalBlocks,        // 总挖出区块数
-            totalRewardsDistributed: totalRewards, // 总分发奖励
+            totalRewardsDistributed: totalRewards, // 总分发区块奖励
+            totalFeesCollected: totalFees,        // 总手续费收入
+            totalHashes,                          // 累计哈希次数
             networkHashrate: networkHashrate.toFixed(2), // 网络哈希率
             averageBlockTime: averageBlockTime.toFixed(2), // 平均出块时间
             difficulty: this.blockchain.difficulty,        // 挖矿难度
@@ -399,31 +532,12 @@ export class MiningManager {
     }
 
     /**
-     * 调整挖矿难度
-     * @returns {Object} 包含新难度信息的对象
+     * 获取难度调整信息
+     * 难度由共识规则按区块高度自动调整，不支持手动修改
+     * @returns {Object} 包含当前难度和下次调整信息的对象
      */
-    adjustDifficulty() {
-        const averageBlockTime = this.calculateAverageBlockTime(); // 计算平均出块时间
-        const targetTime = 60000; // 目标出块时间（1分钟）
-
-        // 根据平均出块时间调整难度
-        if (averageBlockTime < targetTime * 0.8) {
-            // 如果出块太快，增加难度
-            this.blockchain.difficulty += 1;
-        } else if (averageBlockTime > targetTime * 1.2 && this.blockchain.difficulty > 1) {
-            // 如果出块太慢且难度大于1，降低难度
-            this.blockchain.difficulty -= 1;
-        }
-
-        saveMiningState(this);
-        saveBlockchainState(this.blockchain);
-
-        // 返回调整后的难度信息
-        return {
-            newDifficulty: this.blockchain.difficulty,  // 新难度
-            averageBlockTime: averageBlockTime,         // 平均出块时间
-            targetTime: targetTime                      // 目标出块时间
-        };
+    getDifficultyInfo() {
+        return this.blockchain.getDifficultyInfo();
     }
 
     /**
@@ -432,6 +546,8 @@ export class MiningManager {
      * @returns {Object} 注销结果对象
      */
     unregisterMiner(minerAddress) {
+        minerAddress = normalizeAddress(minerAddress);
+
         // 检查矿工是否存在
         if (!this.miners.has(minerAddress)) {
             throw new Error('Miner not found');
@@ -446,7 +562,7 @@ export class MiningManager {
         this.miners.delete(minerAddress);
         this.miningStats.delete(minerAddress);
 
-        saveMiningState(this);
+        this.stateStore?.saveMining(this);
 
         // 返回注销成功结果
         return {
@@ -460,7 +576,6 @@ export class MiningManager {
             isMining: this.isMining,
             currentMiner: this.currentMiner,
             miningStartTime: this.miningStartTime,
-            currentMiningDuration: this.currentMiningDuration,
             miners: Array.from(this.miners.values()),
             miningStats: Array.from(this.miningStats.entries()).map(([address, stats]) => ({
                 address,
@@ -472,10 +587,12 @@ export class MiningManager {
     loadFromJSON(data = {}) {
         const { miners = [], miningStats = [] } = data;
 
+        // 旧版本注册的矿工地址迁移为带校验和的地址
         this.miners = new Map();
         miners.forEach(miner => {
             if (miner && miner.address) {
-                this.miners.set(miner.address, { ...miner });
+                const address = normalizeAddress(miner.address);
+                this.miners.set(address, { ...miner, address });
             }
         });
 
@@ -483,19 +600,12 @@ export class MiningManager {
         miningStats.forEach(entry => {
             if (entry && entry.address) {
                 const { address, ...stats } = entry;
-                this.miningStats.set(address, { ...stats });
+                this.miningStats.set(normalizeAddress(address), { ...stats });
             }
         });
 
-        this.isMining = false;
-        this.currentMiner = null;
-        this.miningStartTime = null;
-        this.currentTimeoutId = null;
-        this.currentMiningPromise = null;
-        this.currentMiningResolve = null;
-        this.currentMiningReject = null;
-        this.currentMiningDuration = null;
+        this.resetMiningState();
 
-        saveMiningState(this);
+        this.stateStore?.saveMining(this);
     }
 }
@@ -0,0 +1,297 @@
+import { Block } from '../core/Block.js';
+import { PeerManager } from './PeerManager.js';
+
+const HEADER_BATCH_SIZE = 500;       // 每次请求的区块头数量（/api/p2p/headers 的上限）
+const BLOCK_BATCH_SIZE = 50;         // 每次请求的完整区块数量（/api/p2p/blocks 的上限）
+const MAX_BATCH_RETRIES = 3;         // 单次请求失败后的重试次数
+const MAX_HEADERS = 100000;          // 单次同步最多接收的区块头数量
+
+export class ChainSync {
+    /**
+     * 链同步器构造函数
+     * 从其他节点下载区块头并校验区块头链，再分批下载区块体并按共识规则逐块加入本地链。
+     * 同步进度随状态一起持久化，中断后再次同步会跳过本地已有的区块
+     * @param {Blockchain} blockchain - 区块链实例
+     * @param {PeerManager} peerManager - 节点管理器（发起请求，同步期间暂停转发区块）
+     * @param {Object} options - 同步配置
+     * @param {number} options.headerBatchSize - 每次请求的区块头数量
+     * @param {number} options.blockBatchSize - 每次请求的完整区块数量
+     * @param {number} options.maxRetries - 单次请求失败后的重试次数
+     * @param {number} options.maxHeaders - 单次同步最多接收的区块头数量
+     * @param {StateStore|null} options.stateStore - 状态存储（为空时不持久化）
+     */
+    constructor(blockchain, peerManager, {
+        headerBatchSize = HEADER_BATCH_SIZE,
+        blockBatchSize = BLOCK_BATCH_SIZE,
+        maxRetries = MAX_BATCH_RETRIES,
+        maxHeaders = MAX_HEADERS,
+        stateStore = null
+    } = {}) {
+        this.blockchain = blockchain;           // 区块链实例引用
+        this.stateStore = stateStore;           // 状态存储（为空时不持久化）
+        this.peerManager = peerManager;         // 节点管理器引用
+        this.headerBatchSize = headerBatchSize; // 每次请求的区块头数量
+        this.blockBatchSize = blockBatchSize;   // 每次请求的完整区块数量
+        this.maxRetries = maxRetries;           // 单次请求失败后的重试次数
+        this.maxHeaders = maxHeaders;           // 单次同步最多接收的区块头数量
+        this.running = null;                    // 正在进行的同步任务
+        this.state = ChainSync.createIdleState(); // 最近一次同步的进度
+    }
+
+    static createIdleState() {
+        return {
+            status: 'idle',                 // idle、syncing、completed、failed 或 interrupted
+            peer: null,                     // 同步来源节点URL
+            resumed: false,                 // 是否继续上一次未完成的同步
+            startedAt: null,                // 开始时间
+            finishedAt: null,               // 结束时间
+            targetHeight: null,             // 对方链高度
+            targetHash: null,               // 对方链尾区块哈希
+            forkHeight: null,               // 第一个本地没有的区块高度
+            nextHeight: null,               // 下一个待下载的区块高度
+            blocksDownloaded: 0,            // 本次下载并加入本地链的区块数
+            error: null                     // 失败原因
+        };
+    }
+
+    /**
+     * 检查是否正在同步
+     * @returns {boolean} 正在同步返回true
+     */
+    isRunning() {
+        return this.running !== null;
+    }
+
+    /**
+     * 从节点同步区块链
+     * 未指定节点时继续上一次未完成的同步
+     * @param {string|null} peerUrl - 节点URL
+     * @returns {Promise<Object>} 同步结果
+     */
+    async sync(peerUrl = null) {
+        if (this.isRunning()) {
+            throw new Error('Sync already in progress');
+        }
+
+        const url = peerUrl ? PeerManager.normalizeUrl(peerUrl) : this.state.peer;
+        if (!url) {
+            throw new Error('Peer URL is required');
+        }
+
+        const resumed = url === this.state.peer && ['syncing', 'failed', 'interrupted'].includes(this.state.status);
+
+        this.running = this.run(url, resumed);
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    /**
+     * 执行同步
+     * @param {string} url - 节点URL
+     * @param {boolean} resumed - 是否继续上一次未完成的同步
+     * @returns {Promise<Object>} 同步结果
+     */
+    async run(url, resumed) {
+        const peer = this.peerManager.peers.get(url) ?? { url, lastSeen: null, failures: 0, height: null };
+
+        this.state = {
+            ...ChainSync.createIdleState(),
+            status: 'syncing',
+            peer: url,
+            resumed,
+            startedAt: Date.now()
+        };
+        this.save();
+
+        // 同步下载的历史区块不逐个转发给其他节点
+        this.peerManager.relayBlocks = false;
+
+        try {
+            const headers = await this.fetchHeaders(peer);
+
+            const tip = headers[headers.length - 1];
+            this.state.targetHeight = headers.length - 1;
+            this.state.targetHash = tip.hash;
+
+            if (this.getHeaderChainWork(headers) <= this.blockchain.getChainWork()) {
+                return this.finish(`Local chain already has at least as much work as ${url}`);
+            }
+
+            // 从第一个本地没有的区块开始下载，中断前已加入本地链的区块不再重复下载
+            const missingHeight = headers.findIndex(header => !this.blockchain.hasBlock(header.hash));
+            let height = missingHeight === -1 ? headers.length : missingHeight;
+            this.state.forkHeight = height;
+            this.state.nextHeight = height;
+            this.save();
+
+            while (height < headers.length) {
+                const limit = Math.min(this.blockBatchSize, headers.length - height);
+                const { blocks } = await this.requestWithRetry(peer, `/api/p2p/blocks?from=${height}&limit=${limit}`);
+                if (!Array.isArray(blocks) || blocks.length === 0) {
+                    throw new Error(`Peer returned no blocks at height ${height}`);
+                }
+
+                for (const data of blocks.slice(0, limit)) {
+                    const block = Block.fromJSON(data);
+                    if (block.hash !== headers[height].hash) {
+                        throw new Error(`Block at height ${height} does not match the validated header`);
+                    }
+
+                    if (!this.blockchain.hasBlock(block.hash)) {
+                        await this.blockchain.addBlock(block);
+                        this.state.blocksDownloaded += 1;
+                    }
+                    height += 1;
+                }
+
+                this.state.nextHeight = height;
+                this.save();
+                console.log(`Synced ${height}/${headers.length} blocks from ${url}`);
+            }
+
+            if (this.blockchain.getLatestBlock().hash !== tip.hash) {
+                throw new Error('Synced chain did not become the main chain');
+            }
+
+            // 同步完成后只转发新的链尾
+            this.peerManager.relayBlocks = true;
+            await this.peerManager.relay(this.peerManager.broadcastBlock(tip));
+
+            return this.finish(`Synced to height ${headers.length - 1} from ${url}`);
+        } catch (error) {
+            this.state.status = 'failed';
+            this.state.error = error.message;
+            this.state.finishedAt = Date.now();
+            this.save();
+            throw new Error(`Sync failed: ${error.message}`);
+        } finally {
+            this.peerManager.relayBlocks = true;
+        }
+    }
+
+    /**
+     * 分批获取对方的全部区块头
+     * 每批到达时立即校验，收到不足一批时结束；不依赖对方声明的链高度，超过区块头数量上限时中止
+     * @param {Object} peer - 节点信息
+     * @returns {Promise<Array<Block>>} 已校验的区块头（只包含区块头字段的区块）
+     */
+    async fetchHeaders(peer) {
+        const headers = [];
+        let batch;
+
+        do {
+            const data = await this.requestWithRetry(
+                peer,
+                `/api/p2p/headers?from=${headers.length}&limit=${this.headerBatchSize}`
+            );
+            batch = Array.isArray(data?.headers) ? data.headers.slice(0, this.headerBatchSize) : [];
+
+            for (const header of batch) {
+                if (headers.length >= this.maxHeaders) {
+                    throw new Error(`Peer returned more than ${this.maxHeaders} headers`);
+                }
+                headers.push(Block.fromJSON({ ...header, transactions: [] }));
+                this.validateHeader(headers, headers.length - 1);
+            }
+        } while (batch.length === this.headerBatchSize);
+
+        if (headers.length === 0) {
+            throw new Error('Peer returned no headers');
+        }
+
+        peer.height = headers.length - 1;
+        return headers;
+    }
+
+    /**
+     * 校验区块头链中的一个区块头
+     * 创世区块必须与本地相同，之后每个区块头按共识规则校验前哈希、哈希、时间戳和工作量证明
+     * @param {Array<Block>} headers - 已接收的区块头（包含该高度之前的全部区块头）
+     * @param {number} height - 区块头高度
+     */
+    validateHeader(headers, height) {
+        if (height === 0) {
+            if (headers[0].hash !== this.blockchain.chain[0].hash) {
+                throw new Error('Peer has a different genesis block');
+            }
+            return;
+        }
+
+        const failure = this.blockchain.validator.validateHeader(headers[height], height, headers);
+        if (failure) {
+            throw new Error(`Invalid header at height ${height} (${failure.reason}): ${failure.message}`);
+        }
+    }
+
+    /**
+     * 计算区块头链的累计工作量
+     * @param {Array<Block>} headers - 区块头
+     * @returns {bigint} 累计工作量
+     */
+    getHeaderChainWork(headers) {
+        return headers.reduce((work, header) => work + this.blockchain.getBlockWork(header, headers), 0n);
+    }
+
+    /**
+     * 请求节点，失败时重试
+     * @param {Object} peer - 节点信息
+     * @param {string} path - 请求路径
+     * @returns {Promise<*>} 响应中的 data 字段
+     */
+    async requestWithRetry(peer, path) {
+        let lastError;
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            try {
+                return await this.peerManager.request(peer, path);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    finish(message) {
+        this.state.status = 'completed';
+        this.state.finishedAt = Date.now();
+        this.save();
+        console.log(message);
+
+        return {
+            ...this.toJSON(),
+            height: this.blockchain.chain.length - 1,
+            message
+        };
+    }
+
+    save() {
+        this.stateStore?.saveSync(this);
+    }
+
+    /**
+     * 获取同步状态
+     * @returns {Object} 最近一次同步的进度
+     */
+    getStatus() {
+        return {
+            ...this.state,
+            running: this.isRunning(),
+            height: this.blockchain.chain.length - 1
+        };
+    }
+
+    toJSON() {
+        return { ...this.state };
+    }
+
+    loadFromJSON(data = {}) {
+        this.state = { ...ChainSync.createIdleState(), ...(data ?? {}) };
+
+        // 上次同步未结束时进程已退出
+        if (this.state.status === 'syncing') {
+            this.state.status = 'interrupted';
+        }
+    }
+}
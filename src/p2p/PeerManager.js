@@ -0,0 +1,308 @@
+import { Block } from '../core/Block.js';
+import { Transaction } from '../core/Transaction.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;     // 请求其他节点的超时时间
+
+export class PeerManager {
+    /**
+     * 节点管理器构造函数
+     * 维护节点列表，向其他节点广播新区块和新交易，并按区块链规则处理收到的区块和交易
+     * @param {Blockchain} blockchain - 区块链实例
+     * @param {Object} options - 节点配置
+     * @param {Function} options.fetch - 发起请求的函数（默认使用全局fetch，测试时可替换为进程内转发）
+     * @param {number} options.timeoutMs - 请求超时时间
+     * @param {StateStore|null} options.stateStore - 状态存储（为空时不持久化）
+     * @param {Function|null} options.waitUntil - 接收后台广播Promise的函数（为空时在当前调用中等待广播完成）
+     */
+    constructor(blockchain, {
+        fetch: fetchImpl = null,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        stateStore = null,
+        waitUntil = null
+    } = {}) {
+        this.blockchain = blockchain;                           // 区块链实例引用
+        this.stateStore = stateStore;                           // 状态存储（为空时不持久化）
+        this.fetch = fetchImpl ?? ((...args) => fetch(...args)); // 请求函数
+        this.timeoutMs = timeoutMs;                             // 请求超时时间
+        this.waitUntil = waitUntil;                             // 接收后台广播Promise的函数
+        this.peers = new Map();                                 // 节点URL -> 节点信息
+        this.relayBlocks = true;                                // 是否转发新区块（同步期间暂停）
+
+        // 本地产生或接收的新区块、新交易自动转发给其他节点
+        this.blockchain.on('block', block => (this.relayBlocks ? this.relay(this.broadcastBlock(block)) : null));
+        this.blockchain.on('transaction', transaction => this.relay(this.broadcastTransaction(transaction)));
+    }
+
+    /**
+     * 规范化节点URL
+     * @param {string} url - 节点URL
+     * @returns {string} 去掉末尾斜杠的URL
+     */
+    static normalizeUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new Error('Invalid peer URL');
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error('Peer URL must use http or https');
+        }
+
+        return `${parsed.origin}${parsed.pathname}`.replace(/\/+$/, '');
+    }
+
+    /**
+     * 添加节点
+     * 添加前请求对方的创世区块，创世区块不同的节点无法共享同一条链
+     * @param {string} url - 节点URL
+     * @returns {Promise<Object>} 节点信息
+     */
+    async addPeer(url) {
+        const peerUrl = PeerManager.normalizeUrl(url);
+        if (this.peers.has(peerUrl)) {
+            throw new Error('Peer already registered');
+        }
+
+        const peer = {
+            url: peerUrl,                       // 节点URL
+            addedAt: Date.now(),                // 添加时间
+            lastSeen: null,                     // 最后一次成功通信时间
+            failures: 0,                        // 连续失败次数
+            height: null                        // 对方最近报告的链高度
+        };
+
+        const { headers, height } = await this.request(peer, '/api/p2p/headers?from=0&limit=1');
+        if (!headers || !headers[0] || headers[0].hash !== this.blockchain.chain[0].hash) {
+            throw new Error('Peer has a different genesis block');
+        }
+        peer.height = height;
+
+        this.peers.set(peerUrl, peer);
+        this.stateStore?.savePeers(this);
+
+        return { ...peer };
+    }
+
+    /**
+     * 移除节点
+     * @param {string} url - 节点URL
+     * @returns {Object} 移除结果
+     */
+    removePeer(url) {
+        const peerUrl = PeerManager.normalizeUrl(url);
+        if (!this.peers.delete(peerUrl)) {
+            throw new Error('Peer not found');
+        }
+
+        this.stateStore?.savePeers(this);
+
+        return {
+            success: true,
+            message: `Peer ${peerUrl} removed`
+        };
+    }
+
+    /**
+     * 获取所有节点
+     * @returns {Array<Object>} 节点信息列表
+     */
+    listPeers() {
+        return Array.from(this.peers.values()).map(peer => ({ ...peer }));
+    }
+
+    /**
+     * 向节点发送请求
+     * @param {Object} peer - 节点信息
+     * @param {string} path - 请求路径
+     * @param {Object} options - 请求选项
+     * @param {string} options.method - 请求方法
+     * @param {Object} options.body - JSON请求体
+     * @returns {Promise<*>} 响应中的 data 字段
+     */
+    async request(peer, path, { method = 'GET', body } = {}) {
+        const init = {
+            method,
+            headers: { accept: 'application/json' },
+            signal: AbortSignal.timeout(this.timeoutMs)
+        };
+        if (body !== undefined) {
+            init.headers['content-type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        try {
+            const response = await this.fetch(`${peer.url}${path}`, init);
+            const payload = await response.json().catch(() => null);
+            if (!response.ok || !payload || payload.success === false) {
+                throw new Error(payload?.error || `Peer responded with HTTP ${response.status}`);
+            }
+
+            peer.lastSeen = Date.now();
+            peer.failures = 0;
+            return payload.data;
+        } catch (error) {
+            peer.failures += 1;
+            throw error;
+        }
+    }
+
+    /**
+     * 向所有节点广播
+     * @param {string} path - 请求路径
+     * @param {Object} body - JSON请求体
+     * @returns {Promise<{ delivered: number, failed: Array<{ url: string, error: string }> }>} 广播结果
+     */
+    async broadcast(path, body) {
+        const peers = Array.from(this.peers.values());
+        const results = await Promise.allSettled(
+            peers.map(peer => this.request(peer, path, { method: 'POST', body }))
+        );
+
+        const failed = [];
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                failed.push({ url: peers[index].url, error: result.reason.message });
+            }
+        });
+
+        if (failed.length > 0) {
+            console.log(`Broadcast to ${failed.length} peer(s) failed: ${failed.map(item => item.url).join(', ')}`);
+        }
+
+        return {
+            delivered: peers.length - failed.length,
+            failed
+        };
+    }
+
+    /**
+     * 转发广播
+     * 设置了 waitUntil 时把广播交给它在后台完成，不阻塞当前请求；否则返回广播Promise由调用方等待
+     * @param {Promise<Object>} broadcast - 广播Promise
+     * @returns {Promise<Object>|undefined} 未设置 waitUntil 时返回广播Promise
+     */
+    relay(broadcast) {
+        if (!this.waitUntil) {
+            return broadcast;
+        }
+        this.waitUntil(broadcast);
+        return undefined;
+    }
+
+    /**
+     * 广播新区块
+     * @param {Block} block - 新区块
+     * @returns {Promise<Object>} 广播结果
+     */
+    broadcastBlock(block) {
+        return this.broadcast('/api/p2p/blocks', { block: block.toJSON() });
+    }
+
+    /**
+     * 广播新交易
+     * @param {Transaction} transaction - 新交易
+     * @returns {Promise<Object>} 广播结果
+     */
+    broadcastTransaction(transaction) {
+        return this.broadcast('/api/p2p/tx', { transaction: transaction.toJSON() });
+    }
+
+    /**
+     * 处理其他节点发来的区块
+     * 区块通过区块链共识规则校验后延伸主链、存入侧链或触发链重组
+     * @param {Object} data - 区块JSON数据
+     * @returns {Promise<Object>} 处理结果（accepted、side-branch、reorg、duplicate 或 orphan）
+     */
+    async receiveBlock(data) {
+        const block = Block.fromJSON(data);
+
+        if (this.blockchain.hasBlock(block.hash)) {
+            return { status: 'duplicate', hash: block.hash };
+        }
+
+        // 本节点缺少父区块，需要先同步中间区块
+        if (!this.blockchain.hasBlock(block.previousHash)) {
+            return { status: 'orphan', hash: block.hash };
+        }
+
+        const { status, height, reorg } = await this.blockchain.addBlock(block);
+        const result = {
+            status: status === 'connected' ? 'accepted' : status,
+            hash: block.hash,
+            height
+        };
+        if (reorg) {
+            result.reorg = reorg;
+        }
+        return result;
+    }
+
+    /**
+     * 处理其他节点发来的交易
+     * 按本地交易规则（签名、序列号、余额）校验后加入交易池
+     * @param {Object} data - 交易JSON数据
+     * @returns {Promise<Object>} 处理结果（accepted 或 duplicate）
+     */
+    async receiveTransaction(data) {
+        const transaction = Transaction.fromJSON(data);
+
+        if (this.blockchain.mempool.has(transaction.id) || this.blockchain.findTransaction(transaction.id)) {
+            return { status: 'duplicate', id: transaction.id };
+        }
+
+        await this.blockchain.createTransaction(transaction);
+
+        return { status: 'accepted', id: transaction.id };
+    }
+
+    /**
+     * 获取区块头列表
+     * @param {number} from - 起始高度
+     * @param {number} limit - 最多返回的数量
+     * @returns {Object} 当前链高度和区块头列表
+     */
+    getHeaders(from = 0, limit = 100) {
+        return {
+            height: this.blockchain.chain.length - 1,
+            headers: this.blockchain.chain.slice(from, from + limit).map((block, offset) => ({
+                height: from + offset,
+                ...block.getHeader()
+            }))
+        };
+    }
+
+    /**
+     * 获取完整区块列表
+     * @param {number} from - 起始高度
+     * @param {number} limit - 最多返回的数量
+     * @returns {Object} 当前链高度和区块列表
+     */
+    getBlocks(from = 0, limit = 20) {
+        return {
+            height: this.blockchain.chain.length - 1,
+            blocks: this.blockchain.chain.slice(from, from + limit).map((block, offset) => ({
+                height: from + offset,
+                ...block.toJSON()
+            }))
+        };
+    }
+
+    toJSON() {
+        return {
+            peers: Array.from(this.peers.values())
+        };
+    }
+
+    loadFromJSON(data = {}) {
+        const { peers = [] } = data ?? {};
+
+        this.peers = new Map();
+        peers.forEach(peer => {
+            if (peer && peer.url) {
+                this.peers.set(peer.url, { ...peer, failures: 0 });
+            }
+        });
+    }
+}
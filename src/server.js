@@ -1,20 +1,33 @@
 import { Blockchain } from './core/Blockchain.js';
+import { loadGenesisConfig } from './core/GenesisConfig.js';
 import { TokenManager } from './core/TokenManager.js';
 import { TransferManager } from './core/TransferManager.js';
+import { RoleManager } from './core/RoleManager.js';
 import { WalletManager } from './wallet/Wallet.js';
 import { MiningManager } from './mining/MiningManager.js';
+import { PeerManager } from './p2p/PeerManager.js';
+import { ChainSync } from './p2p/ChainSync.js';
 
 import { blockchainRoutes } from './api/routes/blockchain.js';
 import { walletRoutes } from './api/routes/wallet.js';
 import { transferRoutes } from './api/routes/transfer.js';
 import { miningRoutes } from './api/routes/mining.js';
 import { tokenRoutes } from './api/routes/token.js';
-import { initializeState, readState } from './storage/stateStore.js';
+import { p2pRoutes } from './api/routes/p2p.js';
+import { adminRoutes } from './api/routes/admin.js';
+import { StateStore } from './storage/stateStore.js';
+import { MemoryStorageAdapter } from './storage/adapters/MemoryStorageAdapter.js';
+import { DurableObjectStorageAdapter } from './storage/adapters/DurableObjectStorageAdapter.js';
+import { DurableObjectRateLimitStore } from './storage/adapters/DurableObjectRateLimitStore.js';
+import { validateSchema } from './api/schemaValidator.js';
+import { authPlugin } from './api/auth.js';
+import { rateLimitPlugin, MemoryRateLimitStore } from './api/rateLimit.js';
+import genesisFile from '../genesis.json' with { type: 'json' };
 
 const DEFAULT_CORS_HEADERS = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Cosmo-Address, X-Cosmo-Public-Key, X-Cosmo-Timestamp, X-Cosmo-Signature',
     'Access-Control-Max-Age': '86400'
 };
 
@@ -26,6 +39,8 @@ class HttpError extends Error {
     }
 }
 
+const HOOK_NAMES = ['onRequest', 'preHandler', 'onSend', 'onError'];
+
 class Reply {
     constructor() {
         this.statusCode = 200;
@@ -72,6 +87,7 @@ class WorkerFastifyAdapter {
                 timestamp: new Date().toISOString()
             });
         };
+        this.hooks = Object.fromEntries(HOOK_NAMES.map(name => [name, []]));
         this.log = console;
     }
 
@@ -176,15 +192,57 @@ class WorkerFastifyAdapter {
         return maybeHandler;
     }
 
+    extractOptions(optsOrHandler) {
+        if (optsOrHandler && typeof optsOrHandler === 'object') {
+            return optsOrHandler;
+        }
+        return {};
+    }
+
     registerRoute(method, path, optsOrHandler, maybeHandler) {
         const handler = this.extractHandler(optsOrHandler, maybeHandler);
         if (typeof handler !== 'function') {
             throw new Error(`Handler for ${method} ${path} must be a function`);
         }
+        const options = this.extractOptions(optsOrHandler);
+        const { schema = null, config = {} } = options;
         const normalizedPath = this.normalizeRoutePath(path);
         const fullPath = this.combinePaths(this.currentPrefix, normalizedPath);
         const tokens = this.tokenizePath(fullPath || '/');
-        this.routes.push({ method, handler, path: fullPath || '/', tokens });
+
+        // 路由级钩子（可以是函数或函数数组）只作用于该路由
+        const hooks = Object.fromEntries(HOOK_NAMES.map(name => [name, [options[name] ?? []].flat()]));
+        this.routes.push({ method, handler, schema, config, hooks, path: fullPath || '/', tokens });
+    }
+
+    validateRequest(schema, requestWrapper) {
+        if (!schema) {
+            return [];
+        }
+
+        const errors = [];
+
+        // 路径参数和查询字符串都是字符串，按 schema 声明的类型转换
+        if (schema.params) {
+            const result = validateSchema(schema.params, requestWrapper.params, { location: 'params', coerce: true });
+            requestWrapper.params = result.value;
+            errors.push(...result.errors);
+        }
+
+        const querySchema = schema.querystring || schema.query;
+        if (querySchema) {
+            const result = validateSchema(querySchema, requestWrapper.query, { location: 'querystring', coerce: true });
+            requestWrapper.query = result.value;
+            errors.push(...result.errors);
+        }
+
+        if (schema.body) {
+            const result = validateSchema(schema.body, requestWrapper.body, { location: 'body' });
+            requestWrapper.body = result.value;
+            errors.push(...result.errors);
+        }
+
+        return errors;
     }
 
     get(path, optsOrHandler, maybeHandler) {
@@ -211,6 +269,45 @@ class WorkerFastifyAdapter {
         this.notFoundHandler = handler;
     }
 
+    /**
+     * 添加全局钩子
+     * 全局钩子作用于所有已匹配的路由，先于路由级钩子执行：
+     * - onRequest(request, reply)：请求体解析之后、参数校验之前
+     * - preHandler(request, reply)：参数校验之后、处理函数之前
+     * - onSend(request, reply, payload)：发送响应之前，返回值替换响应内容
+     * - onError(request, reply, error)：处理函数或钩子抛出错误时，在错误处理函数之前
+     * onRequest 和 preHandler 中调用 reply.send() 会结束请求，不再执行后续步骤
+     * @param {string} name - 钩子名称
+     * @param {Function} hook - 钩子函数
+     */
+    addHook(name, hook) {
+        if (!HOOK_NAMES.includes(name)) {
+            throw new Error(`Unsupported hook: ${name}`);
+        }
+        if (typeof hook !== 'function') {
+            throw new Error(`${name} hook must be a function`);
+        }
+        this.hooks[name].push(hook);
+    }
+
+    getHooks(name, route) {
+        return route ? [...this.hooks[name], ...route.hooks[name]] : this.hooks[name];
+    }
+
+    /**
+     * 依次执行请求阶段的钩子
+     * @returns {Promise<boolean>} 钩子已发送响应时返回true
+     */
+    async runRequestHooks(name, route, requestWrapper, reply) {
+        for (const hook of this.getHooks(name, route)) {
+            await hook(requestWrapper, reply);
+            if (reply.sent) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     async register(plugin, options = {}) {
         const normalizedPrefix = this.normalizePrefix(options.prefix || '');
         const parentPrefix = this.currentPrefix;
@@ -304,13 +401,32 @@ class WorkerFastifyAdapter {
         return this.finalizeReply(reply, result);
     }
 
-    async handleError(error, requestWrapper, reply) {
-        const result = await this.errorHandler(error, requestWrapper, reply);
-        return this.finalizeReply(reply, result);
+    async handleError(error, requestWrapper, reply, route = null) {
+        for (const hook of this.getHooks('onError', route)) {
+            try {
+                await hook(requestWrapper, reply, error);
+            } catch (hookError) {
+                this.log.error?.(hookError);
+            }
+        }
+
+        // 钩子已处理错误并发送响应时不再调用错误处理函数
+        const result = reply.sent ? reply.payload : await this.errorHandler(error, requestWrapper, reply);
+        return this.finalizeReply(reply, result, requestWrapper, route);
     }
 
-    finalizeReply(reply, result) {
-        const payload = reply.sent ? reply.payload : result;
+    async finalizeReply(reply, result, requestWrapper = null, route = null) {
+        let payload = reply.sent ? reply.payload : result;
+
+        if (requestWrapper) {
+            for (const hook of this.getHooks('onSend', route)) {
+                const replaced = await hook(requestWrapper, reply, payload);
+                if (replaced !== undefined) {
+                    payload = replaced;
+                }
+            }
+        }
+
         return this.buildResponse(payload, reply);
     }
 
@@ -368,136 +484,203 @@ class WorkerFastifyAdapter {
             return this.handleNotFound(requestWrapper, reply);
         }
 
+        const route = matched.definition;
+        requestWrapper.routeOptions = {
+            method: route.method,
+            url: route.path,
+            config: route.config
+        };
+
         try {
+            if (await this.runRequestHooks('onRequest', route, requestWrapper, reply)) {
+                return this.finalizeReply(reply, undefined, requestWrapper, route);
+            }
+
+            const validationErrors = this.validateRequest(route.schema, requestWrapper);
+            if (validationErrors.length > 0) {
+                reply.code(400).send({
+                    success: false,
+                    error: 'Validation failed',
+                    errors: validationErrors,
+                    timestamp: new Date().toISOString()
+                });
+                return this.finalizeReply(reply, undefined, requestWrapper, route);
+            }
+
+            if (await this.runRequestHooks('preHandler', route, requestWrapper, reply)) {
+                return this.finalizeReply(reply, undefined, requestWrapper, route);
+            }
+
             const result = await matched.handler(requestWrapper, reply);
-            return this.finalizeReply(reply, result);
+            return this.finalizeReply(reply, result, requestWrapper, route);
         } catch (error) {
-            return this.handleError(error, requestWrapper, reply);
+            return this.handleError(error, requestWrapper, reply, route);
         }
     }
 }
 
-let initializedApp;
-let initializationPromise;
-
-async function setupApplication() {
-    if (initializationPromise) {
-        await initializationPromise;
-        return initializedApp;
-    }
-
-    initializationPromise = (async () => {
-        const app = new WorkerFastifyAdapter();
-
-        initializeState();
-
-        const blockchain = new Blockchain();
-        const walletManager = new WalletManager(blockchain);
-        const tokenManager = new TokenManager(blockchain);
-        const transferManager = new TransferManager(blockchain, walletManager);
-        const miningManager = new MiningManager(blockchain, walletManager);
-
-        const snapshot = readState();
-        if (snapshot?.blockchain) {
-            blockchain.loadFromJSON(snapshot.blockchain);
-        }
-
-        if (snapshot?.wallets) {
-            walletManager.loadFromJSON(snapshot.wallets);
-        }
-
-        if (snapshot?.mining) {
-            miningManager.loadFromJSON(snapshot.mining);
-        }
-
-        app.decorate('blockchain', blockchain);
-        app.decorate('walletManager', walletManager);
-        app.decorate('tokenManager', tokenManager);
-        app.decorate('transferManager', transferManager);
-        app.decorate('miningManager', miningManager);
-        app.decorate('log', console);
-
-        app.setErrorHandler(async (error, request, reply) => {
-            app.log.error?.(error);
-
-            reply.code(500).send({
-                success: false,
-                error: 'Internal Server Error',
-                message: error.message,
-                timestamp: new Date().toISOString()
-            });
+/**
+ * 创建应用实例
+ * 每个实例使用自己的存储适配器，同一进程中创建多个实例时可通过 fetch 选项把节点间请求转发给其他实例
+ * @param {Object} options - 应用配置
+ * @param {Function} options.fetch - 节点间通信使用的请求函数（默认使用全局fetch）
+ * @param {Object} options.env - Worker 环境变量
+ * @param {Object} options.rateLimitStore - 限流令牌桶存储（默认使用内存存储）
+ * @param {Object} options.storage - 状态存储适配器（默认使用内存存储）
+ * @param {Function} options.waitUntil - 接收后台广播Promise的函数（默认在请求中等待广播完成）
+ * @returns {Promise<WorkerFastifyAdapter>} 应用实例
+ */
+export async function createApplication({
+    fetch: peerFetch = null,
+    env = {},
+    rateLimitStore = null,
+    storage = null,
+    waitUntil = null
+} = {}) {
+    const app = new WorkerFastifyAdapter();
+
+    // 创世配置：genesis.json，可被环境变量覆盖
+    const genesisConfig = loadGenesisConfig({ file: genesisFile, env });
+
+    // 先读取已持久化的状态，再创建实例，避免新的创世区块覆盖已保存的链
+    const stateStore = new StateStore(storage ?? new MemoryStorageAdapter());
+    const snapshot = stateStore.initialize();
+
+    const blockchain = new Blockchain(genesisConfig, { stateStore });
+    const walletManager = new WalletManager(blockchain, { stateStore });
+    const tokenManager = new TokenManager(blockchain, walletManager);
+    const transferManager = new TransferManager(blockchain, walletManager);
+    const roleManager = new RoleManager(blockchain, walletManager);
+    const miningManager = new MiningManager(blockchain, walletManager, { stateStore });
+    const peerManager = new PeerManager(blockchain, { fetch: peerFetch, stateStore, waitUntil });
+    const chainSync = new ChainSync(blockchain, peerManager, { stateStore });
+
+    if (snapshot?.blockchain) {
+        blockchain.loadFromJSON(snapshot.blockchain);
+    } else {
+        stateStore.saveBlockchain(blockchain);
+    }
+
+    if (snapshot?.wallets) {
+        await walletManager.loadFromJSON(snapshot.wallets);
+    }
+
+    if (snapshot?.mining) {
+        miningManager.loadFromJSON(snapshot.mining);
+    }
+
+    if (snapshot?.peers) {
+        peerManager.loadFromJSON(snapshot.peers);
+    }
+
+    if (snapshot?.sync) {
+        chainSync.loadFromJSON(snapshot.sync);
+    }
+
+    app.decorate('blockchain', blockchain);
+    app.decorate('walletManager', walletManager);
+    app.decorate('tokenManager', tokenManager);
+    app.decorate('transferManager', transferManager);
+    app.decorate('roleManager', roleManager);
+    app.decorate('miningManager', miningManager);
+    app.decorate('peerManager', peerManager);
+    app.decorate('chainSync', chainSync);
+    app.decorate('log', console);
+
+    app.setErrorHandler(async (error, request, reply) => {
+        app.log.error?.(error);
+
+        reply.code(500).send({
+            success: false,
+            error: 'Internal Server Error',
+            message: error.message,
+            timestamp: new Date().toISOString()
         });
+    });
 
-        app.setNotFoundHandler(async (request, reply) => {
-            reply.code(404).send({
-                success: false,
-                error: 'Route not found',
-                message: `Route ${request.method} ${new URL(request.url).pathname} not found`,
-                timestamp: new Date().toISOString()
-            });
+    app.setNotFoundHandler(async (request, reply) => {
+        reply.code(404).send({
+            success: false,
+            error: 'Route not found',
+            message: `Route ${request.method} ${new URL(request.url).pathname} not found`,
+            timestamp: new Date().toISOString()
         });
+    });
 
-        app.get('/health', async () => ({
-            status: 'healthy',
-            timestamp: new Date().toISOString(),
-            version: '1.0.0'
-        }));
-
-        app.get('/', async () => {
-            const chainInfo = blockchain.getChainInfo();
-            const tokenInfo = tokenManager.getTokenInfo();
-            const miningStatus = miningManager.getMiningStatus();
-            const snapshot = readState();
-
-            const sanitizedWallets = snapshot?.wallets?.wallets
-                ? snapshot.wallets.wallets.map(({ privateKey, ...rest }) => rest)
-                : [];
-
-            return {
-                message: 'Chain Cosmos API Server',
-                version: '1.0.0',
-                status: 'running',
-                blockchain: chainInfo,
-                token: tokenInfo,
-                mining: miningStatus,
-                endpoints: {
-                    blockchain: '/api/blockchain',
-                    wallets: '/api/wallets',
-                    transfers: '/api/transfers',
-                    mining: '/api/mining',
-                    tokens: '/api/tokens'
+    app.get('/health', async () => ({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+    }));
+
+    app.get('/', async () => {
+        const chainInfo = blockchain.getChainInfo();
+        const tokenInfo = tokenManager.getTokenInfo();
+        const miningStatus = miningManager.getMiningStatus();
+        const snapshot = stateStore.read();
+
+        const sanitizedWallets = snapshot?.wallets?.wallets
+            ? snapshot.wallets.wallets.map(({ privateKey, keystore, ...rest }) => rest)
+            : [];
+
+        return {
+            message: 'Chain Cosmos API Server',
+            version: '1.0.0',
+            status: 'running',
+            blockchain: chainInfo,
+            token: tokenInfo,
+            mining: miningStatus,
+            endpoints: {
+                blockchain: '/api/blockchain',
+                wallets: '/api/wallets',
+                transfers: '/api/transfers',
+                mining: '/api/mining',
+                tokens: '/api/tokens',
+                p2p: '/api/p2p',
+                admin: '/api/admin'
+            },
+            stateSnapshot: {
+                updatedAt: snapshot?.updatedAt ?? null,
+                blockchain: snapshot?.blockchain ?? null,
+                wallets: {
+                    count: snapshot?.wallets?.count ?? 0,
+                    wallets: sanitizedWallets
                 },
-                stateSnapshot: {
-                    updatedAt: snapshot?.updatedAt ?? null,
-                    blockchain: snapshot?.blockchain ?? null,
-                    wallets: {
-                        count: snapshot?.wallets?.count ?? 0,
-                        wallets: sanitizedWallets
-                    },
-                    mining: snapshot?.mining ?? null
-                }
-            };
-        });
+                mining: snapshot?.mining ?? null
+            }
+        };
+    });
 
-        console.log('🚀 Chain Cosmos Worker initialized');
+    console.log('🚀 Chain Cosmos Worker initialized');
 
-        if (walletManager.wallets.size === 0) {
-            const wallet1 = walletManager.createWallet();
-            const wallet2 = walletManager.createWallet();
+    // 按IP的限流先于认证检查；路由在 config.rateLimit 中声明限额
+    await app.register(rateLimitPlugin, { store: rateLimitStore ?? new MemoryRateLimitStore() });
 
-            console.log(`钱包 1: ${wallet1.wallet.address}`);
-            console.log(`钱包 2: ${wallet2.wallet.address}`);
+    // 路由在 config.scopes 中声明需要的权限范围，由认证插件的 onRequest 钩子检查
+    await app.register(authPlugin, { blockchain, env });
 
-            const minerResult = miningManager.registerMiner(wallet1.wallet.address, '测试矿工 1');
-            console.log(`✅ 已注册矿工: ${minerResult.miner.name}`);
-        }
+    await app.register(blockchainRoutes, { prefix: '/api/blockchain' });
+    await app.register(walletRoutes, { prefix: '/api/wallets' });
+    await app.register(transferRoutes, { prefix: '/api/transfers' });
+    await app.register(miningRoutes, { prefix: '/api/mining' });
+    await app.register(tokenRoutes, { prefix: '/api/tokens' });
+    await app.register(p2pRoutes, { prefix: '/api/p2p' });
+    await app.register(adminRoutes, { prefix: '/api/admin' });
+
+    return app;
+}
 
-        await app.register(blockchainRoutes, { prefix: '/api/blockchain' });
-        await app.register(walletRoutes, { prefix: '/api/wallets' });
-        await app.register(transferRoutes, { prefix: '/api/transfers' });
-        await app.register(miningRoutes, { prefix: '/api/mining' });
-        await app.register(tokenRoutes, { prefix: '/api/tokens' });
+let initializedApp;
+let initializationPromise;
+
+async function setupApplication(env) {
+    if (initializationPromise) {
+        await initializationPromise;
+        return initializedApp;
+    }
 
+    initializationPromise = (async () => {
+        const app = await createApplication({ env });
         initializedApp = app;
         return app;
     })().catch(error => {
@@ -509,6 +692,46 @@ async function setupApplication() {
     return initializedApp;
 }
 
+const CHAIN_NODE_NAME = 'main';
+
+/**
+ * 持有链状态的 Durable Object
+ * 所有请求串行进入同一个实例，状态写入其 SQLite 存储，isolate 重启后从存储恢复
+ */
+export class ChainNode {
+    /**
+     * @param {DurableObjectState} ctx
+     * @param {Env} env
+     */
+    constructor(ctx, env) {
+        this.ctx = ctx;
+        this.env = env;
+        this.appPromise = null;
+    }
+
+    /**
+     * @param {Request} request
+     * @returns {Promise<Response>}
+     */
+    async fetch(request) {
+        if (!this.appPromise) {
+            // 每个 Durable Object 实例持有自己的应用和存储
+            this.appPromise = createApplication({
+                env: this.env,
+                storage: new DurableObjectStorageAdapter(this.ctx.storage),
+                rateLimitStore: new DurableObjectRateLimitStore(this.ctx.storage),
+                // 向其他节点的广播在响应返回后继续完成
+                waitUntil: promise => this.ctx.waitUntil(promise)
+            }).catch(error => {
+                this.appPromise = null;
+                throw error;
+            });
+        }
+        const app = await this.appPromise;
+        return app.handle(request, this.env, this.ctx);
+    }
+}
+
 export default {
     /**
      * @param {Request} request
@@ -517,7 +740,13 @@ export default {
      * @returns {Promise<Response>}
      */
     async fetch(request, env, ctx) {
-        const app = await setupApplication();
+        // 绑定了 Durable Object 时转发给持久化节点，否则使用内存存储
+        if (env?.CHAIN_NODE) {
+            const stub = env.CHAIN_NODE.get(env.CHAIN_NODE.idFromName(CHAIN_NODE_NAME));
+            return stub.fetch(request);
+        }
+
+        const app = await setupApplication(env);
         return app.handle(request, env, ctx);
     }
 };
@@ -0,0 +1,54 @@
+import { takeToken } from '../../api/rateLimit.js';
+
+const SWEEP_INTERVAL = 1000;         // 每处理多少次请求清理一次已回满的令牌桶
+
+export class DurableObjectRateLimitStore {
+    /**
+     * Durable Object SQLite 令牌桶存储
+     * 令牌桶按键分行存储，Durable Object 串行处理请求，读写之间不会交错
+     * @param {DurableObjectStorage} storage - SQLite 后端的 Durable Object 存储（ctx.storage）
+     */
+    constructor(storage) {
+        if (!storage?.sql) {
+            throw new Error('Durable Object storage must be SQLite-backed');
+        }
+        this.sql = storage.sql;
+        this.operations = 0;            // 处理次数（用于定期清理）
+        this.sql.exec('CREATE TABLE IF NOT EXISTS rate_limits (key TEXT PRIMARY KEY, tokens REAL NOT NULL, updated_at INTEGER NOT NULL, expires_at INTEGER NOT NULL)');
+    }
+
+    /**
+     * 从令牌桶中取一个令牌
+     * @param {string} key - 限流键
+     * @param {Object} limit - 限额 { max, windowMs }
+     * @param {number} now - 当前时间
+     * @returns {Promise<{ allowed: boolean, remaining: number, retryAfterMs: number }>} 取令牌结果
+     */
+    async take(key, limit, now = Date.now()) {
+        const [row] = this.sql.exec('SELECT tokens, updated_at FROM rate_limits WHERE key = ?', key).toArray();
+        const current = row ? { tokens: row.tokens, updatedAt: row.updated_at } : null;
+
+        const { bucket, allowed, remaining, retryAfterMs, expiresAt } = takeToken(current, limit, now);
+        this.sql.exec(
+            'INSERT OR REPLACE INTO rate_limits (key, tokens, updated_at, expires_at) VALUES (?, ?, ?, ?)',
+            key,
+            bucket.tokens,
+            bucket.updatedAt,
+            expiresAt
+        );
+
+        if (++this.operations % SWEEP_INTERVAL === 0) {
+            this.sweep(now);
+        }
+
+        return { allowed, remaining, retryAfterMs };
+    }
+
+    /**
+     * 删除已回满的令牌桶
+     * @param {number} now - 当前时间
+     */
+    sweep(now = Date.now()) {
+        this.sql.exec('DELETE FROM rate_limits WHERE expires_at <= ?', now);
+    }
+}
@@ -0,0 +1,116 @@
+const SCHEMA = [
+    'CREATE TABLE IF NOT EXISTS blocks (height INTEGER PRIMARY KEY, hash TEXT NOT NULL, data TEXT NOT NULL)',
+    'CREATE TABLE IF NOT EXISTS pending_transactions (id TEXT PRIMARY KEY, data TEXT NOT NULL)',
+    'CREATE TABLE IF NOT EXISTS wallets (address TEXT PRIMARY KEY, data TEXT NOT NULL)',
+    'CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, value TEXT NOT NULL)'
+];
+
+export class DurableObjectStorageAdapter {
+    /**
+     * Durable Object SQLite 存储适配器
+     * 区块按高度、待处理交易按交易ID、钱包按地址分行存储，每次只写入变更的行
+     * @param {DurableObjectStorage} storage - SQLite 后端的 Durable Object 存储（ctx.storage）
+     */
+    constructor(storage) {
+        if (!storage?.sql) {
+            throw new Error('Durable Object storage must be SQLite-backed');
+        }
+        this.storage = storage;
+        this.sql = storage.sql;
+        SCHEMA.forEach(statement => this.sql.exec(statement));
+    }
+
+    /**
+     * 读取完整状态快照
+     * @returns {Object} 包含区块、链元数据、待处理交易、钱包、HD钱包、挖矿和节点数据的快照
+     */
+    load() {
+        const blocks = this.sql.exec('SELECT data FROM blocks ORDER BY height').toArray()
+            .map(row => JSON.parse(row.data));
+        const pendingTransactions = this.sql.exec('SELECT data FROM pending_transactions ORDER BY rowid').toArray()
+            .map(row => JSON.parse(row.data));
+        const wallets = this.sql.exec('SELECT data FROM wallets').toArray()
+            .map(row => JSON.parse(row.data));
+
+        return {
+            blocks,
+            chainMeta: this.getValue('chainMeta'),
+            pendingTransactions,
+            wallets,
+            hdWallets: this.getValue('hdWallets') ?? [],
+            mining: this.getValue('mining'),
+            peers: this.getValue('peers'),
+            sync: this.getValue('sync'),
+            updatedAt: this.getValue('updatedAt')
+        };
+    }
+
+    /**
+     * 从指定高度开始写入区块，并删除该范围之后的旧区块
+     * @param {number} startHeight - 起始高度
+     * @param {Array<Object>} blocks - 区块JSON数据
+     * @param {number} chainLength - 写入后的链长度
+     */
+    writeBlocks(startHeight, blocks, chainLength) {
+        this.transaction(() => {
+            blocks.forEach((block, offset) => {
+                this.sql.exec(
+                    'INSERT OR REPLACE INTO blocks (height, hash, data) VALUES (?, ?, ?)',
+                    startHeight + offset,
+                    block.hash,
+                    JSON.stringify(block)
+                );
+            });
+            this.sql.exec('DELETE FROM blocks WHERE height >= ?', chainLength);
+        });
+    }
+
+    putPendingTransaction(transaction) {
+        this.sql.exec(
+            'INSERT OR REPLACE INTO pending_transactions (id, data) VALUES (?, ?)',
+            transaction.id,
+            JSON.stringify(transaction)
+        );
+    }
+
+    deletePendingTransaction(id) {
+        this.sql.exec('DELETE FROM pending_transactions WHERE id = ?', id);
+    }
+
+    putWallet(wallet) {
+        this.sql.exec(
+            'INSERT OR REPLACE INTO wallets (address, data) VALUES (?, ?)',
+            wallet.address,
+            JSON.stringify(wallet)
+        );
+    }
+
+    deleteWallet(address) {
+        this.sql.exec('DELETE FROM wallets WHERE address = ?', address);
+    }
+
+    putValue(key, value) {
+        this.sql.exec('INSERT OR REPLACE INTO kv (key, value) VALUES (?, ?)', key, JSON.stringify(value));
+    }
+
+    getValue(key) {
+        const rows = this.sql.exec('SELECT value FROM kv WHERE key = ?', key).toArray();
+        return rows.length > 0 ? JSON.parse(rows[0].value) : null;
+    }
+
+    clear() {
+        this.transaction(() => {
+            this.sql.exec('DELETE FROM blocks');
+            this.sql.exec('DELETE FROM pending_transactions');
+            this.sql.exec('DELETE FROM wallets');
+            this.sql.exec('DELETE FROM kv');
+        });
+    }
+
+    transaction(callback) {
+        if (typeof this.storage.transactionSync === 'function') {
+            return this.storage.transactionSync(callback);
+        }
+        return callback();
+    }
+}
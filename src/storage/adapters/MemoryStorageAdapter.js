@@ -0,0 +1,85 @@
+function cloneValue(value) {
+    if (value === undefined || value === null) {
+        return value;
+    }
+    if (typeof structuredClone === 'function') {
+        return structuredClone(value);
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
+export class MemoryStorageAdapter {
+    /**
+     * 内存存储适配器
+     * 数据只保存在当前isolate中，用于测试和未绑定Durable Object的环境
+     */
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * 读取完整状态快照
+     * @returns {Object} 包含区块、链元数据、待处理交易、钱包、HD钱包、挖矿和节点数据的快照
+     */
+    load() {
+        const blocks = Array.from(this.blocks.entries())
+            .sort(([a], [b]) => a - b)
+            .map(([, block]) => cloneValue(block));
+
+        return {
+            blocks,
+            chainMeta: cloneValue(this.values.get('chainMeta') ?? null),
+            pendingTransactions: Array.from(this.pendingTransactions.values()).map(tx => cloneValue(tx)),
+            wallets: Array.from(this.wallets.values()).map(wallet => cloneValue(wallet)),
+            hdWallets: cloneValue(this.values.get('hdWallets') ?? []),
+            mining: cloneValue(this.values.get('mining') ?? null),
+            peers: cloneValue(this.values.get('peers') ?? null),
+            sync: cloneValue(this.values.get('sync') ?? null),
+            updatedAt: this.values.get('updatedAt') ?? null
+        };
+    }
+
+    /**
+     * 从指定高度开始写入区块，并删除该范围之后的旧区块
+     * @param {number} startHeight - 起始高度
+     * @param {Array<Object>} blocks - 区块JSON数据
+     * @param {number} chainLength - 写入后的链长度
+     */
+    writeBlocks(startHeight, blocks, chainLength) {
+        blocks.forEach((block, offset) => {
+            this.blocks.set(startHeight + offset, cloneValue(block));
+        });
+        for (const height of Array.from(this.blocks.keys())) {
+            if (height >= chainLength) {
+                this.blocks.delete(height);
+            }
+        }
+    }
+
+    putPendingTransaction(transaction) {
+        this.pendingTransactions.set(transaction.id, cloneValue(transaction));
+    }
+
+    deletePendingTransaction(id) {
+        this.pendingTransactions.delete(id);
+    }
+
+    putWallet(wallet) {
+        this.wallets.set(wallet.address, cloneValue(wallet));
+    }
+
+    deleteWallet(address) {
+        this.wallets.delete(address);
+    }
+
+    putValue(key, value) {
+        this.values.set(key, cloneValue(value));
+    }
+
+    clear() {
+        this.blocks = new Map();                // 高度 -> 区块
+        this.pendingTransactions = new Map();   // 交易ID -> 待处理交易（按加入顺序）
+        this.wallets = new Map();               // 地址 -> 钱包
+        this.values = new Map();                // 键 -> 元数据
+    }
+}
@@ -1,63 +1,225 @@
-const INITIAL_STATE = {
-    blockchain: null,
-    wallets: [],
-    mining: null,
-    updatedAt: null
-};
+import { MemoryStorageAdapter } from './adapters/MemoryStorageAdapter.js';
 
-let state = cloneValue(INITIAL_STATE);
+/**
+ * 存储适配器接口（同步）：
+ * - load(): { blocks, chainMeta, pendingTransactions, wallets, hdWallets, mining, peers, sync, updatedAt }
+ * - writeBlocks(startHeight, blocks, chainLength)
+ * - putPendingTransaction(transaction) / deletePendingTransaction(id)
+ * - putWallet(wallet) / deleteWallet(address)
+ * - putValue(key, value)
+ * - clear()
+ */
+export class StateStore {
+    /**
+     * 状态存储
+     * 每个应用实例持有自己的存储，在存储适配器之上只写入变更的区块、待处理交易和钱包
+     * @param {Object} adapter - 实现存储适配器接口的对象（默认使用内存存储）
+     */
+    constructor(adapter = new MemoryStorageAdapter()) {
+        this.adapter = adapter;                 // 存储适配器
+        this.persistedBlockHashes = [];         // 已持久化的区块哈希（按高度）
+        this.persistedChainMeta = null;         // 已持久化的链元数据JSON
+        this.persistedPendingIds = new Set();   // 已持久化的待处理交易ID
+        this.persistedWallets = new Map();      // 地址 -> 已持久化的钱包JSON
+        this.persistedHdWallets = '[]';         // 已持久化的HD钱包JSON
+    }
 
-function cloneValue(value) {
-    if (value === undefined || value === null) {
-        return value;
+    updateTimestamp() {
+        this.adapter.putValue('updatedAt', new Date().toISOString());
     }
-    if (typeof structuredClone === 'function') {
-        return structuredClone(value);
+
+    indexPersistedState() {
+        const snapshot = this.adapter.load();
+        this.persistedBlockHashes = snapshot.blocks.map(block => block.hash);
+        this.persistedChainMeta = JSON.stringify(snapshot.chainMeta);
+        this.persistedPendingIds = new Set(snapshot.pendingTransactions.map(tx => tx.id));
+        this.persistedWallets = new Map(snapshot.wallets.map(wallet => [wallet.address, JSON.stringify(wallet)]));
+        this.persistedHdWallets = JSON.stringify(snapshot.hdWallets ?? []);
+        return snapshot;
     }
-    return JSON.parse(JSON.stringify(value));
-}
 
-function updateTimestamp() {
-    state.updatedAt = new Date().toISOString();
-}
+    findFirstChangedHeight(chain) {
+        const persistedLength = this.persistedBlockHashes.length;
+
+        // 常见情况：只在链尾追加了新区块
+        if (persistedLength <= chain.length
+            && (persistedLength === 0 || chain[persistedLength - 1].hash === this.persistedBlockHashes[persistedLength - 1])) {
+            return persistedLength;
+        }
 
-export function initializeState() {
-    if (!state.updatedAt) {
-        updateTimestamp();
+        const sharedLength = Math.min(persistedLength, chain.length);
+        for (let height = 0; height < sharedLength; height += 1) {
+            if (chain[height].hash !== this.persistedBlockHashes[height]) {
+                return height;
+            }
+        }
+        return sharedLength;
     }
-    return readState();
-}
 
-export function saveBlockchainState(blockchain) {
-    if (!blockchain || typeof blockchain.toJSON !== 'function') {
-        return;
+    initialize() {
+        const snapshot = this.indexPersistedState();
+        if (!snapshot.updatedAt) {
+            this.updateTimestamp();
+        }
+        return this.read();
     }
-    state.blockchain = cloneValue(blockchain.toJSON());
-    updateTimestamp();
-}
 
-export function saveWalletState(walletManager) {
-    if (!walletManager || typeof walletManager.toJSON !== 'function') {
-        return;
+    saveBlockchain(blockchain) {
+        if (!blockchain || typeof blockchain.toJSON !== 'function' || !Array.isArray(blockchain.chain)) {
+            return;
+        }
+
+        const { chain } = blockchain;
+        const startHeight = this.findFirstChangedHeight(chain);
+        if (startHeight < chain.length || this.persistedBlockHashes.length !== chain.length) {
+            const changedBlocks = chain.slice(startHeight).map(block => block.toJSON());
+            this.adapter.writeBlocks(startHeight, changedBlocks, chain.length);
+            this.persistedBlockHashes = chain.map(block => block.hash);
+        }
+
+        this.savePendingTransactions(blockchain.mempool);
+
+        const chainMeta = blockchain.toJSON({ includeChain: false, includePending: false });
+        const serializedChainMeta = JSON.stringify(chainMeta);
+        if (serializedChainMeta !== this.persistedChainMeta) {
+            this.adapter.putValue('chainMeta', chainMeta);
+            this.persistedChainMeta = serializedChainMeta;
+        }
+        this.updateTimestamp();
     }
-    state.wallets = cloneValue(walletManager.toJSON({ includePrivate: true }));
-    updateTimestamp();
-}
 
-export function saveMiningState(miningManager) {
-    if (!miningManager || typeof miningManager.toJSON !== 'function') {
-        return;
+    /**
+     * 保存交易池的变化
+     * 交易内容不可变，只按交易ID写入新加入的交易、删除已离开交易池的交易
+     * @param {Mempool} mempool - 交易池
+     */
+    savePendingTransactions(mempool) {
+        if (!mempool?.entries) {
+            return;
+        }
+
+        for (const [id, entry] of mempool.entries) {
+            if (!this.persistedPendingIds.has(id)) {
+                this.adapter.putPendingTransaction(entry.tx.toJSON());
+                this.persistedPendingIds.add(id);
+            }
+        }
+
+        for (const id of Array.from(this.persistedPendingIds)) {
+            if (!mempool.entries.has(id)) {
+                this.adapter.deletePendingTransaction(id);
+                this.persistedPendingIds.delete(id);
+            }
+        }
     }
-    state.mining = cloneValue(miningManager.toJSON());
-    updateTimestamp();
-}
 
-export function readState() {
-    return cloneValue(state);
-}
+    /**
+     * 保存钱包
+     * 指定地址时只序列化并写入这些钱包（不存在的地址删除对应的行），否则与已持久化的钱包逐个比较
+     * @param {WalletManager} walletManager - 钱包管理器
+     * @param {Object} options - 保存选项
+     * @param {Array<string>|null} options.addresses - 发生变化的钱包地址
+     * @param {boolean} options.hdWallets - HD钱包是否发生变化（未指定地址时总是比较）
+     */
+    saveWallets(walletManager, { addresses = null, hdWallets = false } = {}) {
+        if (!walletManager || typeof walletManager.toJSON !== 'function') {
+            return;
+        }
+
+        if (addresses) {
+            addresses.forEach(address => {
+                const wallet = walletManager.wallets.get(address);
+                if (wallet) {
+                    this.writeWallet(walletManager.serializeWallet(wallet, { includePrivate: true }));
+                } else if (this.persistedWallets.delete(address)) {
+                    this.adapter.deleteWallet(address);
+                }
+            });
+        } else {
+            walletManager.wallets.forEach(wallet => {
+                this.writeWallet(walletManager.serializeWallet(wallet, { includePrivate: true }));
+            });
+
+            for (const address of Array.from(this.persistedWallets.keys())) {
+                if (!walletManager.wallets.has(address)) {
+                    this.adapter.deleteWallet(address);
+                    this.persistedWallets.delete(address);
+                }
+            }
+        }
 
-export function resetState() {
-    state = cloneValue(INITIAL_STATE);
-    updateTimestamp();
-    return readState();
+        if (!addresses || hdWallets) {
+            const { hdWallets: serializedHd = [] } = walletManager.toJSON({ includePrivate: true, includeWallets: false });
+            const serializedHdWallets = JSON.stringify(serializedHd);
+            if (serializedHdWallets !== this.persistedHdWallets) {
+                this.adapter.putValue('hdWallets', serializedHd);
+                this.persistedHdWallets = serializedHdWallets;
+            }
+        }
+
+        this.updateTimestamp();
+    }
+
+    writeWallet(wallet) {
+        const serialized = JSON.stringify(wallet);
+        if (this.persistedWallets.get(wallet.address) !== serialized) {
+            this.adapter.putWallet(wallet);
+            this.persistedWallets.set(wallet.address, serialized);
+        }
+    }
+
+    saveMining(miningManager) {
+        if (!miningManager || typeof miningManager.toJSON !== 'function') {
+            return;
+        }
+        this.adapter.putValue('mining', miningManager.toJSON());
+        this.updateTimestamp();
+    }
+
+    savePeers(peerManager) {
+        if (!peerManager || typeof peerManager.toJSON !== 'function') {
+            return;
+        }
+        this.adapter.putValue('peers', peerManager.toJSON());
+        this.updateTimestamp();
+    }
+
+    saveSync(chainSync) {
+        if (!chainSync || typeof chainSync.toJSON !== 'function') {
+            return;
+        }
+        this.adapter.putValue('sync', chainSync.toJSON());
+        this.updateTimestamp();
+    }
+
+    read() {
+        const { blocks, chainMeta, pendingTransactions, wallets, hdWallets, mining, peers, sync, updatedAt } = this.adapter.load();
+
+        // 早期版本把待处理交易保存在链元数据中
+        const pending = pendingTransactions.length > 0 ? pendingTransactions : (chainMeta?.pendingTransactions ?? []);
+
+        return {
+            blockchain: blocks.length > 0 ? { ...(chainMeta ?? {}), pendingTransactions: pending, chain: blocks } : null,
+            wallets: {
+                wallets,
+                hdWallets: hdWallets ?? [],
+                count: wallets.length
+            },
+            mining,
+            peers: peers ?? null,
+            sync: sync ?? null,
+            updatedAt
+        };
+    }
+
+    reset() {
+        this.adapter.clear();
+        this.persistedBlockHashes = [];
+        this.persistedChainMeta = null;
+        this.persistedPendingIds = new Set();
+        this.persistedWallets = new Map();
+        this.persistedHdWallets = '[]';
+        this.updateTimestamp();
+        return this.read();
+    }
 }
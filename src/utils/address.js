@@ -0,0 +1,214 @@
+import { sha256Hex, ripemd160Hex, hexToBytes, bytesToHex } from './crypto.js';
+
+export const ADDRESS_PREFIX = 'cosmo';
+export const ADDRESS_VERSION = 0;       // 地址版本（Bech32 数据部分的第一个字符）
+export const ADDRESS_LENGTH = 45;       // 'cosmo' + '1' + 版本 + 32 个数据字符 + 6 个校验字符
+
+const SEPARATOR = '1';
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const LEGACY_PATTERN = new RegExp(`^${ADDRESS_PREFIX}[0-9a-f]{40}$`);
+
+function polymod(values) {
+    let checksum = 1;
+    for (const value of values) {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        for (let i = 0; i < 5; i += 1) {
+            if ((top >>> i) & 1) {
+                checksum ^= GENERATOR[i];
+            }
+        }
+    }
+    return checksum;
+}
+
+function expandPrefix(prefix) {
+    const chars = Array.from(prefix, char => char.charCodeAt(0));
+    return [...chars.map(code => code >>> 5), 0, ...chars.map(code => code & 31)];
+}
+
+function createChecksum(prefix, words) {
+    const mod = polymod([...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+    return Array.from({ length: 6 }, (_, i) => (mod >>> (5 * (5 - i))) & 31);
+}
+
+function convertBits(data, fromBits, toBits, pad) {
+    let accumulator = 0;
+    let bits = 0;
+    const result = [];
+    const maxValue = (1 << toBits) - 1;
+
+    for (const value of data) {
+        accumulator = (accumulator << fromBits) | value;
+        bits += fromBits;
+        while (bits >= toBits) {
+            bits -= toBits;
+            result.push((accumulator >>> bits) & maxValue);
+        }
+    }
+
+    if (pad) {
+        if (bits > 0) {
+            result.push((accumulator << (toBits - bits)) & maxValue);
+        }
+    } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue) !== 0) {
+        return null;
+    }
+    return result;
+}
+
+function hash160(publicKey) {
+    const intermediate = sha256Hex(publicKey);
+    return ripemd160Hex(intermediate, 'hex');
+}
+
+/**
+ * 编码地址（Bech32，BIP-173）
+ * 前缀 'cosmo'，数据部分为版本加 20 字节公钥哈希，末尾 6 个字符为校验和
+ * @param {string} hashHex - 十六进制公钥哈希（20字节）
+ * @param {number} version - 地址版本
+ * @returns {string} 以'cosmo1'开头的45字符地址
+ */
+export function encodeAddress(hashHex, version = ADDRESS_VERSION) {
+    const words = [version, ...convertBits(hexToBytes(hashHex), 8, 5, true)];
+    const checksum = createChecksum(ADDRESS_PREFIX, words);
+    return `${ADDRESS_PREFIX}${SEPARATOR}${[...words, ...checksum].map(word => CHARSET[word]).join('')}`;
+}
+
+/**
+ * 解码地址
+ * @param {string} address - 带校验和的地址
+ * @returns {{ version: number, hash: string }} 地址版本和十六进制公钥哈希
+ * @throws {Error} 地址无效时抛出异常，错误信息说明原因
+ */
+export function decodeAddress(address) {
+    if (typeof address !== 'string') {
+        throw new Error('Address must be a string');
+    }
+    if (address !== address.toLowerCase()) {
+        throw new Error('Address must be lowercase');
+    }
+    if (!address.startsWith(`${ADDRESS_PREFIX}${SEPARATOR}`)) {
+        throw new Error(`Address must start with ${ADDRESS_PREFIX}${SEPARATOR}`);
+    }
+    if (address.length !== ADDRESS_LENGTH) {
+        throw new Error(`Address must be ${ADDRESS_LENGTH} characters long, got ${address.length}`);
+    }
+
+    const data = address.slice(ADDRESS_PREFIX.length + SEPARATOR.length);
+    const words = [];
+    for (let i = 0; i < data.length; i += 1) {
+        const word = CHARSET.indexOf(data[i]);
+        if (word === -1) {
+            throw new Error(`Invalid character '${data[i]}' at position ${ADDRESS_PREFIX.length + SEPARATOR.length + i}`);
+        }
+        words.push(word);
+    }
+
+    if (polymod([...expandPrefix(ADDRESS_PREFIX), ...words]) !== 1) {
+        throw new Error('Invalid checksum, the address may contain a typo');
+    }
+
+    const [version, ...payload] = words.slice(0, -6);
+    if (version !== ADDRESS_VERSION) {
+        throw new Error(`Unsupported address version: ${version}`);
+    }
+
+    const hash = convertBits(payload, 5, 8, false);
+    if (!hash || hash.length !== 20) {
+        throw new Error('Invalid address payload');
+    }
+    return { version, hash: bytesToHex(Uint8Array.from(hash)) };
+}
+
+/**
+ * 根据公钥推导钱包地址
+ * 对公钥进行SHA-256和RIPEMD-160双重哈希，然后编码为带校验和的地址
+ * @param {string} publicKey - 十六进制公钥
+ * @returns {string} 以'cosmo1'开头的45字符钱包地址
+ */
+export function deriveAddress(publicKey) {
+    return encodeAddress(hash160(publicKey));
+}
+
+/**
+ * 根据公钥推导旧格式地址（'cosmo' 加 40 位十六进制字符，没有校验和）
+ * @param {string} publicKey - 十六进制公钥
+ * @returns {string} 旧格式地址
+ */
+export function deriveLegacyAddress(publicKey) {
+    return `${ADDRESS_PREFIX}${hash160(publicKey)}`;
+}
+
+/**
+ * 检查是否为旧格式地址
+ * @param {string} address - 钱包地址
+ * @returns {boolean} 'cosmo' 前缀加 40 位十六进制字符返回true
+ */
+export function isLegacyAddress(address) {
+    return typeof address === 'string' && LEGACY_PATTERN.test(address);
+}
+
+/**
+ * 规范化地址
+ * 旧格式地址转换为同一公钥哈希的带校验和地址，用于账本等按地址索引的状态，
+ * 使链上旧格式地址和新格式地址对应同一个账户
+ * @param {string|null} address - 钱包地址
+ * @returns {string|null} 规范地址，其他输入原样返回
+ */
+export function normalizeAddress(address) {
+    return isLegacyAddress(address) ? encodeAddress(address.slice(ADDRESS_PREFIX.length)) : address;
+}
+
+/**
+ * 验证地址并说明原因
+ * 旧格式地址没有校验和，无法发现输入错误，视为无效，同时给出对应的带校验和地址
+ * @param {string} address - 钱包地址
+ * @returns {{ valid: boolean, format: string|null, address: string|null, reason: string|null }}
+ *          format 为 checksummed 或 legacy，address 为规范地址
+ */
+export function validateAddress(address) {
+    if (isLegacyAddress(address)) {
+        const checksummed = normalizeAddress(address);
+        return {
+            valid: false,
+            format: 'legacy',
+            address: checksummed,
+            reason: `Legacy address without checksum, use ${checksummed}`
+        };
+    }
+
+    try {
+        decodeAddress(address);
+        return { valid: true, format: 'checksummed', address, reason: null };
+    } catch (error) {
+        return { valid: false, format: null, address: null, reason: error.message };
+    }
+}
+
+/**
+ * 检查地址格式
+ * @param {string} address - 钱包地址
+ * @param {Object} options - 选项
+ * @param {boolean} options.allowLegacy - 是否接受旧格式地址
+ * @returns {boolean} 带校验和的有效地址（或允许的旧格式地址）返回true，否则返回false
+ */
+export function isAddressFormat(address, { allowLegacy = false } = {}) {
+    const { valid, format } = validateAddress(address);
+    return valid || (allowLegacy && format === 'legacy');
+}
+
+/**
+ * 检查地址，无效时抛出说明原因的异常
+ * @param {string} address - 钱包地址
+ * @param {string} label - 错误信息中的地址名称
+ * @returns {string} 地址
+ */
+export function assertAddress(address, label = 'address') {
+    const { valid, reason } = validateAddress(address);
+    if (!valid) {
+        throw new Error(`Invalid ${label}: ${reason}`);
+    }
+    return address;
+}
@@ -1,5 +1,13 @@
 const TEXT_ENCODER = new TextEncoder();
 
+// Ed25519 私钥的 PKCS#8 DER 前缀，后接 32 字节种子
+const ED25519_PKCS8_PREFIX = new Uint8Array([
+    0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06,
+    0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20
+]);
+
+const ED25519_ALGORITHM = { name: 'Ed25519' };
+
 const SHA256_INITIAL = new Uint32Array([
     0x6a09e667,
     0xbb67ae85,
@@ -334,6 +342,115 @@ function randomHex(size) {
     return bytesToHex(buffer);
 }
 
+function getSubtle() {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error('crypto.subtle is not available in this environment');
+    }
+    return crypto.subtle;
+}
+
+async function hmacSha512Bytes(key, message, keyEncoding, messageEncoding) {
+    const subtle = getSubtle();
+    const hmacKey = await subtle.importKey(
+        'raw',
+        normalizeInput(key, keyEncoding),
+        { name: 'HMAC', hash: 'SHA-512' },
+        false,
+        ['sign']
+    );
+    const signature = await subtle.sign('HMAC', hmacKey, normalizeInput(message, messageEncoding));
+    return new Uint8Array(signature);
+}
+
+async function pbkdf2Sha512Bytes(password, salt, iterations, length) {
+    const subtle = getSubtle();
+    const baseKey = await subtle.importKey('raw', normalizeInput(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-512', salt: normalizeInput(salt), iterations },
+        baseKey,
+        length * 8
+    );
+    return new Uint8Array(bits);
+}
+
+async function importAesGcmKey(keyBytes, usages) {
+    if (!(keyBytes instanceof Uint8Array) || keyBytes.length !== 32) {
+        throw new Error('AES-GCM key must be 32 bytes');
+    }
+    return getSubtle().importKey('raw', keyBytes, 'AES-GCM', false, usages);
+}
+
+async function aesGcmEncryptBytes(keyBytes, iv, plaintext) {
+    const key = await importAesGcmKey(keyBytes, ['encrypt']);
+    const ciphertext = await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return new Uint8Array(ciphertext);
+}
+
+async function aesGcmDecryptBytes(keyBytes, iv, ciphertext) {
+    const key = await importAesGcmKey(keyBytes, ['decrypt']);
+    const plaintext = await getSubtle().decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    return new Uint8Array(plaintext);
+}
+
+function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i += 1) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function isHexOfLength(value, byteLength) {
+    return typeof value === 'string'
+        && value.length === byteLength * 2
+        && /^[0-9a-fA-F]+$/.test(value);
+}
+
+async function importEd25519PrivateKey(privateKeyHex) {
+    if (!isHexOfLength(privateKeyHex, 32)) {
+        throw new Error('Private key must be 32 bytes of hex');
+    }
+    const pkcs8 = new Uint8Array(ED25519_PKCS8_PREFIX.length + 32);
+    pkcs8.set(ED25519_PKCS8_PREFIX);
+    pkcs8.set(hexToBytes(privateKeyHex.toLowerCase()), ED25519_PKCS8_PREFIX.length);
+    return getSubtle().importKey('pkcs8', pkcs8, ED25519_ALGORITHM, true, ['sign']);
+}
+
+async function ed25519PublicKeyHex(privateKeyHex) {
+    const privateKey = await importEd25519PrivateKey(privateKeyHex);
+    const jwk = await getSubtle().exportKey('jwk', privateKey);
+    return bytesToHex(base64UrlToBytes(jwk.x));
+}
+
+async function ed25519SignHex(privateKeyHex, message, encoding) {
+    const privateKey = await importEd25519PrivateKey(privateKeyHex);
+    const signature = await getSubtle().sign(ED25519_ALGORITHM, privateKey, normalizeInput(message, encoding));
+    return bytesToHex(new Uint8Array(signature));
+}
+
+async function ed25519VerifyHex(publicKeyHex, message, signatureHex, encoding) {
+    if (!isHexOfLength(publicKeyHex, 32) || !isHexOfLength(signatureHex, 64)) {
+        return false;
+    }
+    const subtle = getSubtle();
+    const publicKey = await subtle.importKey(
+        'raw',
+        hexToBytes(publicKeyHex.toLowerCase()),
+        ED25519_ALGORITHM,
+        false,
+        ['verify']
+    );
+    return subtle.verify(
+        ED25519_ALGORITHM,
+        publicKey,
+        hexToBytes(signatureHex.toLowerCase()),
+        normalizeInput(message, encoding)
+    );
+}
+
 export {
     bytesToHex,
     hexToBytes,
@@ -342,5 +459,12 @@ export {
     ripemd160Bytes,
     ripemd160Hex,
     hmacSha256Hex,
-    randomHex
+    hmacSha512Bytes,
+    pbkdf2Sha512Bytes,
+    aesGcmEncryptBytes,
+    aesGcmDecryptBytes,
+    randomHex,
+    ed25519PublicKeyHex,
+    ed25519SignHex,
+    ed25519VerifyHex
 };
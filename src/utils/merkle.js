@@ -0,0 +1,102 @@
+import { sha256Hex } from './crypto.js';
+
+const EMPTY_MERKLE_ROOT = sha256Hex('');
+
+function hashPair(left, right) {
+    return sha256Hex(`${left}${right}`, 'hex');
+}
+
+function nextLevel(level) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+        // 奇数个节点时复制最后一个节点
+        const right = i + 1 < level.length ? level[i + 1] : level[i];
+        next.push(hashPair(level[i], right));
+    }
+    return next;
+}
+
+/**
+ * 计算Merkle根
+ * @param {Array<string>} leaves - 十六进制叶子哈希列表
+ * @returns {string} Merkle根，空列表返回空字符串的SHA-256
+ */
+function computeMerkleRoot(leaves) {
+    if (!leaves.length) {
+        return EMPTY_MERKLE_ROOT;
+    }
+
+    let level = leaves;
+    while (level.length > 1) {
+        level = nextLevel(level);
+    }
+    return level[0];
+}
+
+/**
+ * 生成指定叶子的Merkle分支
+ * @param {Array<string>} leaves - 十六进制叶子哈希列表
+ * @param {number} index - 叶子下标
+ * @returns {Array<{ position: 'left'|'right', hash: string }>} 从叶子到根的兄弟节点列表
+ */
+function getMerkleProof(leaves, index) {
+    if (index < 0 || index >= leaves.length) {
+        throw new Error('Leaf index out of range');
+    }
+
+    const proof = [];
+    let level = leaves;
+    let position = index;
+
+    while (level.length > 1) {
+        const isRight = position % 2 === 1;
+        const siblingIndex = isRight ? position - 1 : Math.min(position + 1, level.length - 1);
+        proof.push({
+            position: isRight ? 'left' : 'right',
+            hash: level[siblingIndex]
+        });
+        level = nextLevel(level);
+        position = Math.floor(position / 2);
+    }
+
+    return proof;
+}
+
+/**
+ * 验证Merkle分支
+ * @param {string} leaf - 十六进制叶子哈希
+ * @param {Array<{ position: 'left'|'right', hash: string }>} proof - Merkle分支
+ * @param {string} root - 期望的Merkle根
+ * @returns {boolean} 分支能还原出Merkle根返回true，否则返回false
+ */
+function verifyMerkleProof(leaf, proof, root) {
+    if (typeof leaf !== 'string' || !Array.isArray(proof) || typeof root !== 'string') {
+        return false;
+    }
+
+    let current = leaf;
+    try {
+        for (const step of proof) {
+            if (!step || typeof step.hash !== 'string') {
+                return false;
+            }
+            if (step.position === 'left') {
+                current = hashPair(step.hash, current);
+            } else if (step.position === 'right') {
+                current = hashPair(current, step.hash);
+            } else {
+                return false;
+            }
+        }
+    } catch (error) {
+        return false;
+    }
+    return current === root;
+}
+
+export {
+    EMPTY_MERKLE_ROOT,
+    computeMerkleRoot,
+    getMerkleProof,
+    verifyMerkleProof
+};
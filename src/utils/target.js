@@ -0,0 +1,106 @@
+const HASH_SPACE = 1n << 256n;                   // SHA-256 哈希值的取值空间
+const MANTISSA_BITS = 32n;                       // 小数难度换算时保留的精度位数
+
+// 允许的最低难度：哈希值至少有 1 个前导十六进制零
+const MAX_TARGET = HASH_SPACE / 16n - 1n;
+
+/**
+ * 将目标值转换为固定长度的十六进制字符串
+ * @param {bigint} target - 目标值
+ * @returns {string} 64 位十六进制字符串
+ */
+function targetToHex(target) {
+    return target.toString(16).padStart(64, '0');
+}
+
+/**
+ * 解析十六进制目标值
+ * @param {string} hex - 64 位十六进制字符串
+ * @returns {bigint} 目标值
+ */
+function parseTarget(hex) {
+    if (typeof hex !== 'string' || !/^[0-9a-f]{64}$/.test(hex)) {
+        throw new Error('Invalid target');
+    }
+    return BigInt(`0x${hex}`);
+}
+
+/**
+ * 将难度转换为目标值
+ * 难度表示期望的前导十六进制零个数，可以为小数：目标值 = 2^256 / 16^难度 - 1
+ * @param {number} difficulty - 难度（不小于 1）
+ * @returns {bigint} 目标值
+ */
+function difficultyToTarget(difficulty) {
+    if (!Number.isFinite(difficulty) || difficulty < 1) {
+        throw new Error('Difficulty must be a number >= 1');
+    }
+
+    const whole = Math.floor(difficulty);
+    const mantissa = BigInt(Math.round(2 ** (4 * (difficulty - whole)) * 2 ** Number(MANTISSA_BITS)));
+    const target = (HASH_SPACE << MANTISSA_BITS) / (16n ** BigInt(whole) * mantissa) - 1n;
+    return target < MAX_TARGET ? target : MAX_TARGET;
+}
+
+/**
+ * 将目标值转换为难度
+ * @param {bigint} target - 目标值
+ * @returns {number} 难度（期望的前导十六进制零个数）
+ */
+function targetToDifficulty(target) {
+    return Math.log2(Number(HASH_SPACE) / Number(target + 1n)) / 4;
+}
+
+/**
+ * 计算目标值对应的工作量
+ * @param {bigint} target - 目标值
+ * @returns {bigint} 找到满足该目标值的哈希所需的期望哈希次数
+ */
+function targetToWork(target) {
+    return HASH_SPACE / (target + 1n);
+}
+
+/**
+ * 检查哈希值是否满足目标值
+ * @param {string} hash - 十六进制哈希值
+ * @param {bigint} target - 目标值
+ * @returns {boolean} 哈希值不大于目标值返回true，否则返回false
+ */
+function hashMeetsTarget(hash, target) {
+    if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) {
+        return false;
+    }
+    return BigInt(`0x${hash}`) <= target;
+}
+
+/**
+ * 根据实际出块耗时调整目标值
+ * 实际耗时被限制在期望耗时的 [1/maxAdjustment, maxAdjustment] 倍之间，结果不超过最低难度对应的目标值
+ * @param {bigint} target - 调整前的目标值
+ * @param {number} actualTimespan - 窗口内实际出块耗时（毫秒）
+ * @param {number} expectedTimespan - 窗口内期望出块耗时（毫秒）
+ * @param {number} maxAdjustment - 单次调整的最大倍数
+ * @returns {bigint} 调整后的目标值
+ */
+function retarget(target, actualTimespan, expectedTimespan, maxAdjustment) {
+    const minTimespan = Math.ceil(expectedTimespan / maxAdjustment);
+    const maxTimespan = Math.floor(expectedTimespan * maxAdjustment);
+    const timespan = Math.min(Math.max(Math.round(actualTimespan), minTimespan), maxTimespan);
+
+    const next = target * BigInt(timespan) / BigInt(Math.round(expectedTimespan));
+    if (next < 1n) {
+        return 1n;
+    }
+    return next < MAX_TARGET ? next : MAX_TARGET;
+}
+
+export {
+    MAX_TARGET,
+    targetToHex,
+    parseTarget,
+    difficultyToTarget,
+    targetToDifficulty,
+    targetToWork,
+    hashMeetsTarget,
+    retarget
+};
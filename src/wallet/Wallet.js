@@ -1,22 +1,112 @@
 import { v4 as uuidv4 } from 'uuid';
-import { randomHex, sha256Hex, ripemd160Hex, hmacSha256Hex } from '../utils/crypto.js';
-import { saveWalletState } from '../storage/stateStore.js';
+import { randomHex, sha256Hex, ed25519PublicKeyHex, ed25519SignHex, ed25519VerifyHex } from '../utils/crypto.js';
+import { deriveAddress, normalizeAddress, validateAddress, isAddressFormat, assertAddress } from '../utils/address.js';
+import { generateMnemonic, mnemonicToEntropy, mnemonicToSeed } from './mnemonic.js';
+import { accountPath, derivePath, parseDerivationPath } from './hdKey.js';
+import { checkKeystore, encryptKeystore, decryptKeystore } from './keystore.js';
+
+const HD_GAP_LIMIT = 20;                       // 恢复时连续多少个未使用的地址后停止扫描（BIP-44）
+export const DEFAULT_UNLOCK_MS = 5 * 60 * 1000; // 默认解锁时长
+export const MAX_UNLOCK_MS = 60 * 60 * 1000;    // 最长解锁时长
+
+/**
+ * 解锁会话所属的请求方标识
+ * @param {Object|null} principal - 请求方身份 { type, id }
+ * @returns {string|null} 'type:id'，未认证时为null
+ */
+function sessionOwner(principal) {
+    return principal ? `${principal.type}:${principal.id}` : null;
+}
 
 export class Wallet {
     /**
      * 钱包构造函数
-     * 自动生成私钥、公钥和地址
+     * 公钥和地址需要异步推导，请使用 Wallet.create() 创建可用的钱包
+     * @param {string|null} privateKey - 十六进制私钥（为空时随机生成）
+     */
+    constructor(privateKey = null) {
+        this.privateKey = privateKey ?? this.generatePrivateKey();  // 私钥
+        this.publicKey = null;                                      // 公钥
+        this.address = null;                                        // 地址
+        this.id = uuidv4();                                         // 生成唯一ID
+        this.hdWalletId = null;                                     // 所属HD钱包ID（非HD派生的钱包为空）
+        this.path = null;                                           // HD派生路径
+        this.keystore = null;                                       // 加密的密钥库（为空表示私钥未加密）
+        this.unlockedUntil = null;                                  // 解锁到期时间（毫秒时间戳）
+        this.unlockedBy = null;                                     // 解锁会话所属的请求方（type:id）
+        this.watchOnly = false;                                     // 只读钱包（节点不持有私钥）
+        this.label = null;                                          // 只读钱包的标签
+    }
+
+    /**
+     * 创建钱包并推导公钥和地址
+     * @param {string|null} privateKey - 十六进制私钥（为空时随机生成）
+     * @returns {Promise<Wallet>} 钱包实例
+     */
+    static async create(privateKey = null) {
+        const wallet = new Wallet(privateKey);
+        wallet.publicKey = await wallet.generatePublicKey();
+        wallet.address = wallet.generateAddress();
+        return wallet;
+    }
+
+    /**
+     * 从密钥库创建锁定的钱包
+     * 解锁之前私钥不在内存中，地址和公钥取自密钥库
+     * @param {Object} keystore - 密钥库
+     * @param {Object} options - 钱包ID和HD派生信息 { id, hdWalletId, path }
+     * @returns {Wallet} 锁定的钱包实例
      */
-    constructor() {
-        this.privateKey = this.generatePrivateKey();  // 生成私钥
-        this.publicKey = this.generatePublicKey();    // 生成公钥
-        this.address = this.generateAddress();        // 生成地址
-        this.id = uuidv4();                           // 生成唯一ID
+    static fromKeystore(keystore, { id = null, hdWalletId = null, path = null } = {}) {
+        const problem = checkKeystore(keystore);
+        if (problem) {
+            throw new Error(problem);
+        }
+        if (typeof keystore.publicKey !== 'string' || deriveAddress(keystore.publicKey) !== normalizeAddress(keystore.address)) {
+            throw new Error('Keystore address does not match its public key');
+        }
+
+        const wallet = new Wallet();
+        wallet.privateKey = null;                        // 丢弃构造函数生成的随机私钥
+        wallet.publicKey = keystore.publicKey;
+        wallet.address = deriveAddress(keystore.publicKey);
+        // 早期密钥库记录旧格式地址，改为带校验和的地址（地址不参与加密，密文不变）
+        wallet.keystore = keystore.address === wallet.address ? keystore : { ...keystore, address: wallet.address };
+        wallet.id = id ?? wallet.id;
+        if (hdWalletId) {
+            wallet.hdWalletId = hdWalletId;
+            wallet.path = path;
+        }
+        return wallet;
+    }
+
+    /**
+     * 创建只读钱包
+     * 只记录地址（可选公钥和标签），私钥由外部保管，节点只能查询余额和交易历史，
+     * 从该地址发送只能提交客户端签名的交易
+     * @param {string} address - 钱包地址（旧格式地址转换为带校验和的地址）
+     * @param {Object} options - 钱包ID、公钥和标签 { id, publicKey, label }
+     * @returns {Wallet} 只读钱包实例
+     */
+    static watchOnly(address, { id = null, publicKey = null, label = null } = {}) {
+        const canonical = assertAddress(normalizeAddress(address), 'address');
+        if (publicKey !== null && (!/^[0-9a-f]{64}$/.test(publicKey) || deriveAddress(publicKey) !== canonical)) {
+            throw new Error('Public key does not match address');
+        }
+
+        const wallet = new Wallet();
+        wallet.privateKey = null;                        // 丢弃构造函数生成的随机私钥
+        wallet.publicKey = publicKey;
+        wallet.address = canonical;
+        wallet.id = id ?? wallet.id;
+        wallet.watchOnly = true;
+        wallet.label = label;
+        return wallet;
     }
 
     /**
      * 生成私钥
-     * 使用 Web Crypto 生成32字节的随机数据作为私钥
+     * 使用 Web Crypto 生成32字节的随机数据作为 Ed25519 私钥种子
      * @returns {string} 64字符的十六进制私钥字符串
      */
     generatePrivateKey() {
@@ -25,44 +115,116 @@ export class Wallet {
 
     /**
      * 生成公钥
-     * 对私钥进行SHA-256哈希运算生成公钥
-     * @returns {string} 64字符的十六进制公钥字符串
+     * 通过 Web Crypto 从私钥推导 Ed25519 公钥
+     * @returns {Promise<string>} 64字符的十六进制公钥字符串
      */
-    generatePublicKey() {
-        return sha256Hex(this.privateKey);
+    async generatePublicKey() {
+        return ed25519PublicKeyHex(this.privateKey);
     }
 
     /**
      * 生成钱包地址
-     * 对公钥进行SHA-256和RIPEMD-160双重哈希，然后添加'cosmo'前缀
-     * @returns {string} 以'cosmo'开头的45字符钱包地址
+     * 对公钥进行SHA-256和RIPEMD-160双重哈希，然后编码为带校验和的地址
+     * @returns {string} 以'cosmo1'开头的45字符钱包地址
      */
     generateAddress() {
-        const intermediate = sha256Hex(this.publicKey);
-        const body = ripemd160Hex(intermediate, 'hex');
-        return `cosmo${body}`;
+        return deriveAddress(this.publicKey);
     }
 
     /**
      * 对消息进行签名
-     * 使用HMAC-SHA256算法和私钥对消息进行签名
+     * 使用 Ed25519 私钥对消息进行签名
      * @param {string} message - 要签名的消息
-     * @returns {string} 消息签名
+     * @returns {Promise<string>} 十六进制消息签名
      */
-    sign(message) {
-        return hmacSha256Hex(this.privateKey, message);
+    async sign(message) {
+        if (this.watchOnly) {
+            throw new Error('Watch-only wallet cannot sign');
+        }
+        if (this.isLocked()) {
+            throw new Error('Wallet is locked');
+        }
+        return ed25519SignHex(this.privateKey, message);
     }
 
     /**
      * 验证消息签名
-     * 使用相同算法生成期望签名并与提供的签名比较
+     * 使用钱包公钥验证签名，无需私钥
      * @param {string} message - 要验证的消息
      * @param {string} signature - 提供的签名
-     * @returns {boolean} 签名有效返回true，否则返回false
+     * @returns {Promise<boolean>} 签名有效返回true，否则返回false
+     */
+    async verify(message, signature) {
+        return ed25519VerifyHex(this.publicKey, message, signature);
+    }
+
+    /**
+     * 用密码加密私钥并锁定钱包
+     * @param {string} password - 密码
+     * @returns {Promise<void>}
+     */
+    async encrypt(password) {
+        if (this.watchOnly) {
+            throw new Error('Watch-only wallet has no private key');
+        }
+        if (this.isLocked()) {
+            throw new Error('Wallet is locked');
+        }
+        this.keystore = await encryptKeystore(this.privateKey, password, {
+            address: this.address,
+            publicKey: this.publicKey
+        });
+        this.lock();
+    }
+
+    /**
+     * 用密码解锁钱包
+     * 到期后钱包自动锁定，私钥从内存中清除
+     * @param {string} password - 密码
+     * @param {number} durationMs - 解锁时长（毫秒）
+     * @param {number} now - 当前时间
+     * @param {string|null} owner - 解锁会话所属的请求方，只有该请求方可以使用解锁的私钥签名
+     * @returns {Promise<void>}
+     */
+    async unlock(password, durationMs = DEFAULT_UNLOCK_MS, now = Date.now(), owner = null) {
+        if (this.watchOnly) {
+            throw new Error('Watch-only wallet has no private key');
+        }
+        if (!this.keystore) {
+            throw new Error('Wallet is not encrypted');
+        }
+
+        const privateKey = await decryptKeystore(this.keystore, password);
+        if (await ed25519PublicKeyHex(privateKey) !== this.publicKey) {
+            throw new Error('Keystore does not match wallet');
+        }
+        this.privateKey = privateKey;
+        this.unlockedUntil = now + durationMs;
+        this.unlockedBy = owner;
+    }
+
+    /**
+     * 锁定钱包
+     * 未加密的钱包没有密钥库，无法锁定
      */
-    verify(message, signature) {
-        const expectedSignature = this.sign(message);
-        return signature === expectedSignature;
+    lock() {
+        if (this.keystore) {
+            this.privateKey = null;
+            this.unlockedUntil = null;
+            this.unlockedBy = null;
+        }
+    }
+
+    /**
+     * 检查钱包是否锁定，解锁到期时先锁定钱包
+     * @param {number} now - 当前时间
+     * @returns {boolean} 私钥不可用返回true，否则返回false
+     */
+    isLocked(now = Date.now()) {
+        if (this.unlockedUntil !== null && now >= this.unlockedUntil) {
+            this.lock();
+        }
+        return this.privateKey === null;
     }
 
     /**
@@ -73,35 +235,51 @@ export class Wallet {
         return {
             id: this.id,           // 钱包唯一ID
             address: this.address, // 钱包地址
-            publicKey: this.publicKey
+            publicKey: this.publicKey,
             // 私钥在生产环境中永远不应该暴露
+            encrypted: this.keystore !== null,   // 私钥是否加密保存
+            locked: this.isLocked(),             // 是否锁定
+            unlockedUntil: this.unlockedUntil ? new Date(this.unlockedUntil).toISOString() : null,
+            watchOnly: this.watchOnly,           // 是否只读
+            label: this.label,                   // 标签
+            ...this.getDerivationInfo()
         };
     }
 
     /**
-     * 导出钱包（包含私钥）
-     * @returns {Object} 包含完整钱包数据的对象
+     * 获取HD派生信息
+     * @returns {Object} HD派生的钱包返回 { hdWalletId, path }，否则返回空对象
      */
-    exportWallet() {
-        return {
-            id: this.id,             // 钱包唯一ID
-            address: this.address,   // 钱包地址
-            publicKey: this.publicKey, // 公钥
-            privateKey: this.privateKey // 私钥（仅用于导出/备份目的）
-        };
+    getDerivationInfo() {
+        return this.hdWalletId ? { hdWalletId: this.hdWalletId, path: this.path } : {};
+    }
+
+    /**
+     * 导出密钥库
+     * @returns {Object} 加密的密钥库（不包含明文私钥）
+     */
+    exportKeystore() {
+        if (!this.keystore) {
+            throw new Error('Wallet is not encrypted');
+        }
+        return JSON.parse(JSON.stringify(this.keystore));
     }
 
     /**
      * 导入钱包
+     * 公钥和地址始终从私钥重新推导，忽略传入的公钥和地址
      * @param {Object} walletData - 钱包数据对象
-     * @returns {Wallet} 导入的钱包实例
+     * @returns {Promise<Wallet>} 导入的钱包实例
      */
-    static importWallet(walletData) {
-        const wallet = new Wallet();
-        wallet.id = walletData.id;           // 设置ID
-        wallet.privateKey = walletData.privateKey; // 设置私钥
-        wallet.publicKey = walletData.publicKey;   // 设置公钥
-        wallet.address = walletData.address;       // 设置地址
+    static async importWallet(walletData) {
+        const wallet = await Wallet.create(walletData.privateKey);
+        if (walletData.id) {
+            wallet.id = walletData.id;       // 保留原有ID
+        }
+        if (walletData.hdWalletId) {
+            wallet.hdWalletId = walletData.hdWalletId;   // 保留HD派生信息
+            wallet.path = walletData.path;
+        }
         return wallet;
     }
 }
@@ -110,21 +288,28 @@ export class WalletManager {
     /**
      * 钱包管理器构造函数
      * @param {Blockchain} blockchain - 区块链实例
+     * @param {Object} options - 配置
+     * @param {StateStore|null} options.stateStore - 状态存储（为空时不持久化）
      */
-    constructor(blockchain) {
+    constructor(blockchain, { stateStore = null } = {}) {
         this.blockchain = blockchain;  // 区块链实例引用
+        this.stateStore = stateStore;  // 状态存储
         this.wallets = new Map();      // 钱包映射表
+        this.hdWallets = new Map();    // HD钱包映射表：ID -> { id, keystore, fingerprint, accounts, createdAt }
     }
 
     /**
      * 创建新钱包
-     * @returns {Object} 创建结果对象
+     * 私钥用密码加密保存，钱包创建后处于锁定状态
+     * @param {string} password - 钱包密码
+     * @returns {Promise<Object>} 创建结果对象
      */
-    createWallet() {
-        const wallet = new Wallet();                    // 创建新钱包
+    async createWallet(password) {
+        const wallet = await Wallet.create();           // 创建新钱包
+        await wallet.encrypt(password);                 // 加密私钥
         this.wallets.set(wallet.address, wallet);       // 将钱包存储到映射表中
 
-        saveWalletState(this);
+        this.stateStore?.saveWallets(this, { addresses: [wallet.address] });
 
         // 返回创建成功结果
         return {
@@ -140,7 +325,7 @@ export class WalletManager {
      * @returns {Object} 包含钱包信息和余额的对象
      */
     getWallet(address) {
-        const wallet = this.wallets.get(address);       // 根据地址获取钱包
+        const wallet = this.wallets.get(normalizeAddress(address));   // 根据地址获取钱包
         if (!wallet) {
             throw new Error('Wallet not found');        // 钱包不存在时抛出异常
         }
@@ -154,73 +339,472 @@ export class WalletManager {
 
     /**
      * 获取所有钱包信息
-     * @returns {Array} 包含所有钱包信息和余额的数组
+     * @param {Object} filter - 筛选条件 { watchOnly: 为布尔值时只返回只读或托管的钱包 }
+     * @returns {Array} 包含所有钱包信息、余额和交易数的数组
      */
-    getAllWallets() {
+    getAllWallets({ watchOnly } = {}) {
         const walletsInfo = []; // 存储钱包信息的数组
         
         // 遍历所有钱包
         this.wallets.forEach((wallet, address) => {
+            if (typeof watchOnly === 'boolean' && wallet.watchOnly !== watchOnly) {
+                return;
+            }
             walletsInfo.push({
                 ...wallet.getWalletInfo(),              // 钱包信息
-                balance: this.blockchain.getBalance(address) // 钱包余额
+                balance: this.blockchain.getBalance(address), // 钱包余额
+                transactionCount: this.blockchain.getTransactionsByAddress(address).length // 已确认交易数
             });
         });
 
         return walletsInfo;
     }
 
+    /**
+     * 添加只读钱包
+     * 用于跟踪私钥保存在别处的地址（例如交易所充值地址）
+     * @param {string} address - 带校验和的钱包地址
+     * @param {Object} options - 可选的公钥和标签 { publicKey, label }
+     * @returns {Object} 添加结果对象
+     */
+    addWatchOnlyWallet(address, { publicKey = null, label = null } = {}) {
+        assertAddress(address, 'address');
+        if (this.wallets.has(address)) {
+            throw new Error('Wallet already exists');
+        }
+
+        const wallet = Wallet.watchOnly(address, { publicKey, label });
+        this.wallets.set(wallet.address, wallet);
+
+        this.stateStore?.saveWallets(this, { addresses: [wallet.address] });
+
+        return {
+            success: true,
+            wallet: wallet.getWalletInfo(),
+            message: 'Watch-only wallet added successfully'
+        };
+    }
+
     /**
      * 导入钱包（通过私钥）
      * @param {string} privateKey - 私钥
-     * @returns {Object} 导入结果对象
+     * @param {string} password - 钱包密码（用于加密私钥）
+     * @returns {Promise<Object>} 导入结果对象
      */
-    importWallet(privateKey) {
+    async importWallet(privateKey, password) {
+        let wallet;
         try {
-            // 创建钱包数据对象
-            const walletData = {
-                id: uuidv4(),          // 生成新ID
-                privateKey: privateKey, // 设置私钥
-                publicKey: '',
-                address: ''
-            };
-
-            const wallet = Wallet.importWallet(walletData);
-            // 从私钥重新生成公钥和地址
-            wallet.publicKey = wallet.generatePublicKey();
-            wallet.address = wallet.generateAddress();
-            
-            // 将钱包存储到映射表中
-            this.wallets.set(wallet.address, wallet);
+            // 从私钥推导公钥和地址
+            wallet = await Wallet.importWallet({ id: uuidv4(), privateKey });
+        } catch (error) {
+            throw new Error('Invalid private key format');
+        }
+        await wallet.encrypt(password);
+
+        // 将钱包存储到映射表中
+        this.wallets.set(wallet.address, wallet);
+
+        this.stateStore?.saveWallets(this, { addresses: [wallet.address] });
+
+        // 返回导入成功结果
+        return {
+            success: true,
+            wallet: wallet.getWalletInfo(),
+            message: 'Wallet imported successfully'
+        };
+    }
+
+    /**
+     * 导入钱包（通过密钥库）
+     * 先用密码解密一次以确认密码正确，导入后钱包处于锁定状态
+     * @param {Object} keystore - 密钥库
+     * @param {string} password - 密钥库密码
+     * @returns {Promise<Object>} 导入结果对象
+     */
+    async importKeystore(keystore, password) {
+        const wallet = Wallet.fromKeystore(keystore, { id: uuidv4() });
+        await wallet.unlock(password);
+        wallet.lock();
+
+        this.wallets.set(wallet.address, wallet);
+
+        this.stateStore?.saveWallets(this, { addresses: [wallet.address] });
+
+        return {
+            success: true,
+            wallet: wallet.getWalletInfo(),
+            message: 'Wallet imported successfully'
+        };
+    }
+
+    /**
+     * 解锁钱包
+     * 解锁状态只保存在内存中，到期后自动锁定；解锁会话绑定到解锁的请求方，其他请求方不能使用
+     * @param {string} address - 钱包地址
+     * @param {string} password - 钱包密码
+     * @param {number} durationMs - 解锁时长（毫秒，最长1小时）
+     * @param {Object} principal - 已认证的请求方身份 { type, id }
+     * @returns {Promise<Object>} 解锁结果对象
+     */
+    async unlockWallet(address, password, durationMs = DEFAULT_UNLOCK_MS, principal = null) {
+        const wallet = this.wallets.get(normalizeAddress(address));
+        if (!wallet) {
+            throw new Error('Wallet not found');
+        }
+        if (!principal) {
+            throw new Error('Unlocking a wallet requires an authenticated caller');
+        }
+        if (!Number.isInteger(durationMs) || durationMs <= 0 || durationMs > MAX_UNLOCK_MS) {
+            throw new Error(`Unlock duration must be between 1 and ${MAX_UNLOCK_MS / 1000} seconds`);
+        }
+
+        await wallet.unlock(password, durationMs, Date.now(), sessionOwner(principal));
+
+        return {
+            success: true,
+            wallet: wallet.getWalletInfo(),
+            message: `Wallet unlocked until ${new Date(wallet.unlockedUntil).toISOString()}`
+        };
+    }
+
+    /**
+     * 锁定钱包
+     * 只有解锁会话所属的请求方可以提前锁定；已锁定的钱包直接返回
+     * @param {string} address - 钱包地址
+     * @param {Object} principal - 已认证的请求方身份 { type, id }
+     * @returns {Object} 锁定结果对象
+     */
+    lockWallet(address, principal = null) {
+        const wallet = this.wallets.get(normalizeAddress(address));
+        if (!wallet) {
+            throw new Error('Wallet not found');
+        }
+        if (wallet.watchOnly) {
+            throw new Error('Watch-only wallet has no private key');
+        }
+        if (!wallet.keystore) {
+            throw new Error('Wallet is not encrypted. Set a password first');
+        }
+        if (!wallet.isLocked() && wallet.unlockedBy !== sessionOwner(principal)) {
+            throw new Error('Wallet was unlocked by another caller');
+        }
+
+        wallet.lock();
+
+        return {
+            success: true,
+            wallet: wallet.getWalletInfo(),
+            message: 'Wallet locked'
+        };
+    }
+
+    /**
+     * 为未加密的钱包设置密码
+     * 用于迁移早期版本以明文保存私钥的钱包；请求方必须提供该钱包的私钥或用该钱包签名请求，
+     * 防止其他人抢先设置密码后解锁并使用该钱包
+     * @param {string} address - 钱包地址
+     * @param {string} password - 钱包密码
+     * @param {Object} ownership - 钱包所有权证明
+     * @param {string|null} ownership.privateKey - 钱包私钥
+     * @param {Object|null} ownership.principal - 已认证的请求方身份（钱包签名请求的 address 必须是该钱包）
+     * @returns {Promise<Object>} 加密结果对象
+     */
+    async encryptWallet(address, password, { privateKey = null, principal = null } = {}) {
+        const wallet = this.wallets.get(normalizeAddress(address));
+        if (!wallet) {
+            throw new Error('Wallet not found');
+        }
+        if (wallet.keystore) {
+            throw new Error('Wallet is already encrypted');
+        }
+
+        const signedByWallet = principal?.type === 'wallet' && principal.address === wallet.address;
+        const holdsKey = Boolean(privateKey) && !wallet.watchOnly && privateKey.toLowerCase() === wallet.privateKey;
+        if (!signedByWallet && !holdsKey) {
+            throw new Error('Encrypting a wallet requires its private key or a request signed by the wallet');
+        }
+
+        await wallet.encrypt(password);
+
+        this.stateStore?.saveWallets(this, { addresses: [wallet.address] });
+
+        return {
+            success: true,
+            wallet: wallet.getWalletInfo(),
+            message: 'Wallet encrypted successfully'
+        };
+    }
+
+    /**
+     * 创建HD钱包
+     * 生成助记词并由其推导种子，同时派生账户 0 的第一个地址。
+     * 助记词只在创建时返回一次，节点只保存用钱包密码加密的种子
+     * @param {Object} options - 创建选项
+     * @param {number} options.strength - 熵位数（128 为 12 个单词，256 为 24 个单词）
+     * @param {string} options.passphrase - 密码短语（可选，恢复时必须提供相同的密码短语）
+     * @param {string} options.password - 钱包密码（加密种子和派生的私钥）
+     * @returns {Promise<Object>} 包含助记词、HD钱包信息和第一个地址的结果对象
+     */
+    async createHDWallet({ strength = 128, passphrase = '', password } = {}) {
+        const mnemonic = generateMnemonic(strength);
+        const seed = await mnemonicToSeed(mnemonic, passphrase);
+        const hdWallet = await this.addHDWallet(seed, password);
+        const wallet = await this.deriveHDWallet(hdWallet, seed, 0, 0, password);
+
+        this.stateStore?.saveWallets(this, { addresses: [wallet.address], hdWallets: true });
+
+        return {
+            success: true,
+            mnemonic,                                   // 助记词（请离线妥善备份）
+            hdWallet: this.getHDWalletInfo(hdWallet.id),
+            wallet: wallet.getWalletInfo(),
+            message: 'HD wallet created successfully. Back up the mnemonic, it will not be shown again'
+        };
+    }
+
+    /**
+     * 从助记词恢复HD钱包
+     * 逐个账户扫描地址，连续 20 个地址没有链上交易时停止；
+     * 账户没有任何已使用的地址时不再扫描后续账户
+     * @param {string} mnemonic - 助记词
+     * @param {string} passphrase - 密码短语（可选）
+     * @param {string} password - 钱包密码（加密种子和派生的私钥）
+     * @returns {Promise<Object>} 包含HD钱包信息和恢复的地址的结果对象
+     */
+    async restoreHDWallet(mnemonic, passphrase = '', password) {
+        mnemonicToEntropy(mnemonic);                    // 检查单词和校验和
+        const seed = await mnemonicToSeed(mnemonic, passphrase);
+        const hdWallet = await this.addHDWallet(seed, password);
+
+        const restored = [];
+        for (let account = 0; ; account += 1) {
+            const used = [];
+            for (let index = 0, unused = 0; unused < HD_GAP_LIMIT; index += 1) {
+                const { privateKey } = await derivePath(seed, accountPath(account, index));
+                const candidate = await Wallet.create(privateKey);
+                if (this.blockchain.getTransactionsByAddress(candidate.address).length > 0) {
+                    used.push(index);
+                    unused = 0;
+                } else {
+                    unused += 1;
+                }
+            }
+
+            // 账户 0 至少恢复第一个地址
+            if (account === 0 && used.length === 0) {
+                used.push(0);
+            }
+            if (used.length === 0) {
+                break;
+            }
+
+            for (const index of used) {
+                restored.push(await this.deriveHDWallet(hdWallet, seed, account, index, password));
+            }
+        }
+
+        this.stateStore?.saveWallets(this, { addresses: restored.map(wallet => wallet.address), hdWallets: true });
 
-            saveWalletState(this);
+        return {
+            success: true,
+            hdWallet: this.getHDWalletInfo(hdWallet.id),
+            wallets: restored.map(wallet => wallet.getWalletInfo()),
+            message: `HD wallet restored with ${restored.length} address(es)`
+        };
+    }
 
-            // 返回导入成功结果
-            return {
-                success: true,
-                wallet: wallet.getWalletInfo(),
-                message: 'Wallet imported successfully'
-            };
+    /**
+     * 在HD钱包的账户下派生下一个地址
+     * 账户必须已存在，或者是紧接着最后一个账户的新账户
+     * @param {string} id - HD钱包ID
+     * @param {number} account - 账户索引
+     * @param {string} password - 钱包密码（解密种子并加密派生的私钥）
+     * @returns {Promise<Object>} 包含派生地址信息的结果对象
+     */
+    async deriveHDAddress(id, account = 0, password) {
+        const hdWallet = this.hdWallets.get(id);
+        if (!hdWallet) {
+            throw new Error('HD wallet not found');
+        }
+        if (!Number.isInteger(account) || account < 0 || account > hdWallet.accounts.length) {
+            throw new Error(`Account must be between 0 and ${hdWallet.accounts.length}`);
+        }
+
+        // 早期版本以明文保存的种子必须先通过助记词恢复（证明持有助记词）并设置密码
+        if (!hdWallet.keystore) {
+            throw new Error('HD wallet seed is not encrypted. Restore it from its mnemonic with a password first');
+        }
+        const seed = await decryptKeystore(hdWallet.keystore, password);
+
+        const index = hdWallet.accounts[account]?.nextIndex ?? 0;
+        const wallet = await this.deriveHDWallet(hdWallet, seed, account, index, password);
+
+        this.stateStore?.saveWallets(this, { addresses: [wallet.address], hdWallets: true });
+
+        return {
+            success: true,
+            wallet: wallet.getWalletInfo(),
+            account,
+            index,
+            message: 'Address derived successfully'
+        };
+    }
+
+    /**
+     * 获取HD钱包信息（不包含种子）
+     * @param {string} id - HD钱包ID
+     * @returns {Object} HD钱包信息，包括各账户已派生的地址
+     */
+    getHDWalletInfo(id) {
+        const hdWallet = this.hdWallets.get(id);
+        if (!hdWallet) {
+            throw new Error('HD wallet not found');
+        }
+
+        const derived = Array.from(this.wallets.values()).filter(wallet => wallet.hdWalletId === id);
+        return {
+            id: hdWallet.id,
+            fingerprint: hdWallet.fingerprint,
+            createdAt: hdWallet.createdAt,
+            accounts: hdWallet.accounts.map((account, index) => ({
+                index,
+                nextIndex: account.nextIndex,
+                addresses: derived
+                    .filter(wallet => parseDerivationPath(wallet.path)[2] === index)
+                    .map(wallet => ({ address: wallet.address, path: wallet.path }))
+            }))
+        };
+    }
+
+    /**
+     * 登记HD钱包
+     * 指纹为种子 SHA-256 的前 8 个十六进制字符，同一种子只能登记一次；
+     * 早期版本以明文保存的同一种子改为用密码加密（调用方已由助记词推导出种子）
+     * @param {string} seed - 十六进制种子
+     * @param {string} password - 钱包密码（加密种子）
+     * @returns {Promise<Object>} HD钱包记录
+     */
+    async addHDWallet(seed, password) {
+        const fingerprint = sha256Hex(seed, 'hex').slice(0, 8);
+        const existing = Array.from(this.hdWallets.values()).find(hdWallet => hdWallet.fingerprint === fingerprint);
+        if (existing && !existing.keystore && existing.seed === seed) {
+            existing.keystore = await encryptKeystore(seed, password, { hdWalletId: existing.id });
+            delete existing.seed;
+            return existing;
+        }
+        if (existing) {
+            throw new Error(`HD wallet already exists: ${existing.id}`);
+        }
+
+        const id = uuidv4();
+        const hdWallet = {
+            id,                                    // HD钱包ID
+            keystore: await encryptKeystore(seed, password, { hdWalletId: id }),   // 加密的种子
+            fingerprint,                           // 种子指纹
+            accounts: [],                          // 账户列表：{ nextIndex }
+            createdAt: new Date().toISOString()    // 创建时间
+        };
+        this.hdWallets.set(hdWallet.id, hdWallet);
+        return hdWallet;
+    }
+
+    /**
+     * 派生HD钱包的指定地址并加入钱包映射表
+     * @param {Object} hdWallet - HD钱包记录
+     * @param {string} seed - 十六进制种子
+     * @param {number} account - 账户索引
+     * @param {number} index - 地址索引
+     * @param {string} password - 钱包密码（加密派生的私钥）
+     * @returns {Promise<Wallet>} 派生得到的钱包实例
+     */
+    async deriveHDWallet(hdWallet, seed, account, index, password) {
+        const path = accountPath(account, index);
+        const { privateKey } = await derivePath(seed, path);
+        const wallet = await Wallet.importWallet({ id: uuidv4(), privateKey, hdWalletId: hdWallet.id, path });
+        await wallet.encrypt(password);
+
+        hdWallet.accounts[account] = { nextIndex: Math.max(hdWallet.accounts[account]?.nextIndex ?? 0, index + 1) };
+        this.wallets.set(wallet.address, wallet);
+        return wallet;
+    }
+
+    /**
+     * 获取用于签名的钱包
+     * 优先使用托管的钱包（必须由同一请求方解锁）；提供私钥时必须与该地址匹配。
+     * 早期版本以明文保存私钥的钱包在设置密码之前不能由节点代为签名，只能提供私钥。
+     * 只读钱包的地址不接受私钥，只能提交客户端签名的交易
+     * @param {string} address - 发送方地址
+     * @param {string|null} privateKey - 私钥（可选）
+     * @param {Object|null} principal - 发起签名的请求方身份 { type, id }
+     * @returns {Promise<Wallet>} 可用于签名的钱包实例
+     */
+    async getSigningWallet(address, privateKey = null, principal = null) {
+        const wallet = this.wallets.get(normalizeAddress(address));
+
+        if (wallet?.watchOnly) {
+            throw new Error('Watch-only wallet cannot sign. Submit a pre-signed transaction instead');
+        }
+
+        if (!privateKey) {
+            if (!wallet) {
+                throw new Error('Wallet not found. Provide the private key to sign for this address');
+            }
+            if (!wallet.keystore) {
+                throw new Error('Wallet is not encrypted. Set a password before signing with it or provide the private key');
+            }
+            if (wallet.isLocked()) {
+                throw new Error('Wallet is locked. Unlock it with its password or provide the private key');
+            }
+            // 解锁会话只能由解锁它的请求方使用
+            if (wallet.unlockedBy !== sessionOwner(principal)) {
+                throw new Error('Wallet was unlocked by another caller. Unlock it with your own credentials or provide the private key');
+            }
+            return wallet;
+        }
+
+        if (wallet && !wallet.isLocked() && wallet.privateKey === privateKey) {
+            return wallet;
+        }
+
+        let signer;
+        try {
+            signer = await Wallet.create(privateKey);
         } catch (error) {
-            throw new Error('Invalid private key format');
+            throw new Error('Invalid private key or wallet not found');
         }
+
+        if (signer.address !== normalizeAddress(address)) {
+            throw new Error('Invalid private key or wallet not found');
+        }
+
+        return signer;
     }
 
     /**
-     * 导出钱包数据
+     * 导出钱包密钥库
+     * 需要钱包密码，导出的密钥库仍是加密的，可通过导入接口恢复
      * @param {string} address - 钱包地址
-     * @returns {Object} 导出结果对象
+     * @param {string} password - 钱包密码
+     * @returns {Promise<Object>} 导出结果对象
      */
-    exportWallet(address) {
-        const wallet = this.wallets.get(address);       // 根据地址获取钱包
+    async exportWallet(address, password) {
+        const wallet = this.wallets.get(normalizeAddress(address));   // 根据地址获取钱包
         if (!wallet) {
             throw new Error('Wallet not found');        // 钱包不存在时抛出异常
         }
+        if (wallet.watchOnly) {
+            throw new Error('Watch-only wallet has no private key');
+        }
+        if (!wallet.keystore) {
+            throw new Error('Wallet is not encrypted. Set a password first');
+        }
+
+        await decryptKeystore(wallet.keystore, password);   // 确认密码正确
 
         // 返回导出成功结果
         return {
             success: true,
-            walletData: wallet.exportWallet(),          // 钱包数据
+            keystore: wallet.exportKeystore(),          // 加密的密钥库
             message: 'Wallet exported successfully'
         };
     }
@@ -231,13 +815,14 @@ export class WalletManager {
      * @returns {Object} 删除结果对象
      */
     deleteWallet(address) {
-        if (!this.wallets.has(address)) {
+        const key = normalizeAddress(address);
+        if (!this.wallets.has(key)) {
             throw new Error('Wallet not found');        // 钱包不存在时抛出异常
         }
 
-        this.wallets.delete(address);                   // 从映射表中删除钱包
+        this.wallets.delete(key);                       // 从映射表中删除钱包
 
-        saveWalletState(this);
+        this.stateStore?.saveWallets(this, { addresses: [key] });
 
         // 返回删除成功结果
         return {
@@ -257,56 +842,100 @@ export class WalletManager {
     /**
      * 验证钱包地址格式
      * @param {string} address - 钱包地址
-     * @returns {boolean} 地址有效返回true，否则返回false
-     */
-    isValidAddress(address) {
-        // 检查地址是否以'cosmo'开头且长度为45字符
-        return address && address.startsWith('cosmo') && address.length === 45;
-    }
-
-    toJSON({ includePrivate = false } = {}) {
-        const wallets = [];
-        this.wallets.forEach(wallet => {
-            const serialized = {
-                id: wallet.id,
-                address: wallet.address,
-                publicKey: wallet.publicKey
-            };
-            if (includePrivate) {
+     * @param {Object} options - 选项 { allowLegacy: 是否接受旧格式地址 }
+     * @returns {boolean} 带校验和的有效地址返回true，否则返回false
+     */
+    isValidAddress(address, options = {}) {
+        return isAddressFormat(address, options);
+    }
+
+    /**
+     * 序列化单个钱包
+     * @param {Wallet} wallet - 钱包实例
+     * @param {Object} options - 序列化选项
+     * @param {boolean} options.includePrivate - 是否包含密钥库（或早期钱包的明文私钥）
+     * @returns {Object} 钱包JSON数据
+     */
+    serializeWallet(wallet, { includePrivate = false } = {}) {
+        const serialized = {
+            id: wallet.id,
+            address: wallet.address,
+            publicKey: wallet.publicKey,
+            ...wallet.getDerivationInfo(),
+            ...(wallet.watchOnly ? { watchOnly: true, label: wallet.label } : {})
+        };
+        if (includePrivate && !wallet.watchOnly) {
+            // 加密的钱包只保存密钥库；未加密的早期钱包保存明文私钥，设置密码后改为密钥库
+            if (wallet.keystore) {
+                serialized.keystore = wallet.keystore;
+            } else {
                 serialized.privateKey = wallet.privateKey;
             }
-            wallets.push(serialized);
-        });
+        }
+        return serialized;
+    }
+
+    /**
+     * 验证钱包地址并说明原因
+     * @param {string} address - 钱包地址
+     * @returns {{ valid: boolean, format: string|null, address: string|null, reason: string|null }} 验证结果
+     */
+    validateAddress(address) {
+        return validateAddress(address);
+    }
+
+    toJSON({ includePrivate = false, includeWallets = true } = {}) {
+        const wallets = includeWallets
+            ? Array.from(this.wallets.values()).map(wallet => this.serializeWallet(wallet, { includePrivate }))
+            : [];
+
+        const hdWallets = Array.from(this.hdWallets.values()).map(({ seed, keystore, ...hdWallet }) => ({
+            ...hdWallet,
+            accounts: hdWallet.accounts.map(account => ({ ...account })),
+            ...(includePrivate ? (keystore ? { keystore } : { seed }) : {})
+        }));
 
         return {
             wallets,
+            hdWallets,
             count: wallets.length
         };
     }
 
-    loadFromJSON(data = {}) {
-        const { wallets = [] } = data;
+    async loadFromJSON(data = {}) {
+        const { wallets = [], hdWallets = [] } = data;
         this.wallets.clear();
+        this.hdWallets.clear();
+
+        for (const item of hdWallets ?? []) {
+            if (item?.id && (item.keystore || item.seed)) {
+                this.hdWallets.set(item.id, {
+                    ...item,
+                    accounts: (item.accounts ?? []).map(account => ({ ...account }))
+                });
+            }
+        }
 
-        wallets.forEach(item => {
+        for (const item of wallets) {
             if (!item || typeof item !== 'object') {
-                return;
+                continue;
             }
 
-            if (!item.privateKey) {
-                return;
+            let wallet;
+            if (item.keystore) {
+                wallet = Wallet.fromKeystore(item.keystore, item);
+            } else if (item.privateKey) {
+                wallet = await Wallet.importWallet(item);
+            } else if (isAddressFormat(normalizeAddress(item.address))) {
+                // 没有私钥的条目（只读钱包，或不含私钥的导出数据）作为只读钱包加载
+                wallet = Wallet.watchOnly(item.address, item);
+            } else {
+                continue;
             }
 
-            const wallet = Wallet.importWallet({
-                id: item.id,
-                privateKey: item.privateKey,
-                publicKey: item.publicKey,
-                address: item.address
-            });
-
             this.wallets.set(wallet.address, wallet);
-        });
+        }
 
-        saveWalletState(this);
+        this.stateStore?.saveWallets(this);
     }
 }
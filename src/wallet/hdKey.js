@@ -0,0 +1,84 @@
+import { bytesToHex, hexToBytes, hmacSha512Bytes } from '../utils/crypto.js';
+
+export const HD_PURPOSE = 44;           // BIP-44 用途字段
+export const HD_COIN_TYPE = 8888;       // 本链使用的币种编号
+const HARDENED_OFFSET = 0x80000000;     // 硬化派生的索引偏移
+const ED25519_SEED_KEY = 'ed25519 seed';
+
+function splitNode(digest) {
+    return {
+        privateKey: bytesToHex(digest.slice(0, 32)),   // 私钥（Ed25519 种子）
+        chainCode: bytesToHex(digest.slice(32))        // 链码
+    };
+}
+
+/**
+ * 由种子生成主节点（SLIP-0010 Ed25519）
+ * @param {string} seedHex - 十六进制种子
+ * @returns {Promise<{ privateKey: string, chainCode: string }>} 主节点
+ */
+export async function masterNodeFromSeed(seedHex) {
+    return splitNode(await hmacSha512Bytes(ED25519_SEED_KEY, hexToBytes(seedHex)));
+}
+
+/**
+ * 派生硬化子节点
+ * Ed25519 只支持硬化派生：HMAC-SHA512(链码, 0x00 || 私钥 || 索引)
+ * @param {Object} node - 父节点 { privateKey, chainCode }
+ * @param {number} index - 子索引（不含硬化偏移）
+ * @returns {Promise<{ privateKey: string, chainCode: string }>} 子节点
+ */
+export async function deriveHardenedChild(node, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+        throw new Error(`Invalid derivation index: ${index}`);
+    }
+
+    const data = new Uint8Array(37);
+    data.set(hexToBytes(node.privateKey), 1);
+    new DataView(data.buffer).setUint32(33, index + HARDENED_OFFSET);
+    return splitNode(await hmacSha512Bytes(hexToBytes(node.chainCode), data));
+}
+
+/**
+ * 解析派生路径
+ * @param {string} path - 派生路径，如 m/44'/8888'/0'/0'/0'，每一级都必须是硬化索引
+ * @returns {Array<number>} 各级索引（不含硬化偏移）
+ */
+export function parseDerivationPath(path) {
+    const segments = typeof path === 'string' ? path.split('/') : [];
+    if (segments[0] !== 'm') {
+        throw new Error('Derivation path must start with m');
+    }
+
+    return segments.slice(1).map(segment => {
+        const match = /^(\d+)'$/.exec(segment);
+        if (!match || Number(match[1]) >= HARDENED_OFFSET) {
+            throw new Error(`Invalid derivation path segment: ${segment} (Ed25519 supports hardened indexes only)`);
+        }
+        return Number(match[1]);
+    });
+}
+
+/**
+ * 生成账户下地址的派生路径
+ * @param {number} account - 账户索引
+ * @param {number} index - 地址索引
+ * @returns {string} 派生路径 m/44'/币种'/账户'/0'/地址'
+ */
+export function accountPath(account, index) {
+    return `m/${HD_PURPOSE}'/${HD_COIN_TYPE}'/${account}'/0'/${index}'`;
+}
+
+/**
+ * 按路径由种子派生节点
+ * @param {string} seedHex - 十六进制种子
+ * @param {string} path - 派生路径
+ * @returns {Promise<{ privateKey: string, chainCode: string }>} 派生得到的节点
+ */
+export async function derivePath(seedHex, path) {
+    let node = await masterNodeFromSeed(seedHex);
+    for (const index of parseDerivationPath(path)) {
+        node = await deriveHardenedChild(node, index);
+    }
+    return node;
+}
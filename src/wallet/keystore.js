@@ -0,0 +1,102 @@
+import { v4 as uuidv4 } from 'uuid';
+import { bytesToHex, hexToBytes, randomHex, pbkdf2Sha512Bytes, aesGcmEncryptBytes, aesGcmDecryptBytes } from '../utils/crypto.js';
+
+export const KEYSTORE_VERSION = 1;       // 密钥库格式版本
+const KDF_ITERATIONS = 100000;           // PBKDF2 迭代次数（Workers 运行时支持的上限）
+const MIN_KDF_ITERATIONS = 10000;        // 导入时接受的最小迭代次数
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+const HEX_PATTERN = /^(?:[0-9a-f]{2})+$/;
+
+async function deriveKey(password, salt, iterations) {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new Error('Password is required');
+    }
+    return pbkdf2Sha512Bytes(password.normalize('NFKC'), hexToBytes(salt), iterations, KEY_BYTES);
+}
+
+/**
+ * 检查密钥库格式
+ * @param {Object} keystore - 密钥库
+ * @returns {string|null} 格式错误的原因，格式正确返回null
+ */
+export function checkKeystore(keystore) {
+    if (!keystore || typeof keystore !== 'object') {
+        return 'Keystore must be an object';
+    }
+    if (keystore.version !== KEYSTORE_VERSION) {
+        return `Unsupported keystore version: ${keystore.version}`;
+    }
+
+    const { cipher, cipherparams, ciphertext, kdf, kdfparams } = keystore.crypto ?? {};
+    if (cipher !== 'aes-256-gcm' || !HEX_PATTERN.test(cipherparams?.iv ?? '') || cipherparams.iv.length !== IV_BYTES * 2) {
+        return 'Keystore cipher must be aes-256-gcm with a 12-byte iv';
+    }
+    if (!HEX_PATTERN.test(ciphertext ?? '')) {
+        return 'Keystore ciphertext must be hex';
+    }
+    if (kdf !== 'pbkdf2' || kdfparams?.prf !== 'hmac-sha512' || kdfparams.dklen !== KEY_BYTES) {
+        return 'Keystore kdf must be pbkdf2 with hmac-sha512 and a 32-byte key';
+    }
+    if (!Number.isInteger(kdfparams.iterations)
+        || kdfparams.iterations < MIN_KDF_ITERATIONS
+        || kdfparams.iterations > KDF_ITERATIONS) {
+        return `Keystore iterations must be between ${MIN_KDF_ITERATIONS} and ${KDF_ITERATIONS}`;
+    }
+    if (!HEX_PATTERN.test(kdfparams.salt ?? '')) {
+        return 'Keystore salt must be hex';
+    }
+    return null;
+}
+
+/**
+ * 用密码加密密钥（PBKDF2-HMAC-SHA512 推导密钥，AES-256-GCM 加密）
+ * @param {string} secretHex - 十六进制密钥（私钥或HD种子）
+ * @param {string} password - 密码
+ * @param {Object} meta - 随密钥库保存的公开信息（如 address、publicKey）
+ * @returns {Promise<Object>} 密钥库
+ */
+export async function encryptKeystore(secretHex, password, meta = {}) {
+    const salt = randomHex(SALT_BYTES);
+    const iv = randomHex(IV_BYTES);
+    const key = await deriveKey(password, salt, KDF_ITERATIONS);
+    const ciphertext = await aesGcmEncryptBytes(key, hexToBytes(iv), hexToBytes(secretHex));
+
+    return {
+        version: KEYSTORE_VERSION,   // 格式版本
+        id: uuidv4(),                // 密钥库ID
+        ...meta,
+        crypto: {
+            cipher: 'aes-256-gcm',
+            cipherparams: { iv },
+            ciphertext: bytesToHex(ciphertext),    // 密文（末尾16字节为认证标签）
+            kdf: 'pbkdf2',
+            kdfparams: { prf: 'hmac-sha512', iterations: KDF_ITERATIONS, salt, dklen: KEY_BYTES }
+        }
+    };
+}
+
+/**
+ * 用密码解密密钥库
+ * @param {Object} keystore - 密钥库
+ * @param {string} password - 密码
+ * @returns {Promise<string>} 十六进制密钥
+ */
+export async function decryptKeystore(keystore, password) {
+    const problem = checkKeystore(keystore);
+    if (problem) {
+        throw new Error(problem);
+    }
+
+    const { cipherparams, ciphertext, kdfparams } = keystore.crypto;
+    const key = await deriveKey(password, kdfparams.salt, kdfparams.iterations);
+    try {
+        const secret = await aesGcmDecryptBytes(key, hexToBytes(cipherparams.iv), hexToBytes(ciphertext));
+        return bytesToHex(secret);
+    } catch (error) {
+        // GCM 认证失败：密码错误或密钥库被篡改
+        throw new Error('Invalid password');
+    }
+}
@@ -0,0 +1,118 @@
+import { bytesToHex, hexToBytes, sha256Bytes, randomHex, pbkdf2Sha512Bytes } from '../utils/crypto.js';
+import ENGLISH_WORDLIST from './wordlists/english.json' with { type: 'json' };
+
+export const MNEMONIC_STRENGTHS = [128, 160, 192, 224, 256];   // 熵位数，对应 12、15、18、21、24 个单词
+const SEED_ITERATIONS = 2048;                                   // BIP-39 种子推导的 PBKDF2 迭代次数
+
+const WORD_INDEX = new Map(ENGLISH_WORDLIST.map((word, index) => [word, index]));
+
+/**
+ * 规范化助记词
+ * NFKD 规范化、转为小写并合并空白
+ * @param {string} mnemonic - 助记词
+ * @returns {string} 规范化后的助记词
+ */
+export function normalizeMnemonic(mnemonic) {
+    if (typeof mnemonic !== 'string') {
+        throw new Error('Mnemonic must be a string');
+    }
+    return mnemonic.normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+function bytesToBits(bytes) {
+    return Array.from(bytes, byte => byte.toString(2).padStart(8, '0')).join('');
+}
+
+function checksumBits(entropy) {
+    return bytesToBits(sha256Bytes(entropy)).slice(0, entropy.length / 4);
+}
+
+/**
+ * 由熵生成助记词（BIP-39）
+ * 熵后追加 SHA-256 的前 熵位数/32 位作为校验和，每 11 位对应词表中的一个单词
+ * @param {string} entropyHex - 十六进制熵（16、20、24、28 或 32 字节）
+ * @returns {string} 以空格分隔的助记词
+ */
+export function entropyToMnemonic(entropyHex) {
+    const entropy = hexToBytes(entropyHex);
+    if (!MNEMONIC_STRENGTHS.includes(entropy.length * 8)) {
+        throw new Error(`Entropy must be one of ${MNEMONIC_STRENGTHS.join(', ')} bits`);
+    }
+
+    const bits = bytesToBits(entropy) + checksumBits(entropy);
+    const words = [];
+    for (let offset = 0; offset < bits.length; offset += 11) {
+        words.push(ENGLISH_WORDLIST[parseInt(bits.slice(offset, offset + 11), 2)]);
+    }
+    return words.join(' ');
+}
+
+/**
+ * 由助记词还原熵，并检查单词和校验和
+ * @param {string} mnemonic - 助记词
+ * @returns {string} 十六进制熵
+ */
+export function mnemonicToEntropy(mnemonic) {
+    const words = normalizeMnemonic(mnemonic).split(' ');
+    if (!MNEMONIC_STRENGTHS.some(strength => (strength + strength / 32) / 11 === words.length)) {
+        throw new Error('Mnemonic must have 12, 15, 18, 21 or 24 words');
+    }
+
+    const bits = words.map(word => {
+        const index = WORD_INDEX.get(word);
+        if (index === undefined) {
+            throw new Error(`Unknown mnemonic word: ${word}`);
+        }
+        return index.toString(2).padStart(11, '0');
+    }).join('');
+
+    const entropyBits = bits.length * 32 / 33;
+    const entropy = new Uint8Array(entropyBits / 8);
+    for (let i = 0; i < entropy.length; i += 1) {
+        entropy[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+    }
+
+    if (checksumBits(entropy) !== bits.slice(entropyBits)) {
+        throw new Error('Invalid mnemonic checksum');
+    }
+    return bytesToHex(entropy);
+}
+
+/**
+ * 生成随机助记词
+ * @param {number} strength - 熵位数（128 为 12 个单词，256 为 24 个单词）
+ * @returns {string} 以空格分隔的助记词
+ */
+export function generateMnemonic(strength = 128) {
+    if (!MNEMONIC_STRENGTHS.includes(strength)) {
+        throw new Error(`Strength must be one of ${MNEMONIC_STRENGTHS.join(', ')}`);
+    }
+    return entropyToMnemonic(randomHex(strength / 8));
+}
+
+/**
+ * 验证助记词
+ * @param {string} mnemonic - 助记词
+ * @returns {boolean} 单词均在词表中且校验和正确返回true，否则返回false
+ */
+export function validateMnemonic(mnemonic) {
+    try {
+        mnemonicToEntropy(mnemonic);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 由助记词推导种子（BIP-39）
+ * PBKDF2-HMAC-SHA512，盐为 'mnemonic' 加密码短语，迭代 2048 次
+ * @param {string} mnemonic - 助记词（需先通过验证）
+ * @param {string} passphrase - 密码短语（可选）
+ * @returns {Promise<string>} 128字符的十六进制种子
+ */
+export async function mnemonicToSeed(mnemonic, passphrase = '') {
+    const password = normalizeMnemonic(mnemonic);
+    const salt = `mnemonic${passphrase}`.normalize('NFKD');
+    return bytesToHex(await pbkdf2Sha512Bytes(password, salt, SEED_ITERATIONS, 64));
+}
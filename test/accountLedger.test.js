@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { AccountLedger } from '../src/core/AccountLedger.js';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { deriveLegacyAddress } from '../src/utils/address.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 导出账本中可比较的状态
+ * @param {AccountLedger} ledger - 账本
+ * @returns {Object} 余额、序列号、交易位置和供应量
+ */
+function snapshot(ledger) {
+    return {
+        balances: Object.fromEntries(ledger.balances),
+        nonces: Object.fromEntries(ledger.nonces),
+        locations: Object.fromEntries(ledger.transactionLocations),
+        transactionCount: ledger.transactionCount,
+        supply: ledger.getSupply()
+    };
+}
+
+describe('AccountLedger', () => {
+    it('matches a full rebuild after blocks are applied one at a time', async () => {
+        const blockchain = new Blockchain();
+        const miner = await Wallet.create();
+        const recipient = await Wallet.create();
+        await blockchain.minePendingTransactions(miner.address);
+        const tx = new Transaction(miner.address, recipient.address, 10, 'transfer', 0, 2);
+        await tx.signTransaction(miner);
+        await blockchain.createTransaction(tx);
+        await blockchain.minePendingTransactions(miner.address);
+
+        const rebuilt = new AccountLedger();
+        rebuilt.rebuild(blockchain.chain);
+
+        expect(snapshot(blockchain.ledger)).toEqual(snapshot(rebuilt));
+        expect(blockchain.getBalance(recipient.address)).toBe(10);
+        expect(blockchain.getBalance(miner.address)).toBe(2 * blockchain.miningReward - 10);
+        expect(blockchain.getConfirmedNonce(miner.address)).toBe(1);
+        expect(blockchain.getTransactionsByAddress(recipient.address).map(item => item.id)).toEqual([tx.id]);
+        expect(blockchain.findTransaction(tx.id)).toMatchObject({ blockIndex: 2, transaction: { id: tx.id } });
+    });
+
+    it('indexes a legacy address and its checksummed form as one account', async () => {
+        const wallet = await Wallet.create();
+        const legacyAddress = deriveLegacyAddress(wallet.publicKey);
+        const ledger = new AccountLedger();
+        const payout = Transaction.fromJSON({ fromAddress: null, toAddress: legacyAddress, amount: 7, type: 'mine' });
+
+        ledger.applyBlock({ transactions: [payout] }, 1);
+
+        expect(ledger.getBalance(wallet.address)).toBe(7);
+        expect(ledger.getBalance(legacyAddress)).toBe(7);
+        expect(ledger.getTransactions(wallet.address)).toEqual([payout]);
+    });
+});
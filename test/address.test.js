@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import {
+    ADDRESS_LENGTH,
+    decodeAddress,
+    deriveAddress,
+    deriveLegacyAddress,
+    encodeAddress,
+    normalizeAddress,
+    validateAddress
+} from '../src/utils/address.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 替换地址中指定位置的字符
+ * @param {string} address - 地址
+ * @param {number} position - 字符位置
+ * @returns {string} 改动了一个字符的地址
+ */
+function typo(address, position) {
+    const replacement = address[position] === 'q' ? 'p' : 'q';
+    return `${address.slice(0, position)}${replacement}${address.slice(position + 1)}`;
+}
+
+describe('checksummed addresses', () => {
+    it('round-trip the public key hash', async () => {
+        const wallet = await Wallet.create();
+        const { hash } = decodeAddress(wallet.address);
+
+        expect(wallet.address).toMatch(/^cosmo1q/);
+        expect(wallet.address).toHaveLength(ADDRESS_LENGTH);
+        expect(wallet.address).toBe(deriveAddress(wallet.publicKey));
+        expect(encodeAddress(hash)).toBe(wallet.address);
+        expect(deriveLegacyAddress(wallet.publicKey)).toBe(`cosmo${hash}`);
+    });
+
+    it('detect a single-character typo anywhere in the data part', async () => {
+        const { address } = await Wallet.create();
+
+        for (let position = 'cosmo1'.length; position < address.length; position++) {
+            expect(() => decodeAddress(typo(address, position))).toThrow('Invalid checksum, the address may contain a typo');
+        }
+    });
+
+    it('explain why an address is invalid', async () => {
+        const { address, publicKey } = await Wallet.create();
+        const legacy = deriveLegacyAddress(publicKey);
+
+        expect(validateAddress(address.toUpperCase()).reason).toBe('Address must be lowercase');
+        expect(validateAddress(address.slice(0, -1)).reason).toBe(`Address must be ${ADDRESS_LENGTH} characters long, got ${ADDRESS_LENGTH - 1}`);
+        expect(validateAddress(`${address.slice(0, -1)}b`).reason).toBe(`Invalid character 'b' at position ${ADDRESS_LENGTH - 1}`);
+        expect(validateAddress(legacy)).toEqual({
+            valid: false,
+            format: 'legacy',
+            address,
+            reason: `Legacy address without checksum, use ${address}`
+        });
+        expect(normalizeAddress(legacy)).toBe(address);
+    });
+});
+
+describe('address checks on write routes', () => {
+    it('reject a mistyped recipient before creating a transaction', async () => {
+        const app = await createApplication({ storage: new MemoryStorageAdapter() });
+        const sender = await Wallet.create();
+        const recipient = await Wallet.create();
+        await app.blockchain.minePendingTransactions(sender.address);
+
+        const response = await app.handle(new Request('http://node/api/transfers', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'cf-connecting-ip': '203.0.113.7' },
+            body: JSON.stringify({
+                fromAddress: sender.address,
+                toAddress: typo(recipient.address, 20),
+                amount: 5,
+                privateKey: sender.privateKey
+            })
+        }));
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(JSON.stringify(body)).toContain('Invalid checksum');
+        expect(app.blockchain.pendingTransactions).toEqual([]);
+    });
+});
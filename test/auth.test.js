@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { createApiKeyHeaders, createAuthHeaders, hasScopes } from '../src/api/auth.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+const KEY = { id: 'ops-key', secret: 'hmac-secret' };
+
+/**
+ * 创建配置了持有者令牌和 HMAC API 密钥的节点，并托管一个钱包
+ * @returns {Promise<Object>} 节点和删除该钱包的请求路径
+ */
+async function createNode() {
+    const env = {
+        API_TOKENS: JSON.stringify([
+            { id: 'deleter', token: 'delete-token', scopes: ['wallets:*'] },
+            { id: 'reader', token: 'read-token', scopes: ['tokens:mint'] }
+        ]),
+        API_KEYS: JSON.stringify([{ ...KEY, scopes: ['wallets:delete'] }])
+    };
+    const app = await createApplication({ env, storage: new MemoryStorageAdapter() });
+    const { wallet } = await app.walletManager.createWallet('password12');
+    return { app, path: `/api/wallets/${wallet.address}` };
+}
+
+/**
+ * 发送删除钱包请求
+ * @param {WorkerFastifyAdapter} app - 应用实例
+ * @param {string} path - 请求路径
+ * @param {Object} headers - 认证请求头
+ * @returns {Promise<{ status: number, body: Object, headers: Headers }>} 响应
+ */
+async function remove(app, path, headers = {}) {
+    const response = await app.handle(new Request(`http://node${path}`, { method: 'DELETE', headers }));
+    return { status: response.status, body: await response.json(), headers: response.headers };
+}
+
+describe('hasScopes', () => {
+    it('matches exact scopes and wildcards', () => {
+        expect(hasScopes(['*'], ['tokens:mint', 'wallets:delete'])).toBe(true);
+        expect(hasScopes(['tokens:*'], ['tokens:burn'])).toBe(true);
+        expect(hasScopes(['tokens:*'], ['wallets:delete'])).toBe(false);
+        expect(hasScopes(['tokens:mint'], ['tokens:mint', 'tokens:burn'])).toBe(false);
+        expect(hasScopes([], [])).toBe(true);
+    });
+});
+
+describe('authentication middleware', () => {
+    it('rejects missing or unknown credentials with 401', async () => {
+        const { app, path } = await createNode();
+
+        const anonymous = await remove(app, path);
+        expect(anonymous.status).toBe(401);
+        expect(anonymous.body.error).toBe('Authentication required');
+        expect(anonymous.headers.get('WWW-Authenticate')).toBe('Bearer, HMAC-SHA256');
+
+        expect((await remove(app, path, { authorization: 'Bearer wrong-token' })).body.error).toBe('Invalid bearer token');
+    });
+
+    it('rejects a token without the route scope with 403', async () => {
+        const { app, path } = await createNode();
+
+        const result = await remove(app, path, { authorization: 'Bearer read-token' });
+
+        expect(result.status).toBe(403);
+        expect(result.body.error).toBe('Missing required scope: wallets:delete');
+    });
+
+    it('accepts a bearer token with a wildcard scope', async () => {
+        const { app, path } = await createNode();
+
+        expect((await remove(app, path, { authorization: 'Bearer delete-token' })).status).toBe(200);
+    });
+
+    it('accepts an HMAC-signed request once', async () => {
+        const { app, path } = await createNode();
+        const headers = createApiKeyHeaders(KEY, { method: 'DELETE', path });
+
+        expect((await remove(app, path, headers)).status).toBe(200);
+
+        const replayed = await remove(app, path, headers);
+        expect(replayed.status).toBe(401);
+        expect(replayed.body.error).toBe('Request signature has already been used');
+    });
+
+    it('rejects a wallet signature made for another request', async () => {
+        const { app, path } = await createNode();
+        const signer = await Wallet.create();
+        const headers = await createAuthHeaders(signer, { method: 'DELETE', path: '/api/wallets/other' });
+
+        const result = await remove(app, path, headers);
+
+        expect(result.status).toBe(401);
+        expect(result.body.error).toBe('Invalid request signature');
+    });
+});
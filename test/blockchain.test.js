@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 创建一条区块链和一个已获得挖矿奖励的发送方
+ * @returns {Promise<Object>} 区块链、发送方和接收方
+ */
+async function createFundedChain() {
+    const blockchain = new Blockchain();
+    const sender = await Wallet.create();
+    const recipient = await Wallet.create();
+    await blockchain.minePendingTransactions(sender.address);
+    return { blockchain, sender, recipient };
+}
+
+/**
+ * 创建并签名转账交易
+ * @returns {Promise<Transaction>} 已签名的交易
+ */
+async function signTransfer(sender, recipient, amount, nonce = 0, fee = 1) {
+    const tx = new Transaction(sender.address, recipient.address, amount, 'transfer', nonce, fee);
+    await tx.signTransaction(sender);
+    return tx;
+}
+
+describe('transaction admission', () => {
+    it.each([
+        ['a string', '5'],
+        ['infinite', Infinity],
+        ['not a number', NaN]
+    ])('rejects an amount that is %s with the consensus rule', async (label, amount) => {
+        const { blockchain, sender, recipient } = await createFundedChain();
+        const tx = await signTransfer(sender, recipient, amount);
+
+        await expect(blockchain.createTransaction(tx)).rejects.toThrow('Transaction amount must be a positive number');
+        expect(blockchain.pendingTransactions).toEqual([]);
+        expect(blockchain.getSpendableBalance(sender.address)).toBe(blockchain.miningReward);
+    });
+
+    it('rejects a non-numeric fee', async () => {
+        const { blockchain, sender, recipient } = await createFundedChain();
+        const tx = await signTransfer(sender, recipient, 5, 0, '1');
+
+        await expect(blockchain.createTransaction(tx)).rejects.toThrow('Transaction fee must be a non-negative number');
+    });
+
+    it('drops pooled transactions that break consensus rules from the block template', async () => {
+        const { blockchain, sender, recipient } = await createFundedChain();
+        // 旧版本可能已接受的交易
+        const legacy = await signTransfer(sender, recipient, '5');
+        blockchain.mempool.add(legacy);
+
+        const { block } = await blockchain.minePendingTransactions(sender.address);
+
+        expect(block.transactions.map(tx => tx.id)).not.toContain(legacy.id);
+        expect(blockchain.pendingTransactions).toEqual([]);
+        expect((await blockchain.validateChain()).valid).toBe(true);
+    });
+});
+
+describe('transaction nonces', () => {
+    it('reject a replayed transaction while pending and after confirmation', async () => {
+        const { blockchain, sender, recipient } = await createFundedChain();
+        const tx = await signTransfer(sender, recipient, 5);
+        await blockchain.createTransaction(tx);
+
+        await expect(blockchain.createTransaction(Transaction.fromJSON(tx.toJSON()))).rejects.toThrow('Invalid nonce. Expected 1, received 0');
+
+        await blockchain.minePendingTransactions(sender.address);
+        await expect(blockchain.createTransaction(Transaction.fromJSON(tx.toJSON()))).rejects.toThrow('Invalid nonce. Expected 1, received 0');
+        expect(blockchain.getConfirmedNonce(sender.address)).toBe(1);
+        expect(blockchain.getBalance(recipient.address)).toBe(5);
+    });
+
+    it('reject a transaction that skips a nonce', async () => {
+        const { blockchain, sender, recipient } = await createFundedChain();
+
+        await expect(blockchain.createTransaction(await signTransfer(sender, recipient, 5, 1))).rejects.toThrow('Invalid nonce. Expected 0, received 1');
+        expect(blockchain.getNextNonce(sender.address)).toBe(0);
+    });
+});
+
+describe('spendable balance', () => {
+    it('counts pending spends so the mempool cannot double spend', async () => {
+        const { blockchain, sender, recipient } = await createFundedChain();
+        const amount = blockchain.miningReward / 2;
+
+        await blockchain.createTransaction(await signTransfer(sender, recipient, amount));
+
+        expect(blockchain.getBalanceDetails(sender.address)).toEqual({
+            confirmed: blockchain.miningReward,
+            pending: { incoming: 0, outgoing: amount + 1 },
+            spendable: amount - 1
+        });
+        await expect(blockchain.createTransaction(await signTransfer(sender, recipient, amount, 1))).rejects.toThrow('Not enough balance');
+        expect(blockchain.pendingTransactions).toHaveLength(1);
+    });
+
+    it('does not let pending income be spent before it is confirmed', async () => {
+        const { blockchain, sender, recipient } = await createFundedChain();
+        await blockchain.createTransaction(await signTransfer(sender, recipient, 5));
+
+        expect(blockchain.getSpendableBalance(recipient.address)).toBe(0);
+        await expect(blockchain.createTransaction(await signTransfer(recipient, sender, 1, 0, 0))).rejects.toThrow('Not enough balance');
+    });
+});
+
+describe('transaction fees', () => {
+    it('are charged to the sender and paid to the miner of the block', async () => {
+        const { blockchain, sender, recipient } = await createFundedChain();
+        const miner = await Wallet.create();
+        await blockchain.createTransaction(await signTransfer(sender, recipient, 10, 0, 3));
+
+        const { block, fees } = await blockchain.minePendingTransactions(miner.address);
+        const coinbase = block.transactions[block.transactions.length - 1];
+
+        expect(fees).toBe(3);
+        expect(coinbase).toMatchObject({ type: 'mine', toAddress: miner.address, amount: blockchain.miningReward + 3 });
+        expect(blockchain.getBalance(sender.address)).toBe(blockchain.miningReward - 13);
+        expect(blockchain.getBalance(recipient.address)).toBe(10);
+        expect(blockchain.getBalance(miner.address)).toBe(blockchain.miningReward + 3);
+        expect(blockchain.ledger.getSupply().mined).toBe(2 * blockchain.miningReward);
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { ChainSync } from '../src/p2p/ChainSync.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+const FIXTURE_URL = 'http://fixture';
+const FIXTURE_HEIGHT = 5;
+
+/**
+ * 创建一个在本地提供固定区块链的节点，以及一个通过 fetch 选项向它请求的空节点
+ * @param {Function} rewrite - 修改固定节点响应数据的函数（可选）
+ * @returns {Promise<Object>} 固定节点、同步节点和请求路径记录
+ */
+async function createFixture(rewrite = (path, data) => data) {
+    const fixture = await createApplication({ storage: new MemoryStorageAdapter() });
+    const miner = await Wallet.create();
+    for (let height = 1; height <= FIXTURE_HEIGHT; height++) {
+        await fixture.blockchain.minePendingTransactions(miner.address);
+    }
+
+    const requests = [];
+    const fetchFixture = async (url, init) => {
+        const { pathname, search } = new URL(url);
+        requests.push(`${pathname}${search}`);
+
+        const response = await fixture.handle(new Request(url, init));
+        const payload = await response.json();
+        payload.data = rewrite(`${pathname}${search}`, payload.data);
+        return new Response(JSON.stringify(payload), { status: response.status });
+    };
+
+    const node = await createApplication({ fetch: fetchFixture, storage: new MemoryStorageAdapter() });
+    return { fixture, node, requests };
+}
+
+describe('ChainSync', () => {
+    it('downloads a fixture chain in batches', async () => {
+        const { fixture, node, requests } = await createFixture();
+        const chainSync = new ChainSync(node.blockchain, node.peerManager, { headerBatchSize: 2, blockBatchSize: 2 });
+
+        const result = await chainSync.sync(FIXTURE_URL);
+
+        expect(result.status).toBe('completed');
+        expect(result.blocksDownloaded).toBe(FIXTURE_HEIGHT);
+        expect(node.blockchain.getLatestBlock().hash).toBe(fixture.blockchain.getLatestBlock().hash);
+        expect(requests.filter(path => path.startsWith('/api/p2p/headers'))).toEqual([
+            '/api/p2p/headers?from=0&limit=2',
+            '/api/p2p/headers?from=2&limit=2',
+            '/api/p2p/headers?from=4&limit=2',
+            '/api/p2p/headers?from=6&limit=2'
+        ]);
+    });
+
+    it('rejects an invalid header batch before requesting the next one', async () => {
+        const { node, requests } = await createFixture((path, data) => {
+            if (path.startsWith('/api/p2p/headers?from=2')) {
+                data.headers[1].previousHash = '0'.repeat(64);
+            }
+            return data;
+        });
+        const chainSync = new ChainSync(node.blockchain, node.peerManager, { headerBatchSize: 2 });
+
+        await expect(chainSync.sync(FIXTURE_URL)).rejects.toThrow('Invalid header at height 3');
+        expect(requests).toEqual(['/api/p2p/headers?from=0&limit=2', '/api/p2p/headers?from=2&limit=2']);
+        expect(node.blockchain.chain.length).toBe(1);
+    });
+
+    it('stops at the maximum header count regardless of the advertised height', async () => {
+        const { node, requests } = await createFixture((path, data) => ({ ...data, height: 1 }));
+        const chainSync = new ChainSync(node.blockchain, node.peerManager, { headerBatchSize: 2, maxHeaders: 3 });
+
+        await expect(chainSync.sync(FIXTURE_URL)).rejects.toThrow('Peer returned more than 3 headers');
+        expect(requests.every(path => path.startsWith('/api/p2p/headers'))).toBe(true);
+        expect(node.blockchain.chain.length).toBe(1);
+    });
+});
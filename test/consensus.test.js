@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { Block } from '../src/core/Block.js';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { CONSENSUS_ERRORS } from '../src/core/ConsensusValidator.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 挖出包含一笔转账的三个区块
+ * @param {Blockchain} blockchain - 区块链
+ * @returns {Promise<Blockchain>} 同一区块链
+ */
+async function mineChain(blockchain = new Blockchain()) {
+    const miner = await Wallet.create();
+    const recipient = await Wallet.create();
+    await blockchain.minePendingTransactions(miner.address);
+
+    const tx = new Transaction(miner.address, recipient.address, 10, 'transfer', 0, 2);
+    await tx.signTransaction(miner);
+    await blockchain.createTransaction(tx);
+    await blockchain.minePendingTransactions(miner.address);
+    await blockchain.minePendingTransactions(miner.address);
+    return blockchain;
+}
+
+/**
+ * 复制区块链，修改副本不影响原链
+ * @param {Array<Block>} chain - 区块链
+ * @returns {Array<Block>} 副本
+ */
+function copyChain(chain) {
+    return chain.map(block => Block.fromJSON(JSON.parse(JSON.stringify(block.toJSON()))));
+}
+
+/**
+ * 修改区块内容后重新计算 Merkle 根并重新挖矿，使区块本身的哈希和工作量证明有效
+ * @param {Block} block - 区块
+ * @returns {Block} 同一区块
+ */
+function remine(block) {
+    block.merkleRoot = block.calculateMerkleRoot();
+    block.nonce = 0;
+    block.hash = block.calculateHash();
+    block.mineChunk(Infinity);
+    return block;
+}
+
+describe('ConsensusValidator', () => {
+    it('replays a valid chain', async () => {
+        const blockchain = await mineChain();
+
+        expect(await blockchain.validator.validateChain(copyChain(blockchain.chain))).toEqual({
+            valid: true,
+            height: 3,
+            blocksChecked: 4
+        });
+    });
+
+    it('reports a tampered coinbase amount', async () => {
+        const blockchain = await mineChain();
+        const chain = copyChain(blockchain.chain);
+        const coinbase = chain[2].transactions[chain[2].transactions.length - 1];
+        coinbase.amount += 1;
+        remine(chain[2]);
+
+        expect(await blockchain.validator.validateChain(chain)).toMatchObject({
+            valid: false,
+            height: 2,
+            blockHash: chain[2].hash,
+            reason: CONSENSUS_ERRORS.BAD_COINBASE_AMOUNT,
+            transactionId: coinbase.id
+        });
+    });
+
+    it('reports a transaction changed after mining as a Merkle root mismatch', async () => {
+        const blockchain = await mineChain();
+        const chain = copyChain(blockchain.chain);
+        chain[2].transactions[0].amount = 90;
+
+        expect(await blockchain.validator.validateChain(chain)).toMatchObject({
+            valid: false,
+            height: 2,
+            reason: CONSENSUS_ERRORS.BAD_MERKLE_ROOT
+        });
+    });
+
+    it('reports a timestamp earlier than the previous block', async () => {
+        const blockchain = await mineChain();
+        const chain = copyChain(blockchain.chain);
+        chain[2].timestamp = chain[1].timestamp - 1000;
+        remine(chain[2]);
+
+        expect(await blockchain.validator.validateChain(chain)).toMatchObject({
+            valid: false,
+            height: 2,
+            reason: CONSENSUS_ERRORS.TIMESTAMP_TOO_EARLY
+        });
+    });
+
+    it('reports a timestamp too far in the future', async () => {
+        const blockchain = await mineChain();
+        const chain = copyChain(blockchain.chain);
+        chain[3].timestamp = Date.now() + 3 * 60 * 60 * 1000;
+        remine(chain[3]);
+
+        expect(await blockchain.validator.validateChain(chain)).toMatchObject({
+            valid: false,
+            height: 3,
+            reason: CONSENSUS_ERRORS.TIMESTAMP_TOO_FAR_IN_FUTURE
+        });
+    });
+
+    it('reports a hash that does not meet the target', async () => {
+        const blockchain = await mineChain();
+        const chain = copyChain(blockchain.chain);
+        const block = chain[1];
+        do {
+            block.nonce += 1;
+            block.hash = block.calculateHash();
+        } while (block.meetsTarget(block.target));
+
+        expect(await blockchain.validator.validateChain(chain)).toMatchObject({
+            valid: false,
+            height: 1,
+            reason: CONSENSUS_ERRORS.INSUFFICIENT_WORK
+        });
+    });
+
+    it('reports a genesis block that differs from the configured one', async () => {
+        const blockchain = await mineChain();
+        const chain = copyChain(blockchain.chain);
+        chain[0].timestamp += 1;
+        chain[0].hash = chain[0].calculateHash();
+
+        expect(await blockchain.validator.validateChain(chain)).toMatchObject({
+            valid: false,
+            height: 0,
+            reason: CONSENSUS_ERRORS.INVALID_GENESIS,
+            message: 'Genesis block does not match the configured genesis'
+        });
+    });
+});
+
+describe('GET /api/blockchain/validate', () => {
+    it('reports the first invalid block of the main chain', async () => {
+        const app = await createApplication({ storage: new MemoryStorageAdapter() });
+        await mineChain(app.blockchain);
+        const validate = async () => (await (await app.handle(new Request('http://node/api/blockchain/validate'))).json()).data;
+
+        expect(await validate()).toMatchObject({ isValid: true, height: 3 });
+
+        const coinbase = app.blockchain.chain[2].transactions[app.blockchain.chain[2].transactions.length - 1];
+        coinbase.amount += 1;
+        remine(app.blockchain.chain[2]);
+
+        expect(await validate()).toMatchObject({
+            isValid: false,
+            height: 2,
+            reason: CONSENSUS_ERRORS.BAD_COINBASE_AMOUNT,
+            message: expect.stringContaining('Mining reward must be')
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { Block } from '../src/core/Block.js';
+import { Blockchain, DEFAULT_RETARGET_PARAMS } from '../src/core/Blockchain.js';
+import { CONSENSUS_ERRORS } from '../src/core/ConsensusValidator.js';
+import { MAX_TARGET, difficultyToTarget, parseTarget, retarget, targetToDifficulty, targetToHex } from '../src/utils/target.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+const { targetBlockTime, interval, maxAdjustment } = DEFAULT_RETARGET_PARAMS;
+
+/**
+ * 创建出块间隔固定的区块头序列（只包含难度调整用到的字段）
+ * @param {Blockchain} blockchain - 区块链（提供创世区块）
+ * @param {number} spacing - 出块间隔（毫秒）
+ * @returns {Array<Object>} 长度为 interval 的区块序列
+ */
+function spacedChain(blockchain, spacing) {
+    const [genesis] = blockchain.chain;
+    return [genesis, ...Array.from({ length: interval - 1 }, (_, i) => ({
+        timestamp: genesis.timestamp + (i + 1) * spacing,
+        target: genesis.target
+    }))];
+}
+
+describe('difficulty retargeting', () => {
+    it('converts between difficulty and target', () => {
+        expect(targetToDifficulty(difficultyToTarget(3))).toBeCloseTo(3, 6);
+        expect(targetToDifficulty(difficultyToTarget(2.5))).toBeCloseTo(2.5, 6);
+        expect(difficultyToTarget(1)).toBe(MAX_TARGET);
+    });
+
+    it('clamps a single adjustment to the maximum factor', () => {
+        const target = difficultyToTarget(4);
+
+        expect(retarget(target, 1, 1000, maxAdjustment)).toBe(target / BigInt(maxAdjustment));
+        expect(retarget(target, 1e9, 1000, maxAdjustment)).toBe(target * BigInt(maxAdjustment));
+        expect(retarget(MAX_TARGET, 1e9, 1000, maxAdjustment)).toBe(MAX_TARGET);
+    });
+
+    it('adjusts only at the retarget interval, following the observed block time', () => {
+        const blockchain = new Blockchain();
+        const initial = parseTarget(blockchain.chain[0].target);
+
+        const fast = spacedChain(blockchain, targetBlockTime / 2);
+        expect(blockchain.getRequiredTarget(interval - 1, fast)).toBe(initial);
+        expect(blockchain.getRequiredTarget(interval, fast)).toBe(initial / 2n);
+
+        const onTime = spacedChain(blockchain, targetBlockTime);
+        expect(blockchain.getRequiredTarget(interval, onTime)).toBe(initial);
+    });
+
+    it('rejects a block that declares an easier target than required', async () => {
+        const blockchain = new Blockchain();
+        const miner = await Wallet.create();
+        await blockchain.minePendingTransactions(miner.address);
+        const chain = blockchain.chain.map(block => Block.fromJSON(JSON.parse(JSON.stringify(block.toJSON()))));
+
+        const block = chain[1];
+        block.target = targetToHex(MAX_TARGET);
+        block.nonce = 0;
+        block.hash = block.calculateHash();
+        block.mineChunk(Infinity);
+
+        expect(await blockchain.validator.validateChain(chain)).toMatchObject({
+            valid: false,
+            height: 1,
+            reason: CONSENSUS_ERRORS.BAD_TARGET
+        });
+    });
+});
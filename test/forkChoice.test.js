@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { Block } from '../src/core/Block.js';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 复制区块，模拟从其他节点收到的区块
+ * @param {Block} block - 区块
+ * @returns {Block} 副本
+ */
+function receive(block) {
+    return Block.fromJSON(JSON.parse(JSON.stringify(block.toJSON())));
+}
+
+/**
+ * 创建两条从同一创世区块分叉的链：本地链有一个包含转账的区块，竞争链有两个空区块
+ * @returns {Promise<Object>} 本地链、竞争链和本地区块中的转账
+ */
+async function createFork() {
+    const local = new Blockchain();
+    const competing = new Blockchain();
+    const sender = await Wallet.create();
+    const recipient = await Wallet.create();
+
+    await local.minePendingTransactions(sender.address);
+    await competing.minePendingTransactions(sender.address);
+    await competing.minePendingTransactions(sender.address);
+
+    const tx = new Transaction(sender.address, recipient.address, 10, 'transfer', 0, 1);
+    await tx.signTransaction(sender);
+    await local.createTransaction(tx);
+    await local.minePendingTransactions(sender.address);
+
+    const other = await Wallet.create();
+    await competing.minePendingTransactions(other.address);
+
+    return { local, competing, tx };
+}
+
+describe('fork choice', () => {
+    it('keeps a branch with no more work on the side', async () => {
+        const { local, competing } = await createFork();
+        const tip = local.getLatestBlock().hash;
+
+        expect(await local.addBlock(receive(competing.chain[1]))).toMatchObject({ status: 'side-branch', height: 1 });
+        expect(await local.addBlock(receive(competing.chain[2]))).toMatchObject({ status: 'side-branch', height: 2 });
+
+        expect(local.getLatestBlock().hash).toBe(tip);
+        expect(local.getSideBranches()).not.toHaveLength(0);
+    });
+
+    it('reorganizes to the branch with the most work and returns disconnected transactions to the mempool', async () => {
+        const { local, competing, tx } = await createFork();
+        for (const block of competing.chain.slice(1, 3)) {
+            await local.addBlock(receive(block));
+        }
+
+        const result = await local.addBlock(receive(competing.chain[3]));
+
+        expect(result.status).toBe('reorg');
+        expect(result.reorg).toMatchObject({ forkHeight: 1, depth: 2, returnedTransactions: 1 });
+        expect(local.chain.map(block => block.hash)).toEqual(competing.chain.map(block => block.hash));
+        expect(local.getChainWork()).toBe(competing.getChainWork());
+        expect(local.pendingTransactions.map(item => item.id)).toEqual([tx.id]);
+        expect(local.findTransaction(tx.id)).toBeNull();
+        expect((await local.validateChain()).valid).toBe(true);
+    });
+
+    it('rejects a block whose parent is unknown', async () => {
+        const { local, competing } = await createFork();
+
+        await expect(local.addBlock(receive(competing.chain[2]))).rejects.toThrow('Unknown parent block');
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { loadGenesisConfig, normalizeGenesisConfig } from '../src/core/GenesisConfig.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+describe('genesis block', () => {
+    it('is the same for the same configuration and changes with the chain parameters', () => {
+        const config = normalizeGenesisConfig({ chainId: 'test-net' });
+
+        expect(new Blockchain(config).genesisHash).toBe(new Blockchain(normalizeGenesisConfig({ chainId: 'test-net' })).genesisHash);
+        expect(new Blockchain(config).genesisHash).not.toBe(new Blockchain(normalizeGenesisConfig({ chainId: 'other-net' })).genesisHash);
+        expect(new Blockchain(config).genesisHash).not.toBe(new Blockchain(normalizeGenesisConfig({ chainId: 'test-net', miningReward: 50 })).genesisHash);
+    });
+
+    it('credits the configured allocations and roles', async () => {
+        const treasury = await Wallet.create();
+        const admin = await Wallet.create();
+        const blockchain = new Blockchain(normalizeGenesisConfig({
+            allocations: [{ address: treasury.address, amount: 5000 }],
+            roles: { admin: [admin.address] }
+        }));
+
+        expect(blockchain.getBalance(treasury.address)).toBe(5000);
+        expect(blockchain.hasRole(admin.address, 'admin')).toBe(true);
+        expect(blockchain.ledger.getSupply()).toMatchObject({ premine: 5000, circulating: 5000 });
+    });
+
+    it('rejects allocations that exceed the total supply', async () => {
+        const { address } = await Wallet.create();
+
+        expect(() => normalizeGenesisConfig({ totalSupply: 100, allocations: [{ address, amount: 101 }] }))
+            .toThrow('Genesis allocations exceed the total supply');
+    });
+});
+
+describe('loadGenesisConfig', () => {
+    it('prefers single variables over GENESIS_CONFIG over genesis.json', () => {
+        const config = loadGenesisConfig({
+            file: { chainId: 'from-file', miningReward: 10, totalSupply: 5000 },
+            env: {
+                GENESIS_CONFIG: JSON.stringify({ chainId: 'from-config', miningReward: 20 }),
+                GENESIS_CHAIN_ID: 'from-variable'
+            }
+        });
+
+        expect(config).toMatchObject({ chainId: 'from-variable', miningReward: 20, totalSupply: 5000 });
+    });
+
+    it('reports invalid JSON in GENESIS_CONFIG', () => {
+        expect(() => loadGenesisConfig({ env: { GENESIS_CONFIG: '{' } })).toThrow('GENESIS_CONFIG must be valid JSON');
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { derivePath, parseDerivationPath } from '../src/wallet/hdKey.js';
+import { entropyToMnemonic, mnemonicToEntropy, mnemonicToSeed, validateMnemonic } from '../src/wallet/mnemonic.js';
+
+const ABANDON_MNEMONIC = `${'abandon '.repeat(11)}about`;
+
+describe('BIP-39 mnemonics', () => {
+    it('match the reference vectors', async () => {
+        expect(entropyToMnemonic('00000000000000000000000000000000')).toBe(ABANDON_MNEMONIC);
+        expect(entropyToMnemonic('7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f'))
+            .toBe('legal winner thank year wave sausage worth useful legal winner thank yellow');
+        expect(await mnemonicToSeed(ABANDON_MNEMONIC, 'TREZOR')).toBe(
+            'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+        );
+    });
+
+    it('reject a wrong checksum or unknown word', () => {
+        expect(validateMnemonic(ABANDON_MNEMONIC)).toBe(true);
+        expect(validateMnemonic('abandon '.repeat(11) + 'abandon')).toBe(false);
+        expect(validateMnemonic('abandon '.repeat(11) + 'notaword')).toBe(false);
+        expect(() => mnemonicToEntropy('abandon '.repeat(11) + 'abandon')).toThrow();
+    });
+});
+
+describe('SLIP-0010 Ed25519 derivation', () => {
+    const seed = '000102030405060708090a0b0c0d0e0f';
+
+    it('matches the reference vectors', async () => {
+        expect(await derivePath(seed, 'm')).toEqual({
+            privateKey: '2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7',
+            chainCode: '90046a93de5380a72b5e45010748567d5ea02bbf6522f979e05c0d8d8ca9fffb'
+        });
+        expect(await derivePath(seed, "m/0'/1'")).toEqual({
+            privateKey: 'b1d0bad404bf35da785a64ca1ac54b2617211d2777696fbffaf208f746ae84f2',
+            chainCode: 'a320425f77d1b5c2505a6b1b27382b37368ee640e3557c315416801243552f14'
+        });
+    });
+
+    it('refuses non-hardened path segments', () => {
+        expect(() => parseDerivationPath("m/44'/0")).toThrow('Ed25519 supports hardened indexes only');
+    });
+});
+
+describe('HD wallet restore', () => {
+    it('finds used addresses beyond the first one', async () => {
+        const source = await createApplication({ storage: new MemoryStorageAdapter() });
+        const { mnemonic, hdWallet, wallet: first } = await source.walletManager.createHDWallet({ password: 'password12' });
+        await source.walletManager.deriveHDAddress(hdWallet.id, 0, 'password12');
+        const { wallet: third } = await source.walletManager.deriveHDAddress(hdWallet.id, 0, 'password12');
+
+        const node = await createApplication({ storage: new MemoryStorageAdapter() });
+        await node.blockchain.minePendingTransactions(third.address);
+
+        const { wallets } = await node.walletManager.restoreHDWallet(mnemonic, '', 'password12');
+
+        expect(wallets.map(wallet => wallet.address)).toEqual([third.address]);
+        expect(wallets.map(wallet => wallet.address)).not.toContain(first.address);
+    });
+});
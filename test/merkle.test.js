@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { computeMerkleRoot, getMerkleProof, verifyMerkleProof } from '../src/utils/merkle.js';
+import { sha256Hex } from '../src/utils/crypto.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+describe('Merkle proofs', () => {
+    it.each([1, 2, 3, 5])('verify every leaf of a %i-leaf tree', count => {
+        const leaves = Array.from({ length: count }, (_, i) => sha256Hex(`leaf-${i}`));
+        const root = computeMerkleRoot(leaves);
+
+        leaves.forEach((leaf, index) => {
+            expect(verifyMerkleProof(leaf, getMerkleProof(leaves, index), root)).toBe(true);
+        });
+    });
+
+    it('reject a leaf or branch that is not in the tree', () => {
+        const leaves = Array.from({ length: 4 }, (_, i) => sha256Hex(`leaf-${i}`));
+        const root = computeMerkleRoot(leaves);
+        const proof = getMerkleProof(leaves, 1);
+
+        expect(verifyMerkleProof(sha256Hex('other'), proof, root)).toBe(false);
+        expect(verifyMerkleProof(leaves[1], getMerkleProof(leaves, 2), root)).toBe(false);
+    });
+});
+
+describe('transaction inclusion proof routes', () => {
+    it('prove a confirmed transaction against its block header', async () => {
+        const app = await createApplication({ storage: new MemoryStorageAdapter() });
+        const sender = await Wallet.create();
+        const recipient = await Wallet.create();
+        await app.blockchain.minePendingTransactions(sender.address);
+        const tx = new Transaction(sender.address, recipient.address, 10, 'transfer', 0, 1);
+        await tx.signTransaction(sender);
+        await app.blockchain.createTransaction(tx);
+        await app.blockchain.minePendingTransactions(sender.address);
+
+        const response = await app.handle(new Request(`http://node/api/blockchain/transactions/${tx.id}/proof`));
+        const { data } = await response.json();
+        expect(data).toMatchObject({ transactionId: tx.id, height: 2, merkleRoot: data.header.merkleRoot });
+
+        const verify = async body => (await (await app.handle(new Request('http://node/api/blockchain/transactions/proof/verify', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body)
+        }))).json()).data.isValid;
+
+        const { leaf, proof, merkleRoot } = data;
+        expect(await verify({ leaf, proof, merkleRoot })).toBe(true);
+        expect(await verify({ leaf: sha256Hex('forged'), proof, merkleRoot })).toBe(false);
+    });
+
+    it('return 404 for an unconfirmed transaction', async () => {
+        const app = await createApplication({ storage: new MemoryStorageAdapter() });
+
+        const response = await app.handle(new Request(`http://node/api/blockchain/transactions/${'a'.repeat(64)}/proof`));
+
+        expect(response.status).toBe(404);
+    });
+});
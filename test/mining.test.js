@@ -0,0 +1,92 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { createAuthHeaders } from '../src/api/auth.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 创建带一笔待处理交易和一个已注册矿工的节点
+ * @param {Object} options.env - Worker 环境变量（可选）
+ * @returns {Promise<Object>} 节点和矿工地址
+ */
+async function createMiningNode({ env } = {}) {
+    const app = await createApplication({ env, storage: new MemoryStorageAdapter() });
+    const sender = await Wallet.create();
+    const miner = await Wallet.create();
+
+    await app.blockchain.minePendingTransactions(sender.address);
+    const tx = new Transaction(sender.address, miner.address, 10, 'transfer', 0, 1);
+    await tx.signTransaction(sender);
+    await app.blockchain.createTransaction(tx);
+
+    app.miningManager.registerMiner(miner.address, 'test miner');
+    return { app, minerAddress: miner.address };
+}
+
+describe('mining jobs', () => {
+    it('resolve with a cancelled status when stopped', async () => {
+        const { app, minerAddress } = await createMiningNode();
+
+        const { waitUntil } = app.miningManager.startMining(minerAddress);
+        app.miningManager.stopMining(minerAddress);
+
+        await expect(waitUntil).resolves.toMatchObject({ success: false, cancelled: true, minerAddress });
+        expect(app.blockchain.chain.length).toBe(2);
+    });
+
+    it('resolve with the error and reset the mining state when they fail', async () => {
+        const { app, minerAddress } = await createMiningNode();
+        vi.spyOn(app.blockchain, 'addBlock').mockRejectedValue(new Error('disk full'));
+
+        const { waitUntil } = app.miningManager.startMining(minerAddress);
+
+        await expect(waitUntil).resolves.toMatchObject({ success: false, cancelled: false, message: 'Mining failed: disk full' });
+        expect(app.miningManager.isMining).toBe(false);
+        expect(app.miningManager.miners.get(minerAddress).isActive).toBe(false);
+    });
+});
+
+describe('mining control routes', () => {
+    /**
+     * 发送开始挖矿请求
+     * @param {WorkerFastifyAdapter} app - 应用实例
+     * @param {string} minerAddress - 矿工地址
+     * @param {Object} headers - 认证请求头
+     * @returns {Promise<number>} 响应状态码
+     */
+    async function start(app, minerAddress, headers = {}) {
+        const body = JSON.stringify({ minerAddress });
+        const response = await app.handle(new Request('http://node/api/mining/start', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'cf-connecting-ip': '203.0.113.7', ...headers },
+            body
+        }), {}, { waitUntil: () => {} });
+        return response.status;
+    }
+
+    it('let a miner control its own address with a signed request', async () => {
+        const { app } = await createMiningNode();
+        const miner = await Wallet.create();
+        const other = await Wallet.create();
+        app.miningManager.registerMiner(miner.address, 'signed miner');
+        const signed = async wallet => createAuthHeaders(wallet, {
+            method: 'POST',
+            path: '/api/mining/start',
+            body: JSON.stringify({ minerAddress: miner.address })
+        });
+
+        expect(await start(app, miner.address)).toBe(401);
+        expect(await start(app, miner.address, await signed(other))).toBe(403);
+        expect(await start(app, miner.address, await signed(miner))).toBe(200);
+        app.miningManager.stopMining(miner.address);
+    });
+
+    it('let an operator control any miner', async () => {
+        const env = { API_TOKENS: JSON.stringify([{ id: 'ops', token: 'operator-token', scopes: ['mining:control'] }]) };
+        const { app, minerAddress } = await createMiningNode({ env });
+
+        expect(await start(app, minerAddress, { authorization: 'Bearer operator-token' })).toBe(200);
+        app.miningManager.stopMining(minerAddress);
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 在同一进程中创建两个节点，节点间请求通过 PeerManager 的 fetch 选项直接转发给对方实例
+ */
+async function createNetwork({ waitUntil = null } = {}) {
+    const apps = new Map();
+    const fetchPeer = async (url, init) => {
+        const app = apps.get(new URL(url).host);
+        return app.handle(new Request(url, init));
+    };
+
+    const storage = { a: new MemoryStorageAdapter(), b: new MemoryStorageAdapter() };
+    apps.set('node-a', await createApplication({ fetch: fetchPeer, storage: storage.a, waitUntil }));
+    apps.set('node-b', await createApplication({ fetch: fetchPeer, storage: storage.b }));
+
+    return { a: apps.get('node-a'), b: apps.get('node-b'), storage };
+}
+
+describe('two in-process nodes', () => {
+    it('keep separate storage', async () => {
+        const { a, b, storage } = await createNetwork();
+
+        const { wallet } = await a.walletManager.createWallet('password12');
+
+        expect(storage.a.load().wallets.map(item => item.address)).toEqual([wallet.address]);
+        expect(storage.b.load().wallets).toEqual([]);
+        expect(b.walletManager.wallets.size).toBe(0);
+    });
+
+    it('gossip mined blocks to each other', async () => {
+        const { a, b, storage } = await createNetwork();
+        await a.peerManager.addPeer('http://node-b');
+        await b.peerManager.addPeer('http://node-a');
+
+        const { wallet } = await a.walletManager.createWallet('password12');
+        const { block } = await a.blockchain.minePendingTransactions(wallet.address);
+
+        expect(b.blockchain.getLatestBlock().hash).toBe(block.hash);
+        expect(b.blockchain.getBalance(wallet.address)).toBe(a.blockchain.miningReward);
+        expect(storage.a.load().blocks.map(item => item.hash)).toEqual(storage.b.load().blocks.map(item => item.hash));
+    });
+
+    it('hand broadcasts to waitUntil instead of awaiting them', async () => {
+        const background = [];
+        const { a, b } = await createNetwork({ waitUntil: promise => background.push(promise) });
+        await a.peerManager.addPeer('http://node-b');
+
+        const { wallet } = await a.walletManager.createWallet('password12');
+        const { block } = await a.blockchain.minePendingTransactions(wallet.address);
+
+        expect(background).toHaveLength(1);
+        const [result] = await Promise.all(background);
+        expect(result.delivered).toBe(1);
+        expect(b.blockchain.getLatestBlock().hash).toBe(block.hash);
+    });
+
+    it('reject announced transactions with mistyped fields', async () => {
+        const { a } = await createNetwork();
+        const sender = await Wallet.create();
+        const recipient = await Wallet.create();
+        await a.blockchain.minePendingTransactions(sender.address);
+
+        // 签名覆盖字符串金额，签名本身有效
+        const tx = new Transaction(sender.address, recipient.address, '5', 'transfer', 0, 1);
+        await tx.signTransaction(sender);
+
+        const response = await a.handle(new Request('http://node-a/api/p2p/tx', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ transaction: tx.toJSON() })
+        }));
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.errors).toEqual([expect.objectContaining({ field: 'transaction.amount', message: 'must be number' })]);
+        expect(a.blockchain.pendingTransactions).toEqual([]);
+        await expect(a.blockchain.minePendingTransactions(sender.address)).resolves.toBeDefined();
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { takeToken } from '../src/api/rateLimit.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 从指定IP发送JSON请求
+ * @param {WorkerFastifyAdapter} app - 应用实例
+ * @param {string} path - 请求路径
+ * @param {Object} body - JSON请求体
+ * @param {string} ip - 客户端IP
+ * @returns {Promise<Response>} 响应
+ */
+function post(app, path, body, ip) {
+    return app.handle(new Request(`http://node${path}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'cf-connecting-ip': ip },
+        body: JSON.stringify(body)
+    }));
+}
+
+describe('takeToken', () => {
+    it('allows a burst of max requests and refills at max per window', () => {
+        const limit = { max: 2, windowMs: 1000 };
+
+        const first = takeToken(null, limit, 0);
+        const second = takeToken(first.bucket, limit, 0);
+        const third = takeToken(second.bucket, limit, 0);
+        expect([first.allowed, second.allowed, third.allowed]).toEqual([true, true, false]);
+        expect(third.retryAfterMs).toBe(500);
+
+        expect(takeToken(third.bucket, limit, 500).allowed).toBe(true);
+    });
+});
+
+describe('route rate limits', () => {
+    it('answer 429 with Retry-After once an IP uses up its bucket', async () => {
+        const app = await createApplication({ storage: new MemoryStorageAdapter() });
+        const derive = ip => post(app, '/api/wallets/hd/missing/derive', { password: 'password12' }, ip);
+
+        for (let i = 0; i < 30; i++) {
+            expect((await derive('203.0.113.1')).status).toBe(404);
+        }
+
+        const limited = await derive('203.0.113.1');
+        expect(limited.status).toBe(429);
+        const body = await limited.json();
+        expect(body).toMatchObject({ success: false, error: 'Too many requests' });
+        // 每分钟 30 次，约 2 秒回补一个令牌
+        expect(body.retryAfter).toBeGreaterThanOrEqual(1);
+        expect(body.retryAfter).toBeLessThanOrEqual(2);
+        expect(limited.headers.get('Retry-After')).toBe(String(body.retryAfter));
+
+        expect((await derive('203.0.113.2')).status).toBe(404);
+    });
+
+    it('count requests for the same address across IPs', async () => {
+        const app = await createApplication({ storage: new MemoryStorageAdapter() });
+        const sender = await Wallet.create();
+        const recipient = await Wallet.create();
+        const transfer = ip => post(app, '/api/transfers', { fromAddress: sender.address, toAddress: recipient.address, amount: 1 }, ip);
+
+        for (let i = 0; i < 30; i++) {
+            expect((await transfer(`203.0.113.${i + 1}`)).status).toBe(400);
+        }
+
+        expect((await transfer('203.0.113.200')).status).toBe(429);
+    });
+});
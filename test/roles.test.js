@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { createAuthHeaders } from '../src/api/auth.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 发送钱包签名的JSON请求
+ * @param {WorkerFastifyAdapter} app - 应用实例
+ * @param {string} path - 请求路径
+ * @param {Object} body - JSON请求体
+ * @param {Wallet} signer - 签名请求的钱包
+ * @returns {Promise<{ status: number, body: Object }>} 响应状态和内容
+ */
+async function post(app, path, body, signer) {
+    const raw = JSON.stringify(body);
+    const headers = {
+        'content-type': 'application/json',
+        'cf-connecting-ip': '203.0.113.7',
+        ...await createAuthHeaders(signer, { method: 'POST', path, body: raw })
+    };
+    const response = await app.handle(new Request(`http://node${path}`, { method: 'POST', headers, body: raw }));
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * 创建在创世配置中授予 admin 角色的节点
+ * @returns {Promise<Object>} 节点、管理员和另一个钱包
+ */
+async function createNode() {
+    const admin = await Wallet.create();
+    const other = await Wallet.create();
+    const env = { GENESIS_ROLES: JSON.stringify({ admin: [admin.address] }) };
+    const app = await createApplication({ env, storage: new MemoryStorageAdapter() });
+    await app.blockchain.minePendingTransactions(admin.address);
+    return { app, admin, other };
+}
+
+describe('role-based authorization', () => {
+    it('grants a role on chain and the scope follows once it is confirmed', async () => {
+        const { app, admin, other } = await createNode();
+        const mint = { toAddress: other.address, amount: 50, privateKey: other.privateKey };
+
+        const grant = await post(app, '/api/admin/roles', {
+            address: other.address,
+            role: 'minter',
+            action: 'grant',
+            privateKey: admin.privateKey
+        }, admin);
+        expect(grant.status).toBe(201);
+
+        // 角色变更上链之前不生效
+        expect((await post(app, '/api/tokens/mint', mint, other)).status).toBe(403);
+
+        await app.blockchain.minePendingTransactions(admin.address);
+        expect(app.blockchain.getRoles(other.address)).toContain('minter');
+
+        const minted = await post(app, '/api/tokens/mint', mint, other);
+        expect(minted.status).toBe(201);
+        await app.blockchain.minePendingTransactions(admin.address);
+        expect(app.blockchain.getBalance(other.address)).toBe(50);
+    });
+
+    it('rejects role changes from a wallet without the admin role', async () => {
+        const { app, admin, other } = await createNode();
+
+        const result = await post(app, '/api/admin/roles', {
+            address: other.address,
+            role: 'admin',
+            action: 'grant',
+            privateKey: other.privateKey
+        }, other);
+
+        expect(result.status).toBe(403);
+        expect(app.blockchain.pendingTransactions).toEqual([]);
+        expect(app.blockchain.getRoles(admin.address)).toEqual(['admin']);
+    });
+});
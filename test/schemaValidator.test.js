@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { validateSchema } from '../src/api/schemaValidator.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+const TRANSFER_SCHEMA = {
+    type: 'object',
+    required: ['toAddress', 'amount'],
+    properties: {
+        toAddress: { type: 'string' },
+        amount: { type: 'number', minimum: 0.001 },
+        memo: { type: 'object', properties: { text: { type: 'string', maxLength: 4 } } },
+        fee: { type: 'number', default: 0 }
+    }
+};
+
+describe('validateSchema', () => {
+    it('reports missing, mistyped and out-of-range fields with their paths', () => {
+        const { errors } = validateSchema(TRANSFER_SCHEMA, { amount: 0, memo: { text: 'too long' } });
+
+        expect(errors).toEqual([
+            { location: 'body', field: 'toAddress', message: "must have required property 'toAddress'" },
+            { location: 'body', field: 'amount', message: 'must be >= 0.001' },
+            { location: 'body', field: 'memo.text', message: 'must NOT have more than 4 characters' }
+        ]);
+        expect(validateSchema(TRANSFER_SCHEMA, { toAddress: 'a', amount: '5' }).errors).toEqual([
+            { location: 'body', field: 'amount', message: 'must be number' }
+        ]);
+    });
+
+    it('fills defaults and coerces strings only when asked to', () => {
+        expect(validateSchema(TRANSFER_SCHEMA, { toAddress: 'a', amount: 5 }).value).toEqual({ toAddress: 'a', amount: 5, fee: 0 });
+
+        const query = validateSchema({ type: 'object', properties: { limit: { type: 'integer' } } }, { limit: '10' }, {
+            location: 'querystring',
+            coerce: true
+        });
+        expect(query).toEqual({ value: { limit: 10 }, errors: [] });
+    });
+});
+
+describe('route schemas', () => {
+    it('reject an invalid body with 400 before the handler runs', async () => {
+        const app = await createApplication({ storage: new MemoryStorageAdapter() });
+        const sender = await Wallet.create();
+        await app.blockchain.minePendingTransactions(sender.address);
+
+        const response = await app.handle(new Request('http://node/api/transfers', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'cf-connecting-ip': '203.0.113.7' },
+            body: JSON.stringify({ fromAddress: sender.address, amount: '5' })
+        }));
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body).toMatchObject({ success: false, error: 'Validation failed' });
+        expect(body.errors.map(error => error.field)).toEqual(['toAddress', 'amount']);
+        expect(app.blockchain.pendingTransactions).toEqual([]);
+    });
+
+    it('coerce and bound query parameters', async () => {
+        const app = await createApplication({ storage: new MemoryStorageAdapter() });
+        const address = (await Wallet.create()).address;
+        const history = limit => app.handle(new Request(`http://node/api/transfers/${address}/history?limit=${limit}`));
+
+        expect((await history('10')).status).toBe(200);
+        const rejected = await history('1000');
+        expect(rejected.status).toBe(400);
+        expect((await rejected.json()).errors).toEqual([{ location: 'querystring', field: 'limit', message: 'must be <= 500' }]);
+    });
+});
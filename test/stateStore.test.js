@@ -0,0 +1,111 @@
+import { env, runInDurableObject } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import { ChainNode } from '../src/server.js';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { StateStore } from '../src/storage/stateStore.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { Wallet, WalletManager } from '../src/wallet/Wallet.js';
+
+/**
+ * 通过 ChainNode 处理请求
+ * @param {ChainNode} node - Durable Object 实例
+ * @param {string} method - 请求方法
+ * @param {string} path - 请求路径
+ * @param {Object} body - JSON请求体
+ * @returns {Promise<{ status: number, body: Object }>} 响应状态和内容
+ */
+async function call(node, method, path, body) {
+    const init = { method, headers: { 'cf-connecting-ip': '203.0.113.7' } };
+    if (body !== undefined) {
+        init.headers['content-type'] = 'application/json';
+        init.body = JSON.stringify(body);
+    }
+    const response = await node.fetch(new Request(`http://node${path}`, init));
+    return { status: response.status, body: await response.json() };
+}
+
+describe('Durable Object state', () => {
+    it('survives a restart', async () => {
+        const stub = env.CHAIN_NODE.get(env.CHAIN_NODE.idFromName('state-restart'));
+
+        await runInDurableObject(stub, async (instance, state) => {
+            // 第一个实例：创建钱包并挖出一个区块
+            const first = new ChainNode(state, env);
+            const created = await call(first, 'POST', '/api/wallets/create', { password: 'password12' });
+            expect(created.status).toBe(201);
+            const { address } = created.body.data.wallet;
+
+            const app = await first.appPromise;
+            const { block } = await app.blockchain.minePendingTransactions(address);
+            app.miningManager.registerMiner(address, 'restart miner');
+
+            // 交易池中的交易同样保存
+            const signer = await Wallet.create();
+            await app.blockchain.minePendingTransactions(signer.address);
+            const tx = new Transaction(signer.address, address, 10, 'transfer', 0, 1);
+            await tx.signTransaction(signer);
+            await app.blockchain.createTransaction(tx);
+
+            // 同一存储上的新实例相当于 isolate 重启后的节点，状态从 SQLite 恢复
+            const second = new ChainNode(state, env);
+            const info = await call(second, 'GET', '/api/blockchain/info');
+            expect(info.body.data.length).toBe(3);
+
+            const mined = await call(second, 'GET', '/api/blockchain/blocks/height/1');
+            expect(mined.body.data.hash).toBe(block.hash);
+
+            const balance = await call(second, 'GET', `/api/wallets/${address}/balance`);
+            expect(balance.body.data.balance).toBe(app.blockchain.miningReward);
+
+            const wallet = await call(second, 'GET', `/api/wallets/${address}`);
+            expect(wallet.body.data.wallet.encrypted).toBe(true);
+            expect(wallet.body.data.wallet.locked).toBe(true);
+
+            const miners = await call(second, 'GET', '/api/mining/miners');
+            expect(miners.body.data.miners.map(miner => miner.address)).toContain(address);
+
+            const pending = await call(second, 'GET', '/api/blockchain/transactions/pending');
+            expect(pending.body.data.transactions.map(item => item.id)).toEqual([tx.id]);
+        });
+    });
+});
+
+describe('StateStore', () => {
+    it('writes pending transactions and wallets as separate rows', async () => {
+        const adapter = new MemoryStorageAdapter();
+        const stateStore = new StateStore(adapter);
+        stateStore.initialize();
+        const blockchain = new Blockchain(undefined, { stateStore });
+        const walletManager = new WalletManager(blockchain, { stateStore });
+
+        const { wallet: sender } = await walletManager.createWallet('password12');
+        const { wallet: recipient } = await walletManager.createWallet('password12');
+        await blockchain.minePendingTransactions(sender.address);
+
+        const putPending = vi.spyOn(adapter, 'putPendingTransaction');
+        const deletePending = vi.spyOn(adapter, 'deletePendingTransaction');
+        const putWallet = vi.spyOn(adapter, 'putWallet');
+
+        // 新交易只写入一行，链元数据不包含交易池
+        const signer = await Wallet.create();
+        await walletManager.importWallet(signer.privateKey, 'password12');
+        expect(putWallet).toHaveBeenCalledTimes(1);
+
+        await blockchain.minePendingTransactions(signer.address);
+        const tx = new Transaction(signer.address, recipient.address, 10, 'transfer', blockchain.getNextNonce(signer.address), 1);
+        await tx.signTransaction(signer);
+        await blockchain.createTransaction(tx);
+
+        expect(putPending).toHaveBeenCalledTimes(1);
+        expect(putPending).toHaveBeenCalledWith(expect.objectContaining({ id: tx.id }));
+        expect(adapter.load().pendingTransactions.map(item => item.id)).toEqual([tx.id]);
+        expect(adapter.load().chainMeta.pendingTransactions).toBeUndefined();
+
+        // 打包后删除该行
+        await blockchain.minePendingTransactions(sender.address);
+        expect(deletePending).toHaveBeenCalledWith(tx.id);
+        expect(adapter.load().pendingTransactions).toEqual([]);
+        expect(putWallet).toHaveBeenCalledTimes(1);
+    });
+});
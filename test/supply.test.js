@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { Blockchain } from '../src/core/Blockchain.js';
+import { normalizeGenesisConfig } from '../src/core/GenesisConfig.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 创建一条有预分配、且同一钱包持有铸造和销毁角色的链
+ * @returns {Promise<Object>} 区块链、发行方和接收方
+ */
+async function createIssuerChain() {
+    const issuer = await Wallet.create();
+    const recipient = await Wallet.create();
+    const blockchain = new Blockchain(normalizeGenesisConfig({
+        totalSupply: 10000,
+        allocations: [{ address: issuer.address, amount: 1000 }],
+        roles: { minter: [issuer.address], burner: [issuer.address] }
+    }));
+    return { blockchain, issuer, recipient };
+}
+
+/**
+ * 用钱包签名交易
+ * @param {Wallet} wallet - 发送方钱包
+ * @param {Transaction} tx - 交易
+ * @returns {Promise<Transaction>} 已签名的交易
+ */
+async function sign(wallet, tx) {
+    await tx.signTransaction(wallet);
+    return tx;
+}
+
+describe('supply accounting', () => {
+    it('tracks premine, minting, mining rewards and burns separately', async () => {
+        const { blockchain, issuer, recipient } = await createIssuerChain();
+
+        await blockchain.createTransaction(await sign(issuer, new Transaction(issuer.address, recipient.address, 500, 'mint', 0, 1)));
+        await blockchain.createTransaction(await sign(issuer, new Transaction(issuer.address, null, 200, 'burn', 1, 1)));
+        await blockchain.minePendingTransactions(recipient.address);
+
+        expect(blockchain.getSupplyInfo()).toEqual({
+            totalSupply: 10000,
+            circulatingSupply: 1000 + 500 + blockchain.miningReward - 200,
+            premine: 1000,
+            minted: 500,
+            mined: blockchain.miningReward,
+            burned: 200,
+            pendingMinted: 0
+        });
+        expect(blockchain.getBalance(issuer.address)).toBe(1000 - 200 - 2);
+        expect(blockchain.getBalance(recipient.address)).toBe(500 + blockchain.miningReward + 2);
+        expect(blockchain.checkSupplyInvariant()).toMatchObject({ holds: true, difference: 0, negativeBalances: [] });
+    });
+
+    it('refuses to mint past the total supply, counting pending mints', async () => {
+        const { blockchain, issuer, recipient } = await createIssuerChain();
+
+        await blockchain.createTransaction(await sign(issuer, new Transaction(issuer.address, recipient.address, 8000, 'mint', 0, 0)));
+        const overflow = await sign(issuer, new Transaction(issuer.address, recipient.address, 1001, 'mint', 1, 0));
+
+        await expect(blockchain.createTransaction(overflow)).rejects.toThrow('Minting would exceed total supply');
+        expect(blockchain.getSupplyInfo().pendingMinted).toBe(8000);
+    });
+
+    it('requires the burner role to burn', async () => {
+        const { blockchain, recipient } = await createIssuerChain();
+        await blockchain.minePendingTransactions(recipient.address);
+
+        const burn = await sign(recipient, new Transaction(recipient.address, null, 10, 'burn', 0, 0));
+
+        await expect(blockchain.createTransaction(burn)).rejects.toThrow('burn transactions require the burner role');
+    });
+});
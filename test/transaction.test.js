@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { Transaction } from '../src/core/Transaction.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 创建一笔已签名的转账交易
+ * @returns {Promise<Object>} 交易、发送方和接收方
+ */
+async function createSignedTransfer() {
+    const sender = await Wallet.create();
+    const recipient = await Wallet.create();
+    const tx = new Transaction(sender.address, recipient.address, 10, 'transfer', 0, 1);
+    await tx.signTransaction(sender);
+    return { tx, sender, recipient };
+}
+
+/**
+ * 通过JSON往返复制交易，模拟从网络收到的交易
+ * @param {Transaction} tx - 交易
+ * @param {Object} changes - 覆盖的字段
+ * @returns {Transaction} 副本
+ */
+function relay(tx, changes = {}) {
+    return Transaction.fromJSON({ ...tx.toJSON(), ...changes });
+}
+
+describe('transaction signatures', () => {
+    it('verify with the public key only', async () => {
+        const { tx, sender } = await createSignedTransfer();
+        const watcher = Wallet.watchOnly(sender.address, { publicKey: sender.publicKey });
+
+        expect(tx.signature).toMatch(/^[0-9a-f]{128}$/);
+        expect(await relay(tx).isValid()).toBe(true);
+        expect(await watcher.verify(tx.id, tx.signature)).toBe(true);
+        expect(await watcher.verify('0'.repeat(64), tx.signature)).toBe(false);
+    });
+
+    it('reject a signed field changed after signing', async () => {
+        const { tx } = await createSignedTransfer();
+
+        expect(await relay(tx, { amount: 11 }).isValid()).toBe(false);
+        expect(await relay(tx, { fee: 0 }).isValid()).toBe(false);
+        expect(await relay(tx, { nonce: 1 }).isValid()).toBe(false);
+    });
+
+    it('reject a replaced transaction ID', async () => {
+        const { tx } = await createSignedTransfer();
+
+        expect(await relay(tx, { id: 'f'.repeat(64) }).isValid()).toBe(false);
+    });
+
+    it('reject a public key that does not derive the sender address', async () => {
+        const { tx, recipient } = await createSignedTransfer();
+        const forged = relay(tx, { publicKey: recipient.publicKey, signature: await recipient.sign(tx.id) });
+
+        expect(await forged.isValid()).toBe(false);
+    });
+
+    it('cannot be made by another wallet', async () => {
+        const { tx, recipient } = await createSignedTransfer();
+
+        await expect(relay(tx).signTransaction(recipient)).rejects.toThrow('You cannot sign transactions for other wallets!');
+    });
+});
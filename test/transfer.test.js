@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 提交客户端签名的转账
+ * @param {WorkerFastifyAdapter} app - 应用实例
+ * @param {Object} body - 请求体
+ * @returns {Promise<{ status: number, body: Object }>} 响应状态和内容
+ */
+async function submitSigned(app, body) {
+    const response = await app.handle(new Request('http://node/api/transfers/signed', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'cf-connecting-ip': '203.0.113.7' },
+        body: JSON.stringify(body)
+    }));
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * 创建节点和一个已获得挖矿奖励、私钥只在客户端的发送方
+ * @returns {Promise<Object>} 节点、发送方和接收方
+ */
+async function createNode() {
+    const app = await createApplication({ storage: new MemoryStorageAdapter() });
+    const sender = await Wallet.create();
+    const recipient = await Wallet.create();
+    await app.blockchain.minePendingTransactions(sender.address);
+    return { app, sender, recipient };
+}
+
+describe('POST /api/transfers/signed', () => {
+    it('accepts a transfer signed by the client without sending the private key', async () => {
+        const { app, sender, recipient } = await createNode();
+        const tx = new Transaction(sender.address, recipient.address, 10, 'transfer', 0, 1);
+        await tx.signTransaction(sender);
+        const { id, type, ...body } = tx.toJSON();
+
+        const result = await submitSigned(app, body);
+
+        expect(result.status).toBe(201);
+        expect(result.body.data.transaction.id).toBe(tx.id);
+        expect(app.blockchain.pendingTransactions.map(item => item.id)).toEqual([tx.id]);
+        expect(app.walletManager.getWalletCount()).toBe(0);
+    });
+
+    it('rejects a signature that does not cover the submitted fields', async () => {
+        const { app, sender, recipient } = await createNode();
+        const tx = new Transaction(sender.address, recipient.address, 10, 'transfer', 0, 1);
+        await tx.signTransaction(sender);
+        const { id, type, ...body } = tx.toJSON();
+
+        const result = await submitSigned(app, { ...body, amount: 20 });
+
+        expect(result.status).toBe(400);
+        expect(result.body.error).toBe('Invalid transaction signature');
+        expect(app.blockchain.pendingTransactions).toEqual([]);
+    });
+
+    it('rejects a body without the signature fields', async () => {
+        const { app, sender, recipient } = await createNode();
+
+        const result = await submitSigned(app, { fromAddress: sender.address, toAddress: recipient.address, amount: 10 });
+
+        expect(result.status).toBe(400);
+        expect(result.body.success).toBe(false);
+    });
+});
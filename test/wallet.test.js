@@ -0,0 +1,250 @@
+import { describe, it, expect } from 'vitest';
+import { createApplication } from '../src/server.js';
+import { createAuthHeaders } from '../src/api/auth.js';
+import { Transaction } from '../src/core/Transaction.js';
+import { MemoryStorageAdapter } from '../src/storage/adapters/MemoryStorageAdapter.js';
+import { generateMnemonic, mnemonicToSeed } from '../src/wallet/mnemonic.js';
+import { sha256Hex } from '../src/utils/crypto.js';
+import { checkKeystore, decryptKeystore, encryptKeystore } from '../src/wallet/keystore.js';
+import { Wallet } from '../src/wallet/Wallet.js';
+
+/**
+ * 向应用发送JSON请求
+ * @param {WorkerFastifyAdapter} app - 应用实例
+ * @param {string} method - 请求方法
+ * @param {string} path - 请求路径
+ * @param {Object} body - JSON请求体
+ * @param {Wallet|null} signer - 用于签名请求的钱包（为空时不认证）
+ * @returns {Promise<{ status: number, body: Object }>} 响应状态和内容
+ */
+async function call(app, method, path, body, signer = null) {
+    const raw = body === undefined ? '' : JSON.stringify(body);
+    const headers = { 'cf-connecting-ip': '203.0.113.7' };
+    if (body !== undefined) {
+        headers['content-type'] = 'application/json';
+    }
+    if (signer) {
+        Object.assign(headers, await createAuthHeaders(signer, { method, path, body: raw }));
+    }
+
+    const response = await app.handle(new Request(`http://node${path}`, { method, headers, body: raw || undefined }));
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * 创建带一个早期版本明文保存私钥的钱包（已获得挖矿奖励）的节点
+ * @returns {Promise<Object>} 节点和明文钱包
+ */
+async function createLegacyNode({ hdWallets = [] } = {}) {
+    const legacy = await Wallet.create();
+    const storage = new MemoryStorageAdapter();
+    storage.putWallet({ id: legacy.id, address: legacy.address, publicKey: legacy.publicKey, privateKey: legacy.privateKey });
+    storage.putValue('hdWallets', hdWallets);
+
+    const app = await createApplication({ storage });
+    await app.blockchain.minePendingTransactions(legacy.address);
+    return { app, legacy };
+}
+
+describe('legacy plaintext wallets', () => {
+    it('cannot be spent by the node without the private key', async () => {
+        const { app, legacy } = await createLegacyNode();
+        const recipient = await Wallet.create();
+        const transfer = { fromAddress: legacy.address, toAddress: recipient.address, amount: 5 };
+
+        const anonymous = await call(app, 'POST', '/api/transfers', transfer);
+        expect(anonymous.status).toBe(400);
+        expect(anonymous.body.error).toMatch('Wallet is not encrypted');
+
+        const withKey = await call(app, 'POST', '/api/transfers', { ...transfer, privateKey: legacy.privateKey });
+        expect(withKey.status).toBe(201);
+    });
+
+    it('can only be encrypted by the owner', async () => {
+        const { app, legacy } = await createLegacyNode();
+        const other = await Wallet.create();
+        const path = `/api/wallets/${legacy.address}/encrypt`;
+
+        expect((await call(app, 'POST', path, { password: 'password12' })).status).toBe(400);
+        expect((await call(app, 'POST', path, { password: 'password12', privateKey: other.privateKey })).status).toBe(400);
+        expect((await call(app, 'POST', path, { password: 'password12' }, other)).status).toBe(400);
+        expect(app.walletManager.wallets.get(legacy.address).keystore).toBeNull();
+
+        const signed = await call(app, 'POST', path, { password: 'password12' }, legacy);
+        expect(signed.status).toBe(200);
+        expect(signed.body.data.wallet.encrypted).toBe(true);
+    });
+
+    it('accepts the private key as proof of ownership', async () => {
+        const { app, legacy } = await createLegacyNode();
+
+        const result = await call(app, 'POST', `/api/wallets/${legacy.address}/encrypt`, {
+            password: 'password12',
+            privateKey: legacy.privateKey
+        });
+
+        expect(result.status).toBe(200);
+        expect(app.walletManager.wallets.get(legacy.address).isLocked()).toBe(true);
+    });
+
+    it('keep plaintext HD seeds until they are restored from the mnemonic', async () => {
+        const mnemonic = generateMnemonic();
+        const seed = await mnemonicToSeed(mnemonic);
+        const hdWallet = { id: 'legacy-hd', seed, fingerprint: sha256Hex(seed, 'hex').slice(0, 8), accounts: [], createdAt: null };
+        const { app } = await createLegacyNode({ hdWallets: [hdWallet] });
+
+        const derived = await call(app, 'POST', '/api/wallets/hd/legacy-hd/derive', { password: 'attacker12' });
+        expect(derived.status).toBe(400);
+        expect(derived.body.error).toMatch('Restore it from its mnemonic');
+
+        const restored = await call(app, 'POST', '/api/wallets/hd/restore', { mnemonic, password: 'password12' });
+        expect(restored.status).toBe(201);
+        expect(restored.body.data.hdWallet.id).toBe('legacy-hd');
+        expect(app.walletManager.hdWallets.get('legacy-hd').seed).toBeUndefined();
+
+        expect((await call(app, 'POST', '/api/wallets/hd/legacy-hd/derive', { password: 'attacker12' })).status).toBe(400);
+        expect((await call(app, 'POST', '/api/wallets/hd/legacy-hd/derive', { password: 'password12' })).status).toBe(201);
+    });
+});
+
+describe('wallet lock', () => {
+    it('requires the caller that unlocked the wallet', async () => {
+        const app = await createApplication({ storage: new MemoryStorageAdapter() });
+        const { wallet } = await app.walletManager.createWallet('password12');
+        const owner = await Wallet.create();
+        const other = await Wallet.create();
+        const path = `/api/wallets/${wallet.address}/lock`;
+
+        expect((await call(app, 'POST', `/api/wallets/${wallet.address}/unlock`, { password: 'password12' }, owner)).status).toBe(200);
+
+        expect((await call(app, 'POST', path, {})).status).toBe(401);
+        const foreign = await call(app, 'POST', path, {}, other);
+        expect(foreign.status).toBe(400);
+        expect(foreign.body.error).toBe('Wallet was unlocked by another caller');
+        expect(app.walletManager.wallets.get(wallet.address).isLocked()).toBe(false);
+
+        expect((await call(app, 'POST', path, {}, owner)).status).toBe(200);
+        expect(app.walletManager.wallets.get(wallet.address).isLocked()).toBe(true);
+    });
+});
+
+describe('wallet routes', () => {
+    it('declare authentication for every route that acts on a wallet session or key', async () => {
+        const app = await createApplication({ storage: new MemoryStorageAdapter() });
+        const config = (method, path) => app.routes.find(route => route.method === method && route.path === path).config;
+
+        expect(config('POST', '/api/wallets/:address/unlock')).toMatchObject({ authenticate: true });
+        expect(config('POST', '/api/wallets/:address/lock')).toMatchObject({ authenticate: true });
+        expect(config('POST', '/api/wallets/:address/encrypt')).toMatchObject({ authenticate: 'optional' });
+        expect(config('DELETE', '/api/wallets/:address')).toMatchObject({ scopes: ['wallets:delete'] });
+        expect(config('POST', '/api/wallets/watch')).toMatchObject({ scopes: ['wallets:watch'] });
+    });
+});
+
+describe('keystore', () => {
+    it('decrypts only with the password it was encrypted with', async () => {
+        const secret = 'ab'.repeat(32);
+        const keystore = await encryptKeystore(secret, 'password12', { address: 'meta' });
+
+        expect(keystore).toMatchObject({ address: 'meta', crypto: { cipher: 'aes-256-gcm', kdf: 'pbkdf2' } });
+        expect(JSON.stringify(keystore)).not.toContain(secret);
+        expect(await decryptKeystore(keystore, 'password12')).toBe(secret);
+        await expect(decryptKeystore(keystore, 'password13')).rejects.toThrow('Invalid password');
+
+        const tampered = structuredClone(keystore);
+        tampered.crypto.ciphertext = `${tampered.crypto.ciphertext.startsWith('00') ? '11' : '00'}${tampered.crypto.ciphertext.slice(2)}`;
+        await expect(decryptKeystore(tampered, 'password12')).rejects.toThrow('Invalid password');
+    });
+
+    it('refuses imported keystores with weak key derivation', async () => {
+        const keystore = await encryptKeystore('ab'.repeat(32), 'password12');
+        keystore.crypto.kdfparams.iterations = 1000;
+
+        expect(checkKeystore(keystore)).toBe('Keystore iterations must be between 10000 and 100000');
+    });
+
+    it('keeps wallets encrypted at rest and on export', async () => {
+        const storage = new MemoryStorageAdapter();
+        const app = await createApplication({ storage });
+        const { wallet } = await app.walletManager.createWallet('password12');
+        const privateKey = await decryptKeystore(app.walletManager.wallets.get(wallet.address).keystore, 'password12');
+
+        expect(JSON.stringify(storage.load())).not.toContain(privateKey);
+
+        const path = `/api/wallets/${wallet.address}/export`;
+        expect((await call(app, 'POST', path, { password: 'password13' })).status).toBe(400);
+        const exported = await call(app, 'POST', path, { password: 'password12' });
+        expect(exported.status).toBe(200);
+        expect(JSON.stringify(exported.body)).not.toContain(privateKey);
+
+        const other = await createApplication({ storage: new MemoryStorageAdapter() });
+        await expect(other.walletManager.importKeystore(exported.body.data.keystore, 'password13')).rejects.toThrow('Invalid password');
+        const imported = await other.walletManager.importKeystore(exported.body.data.keystore, 'password12');
+        expect(imported.wallet.address).toBe(wallet.address);
+    });
+});
+
+describe('watch-only wallets', () => {
+    /**
+     * 用持有 wallets:watch 的令牌添加只读钱包
+     * @param {WorkerFastifyAdapter} app - 应用实例
+     * @param {Object} body - 请求体 { address, publicKey, label }
+     * @returns {Promise<{ status: number, body: Object }>} 响应状态和内容
+     */
+    async function watch(app, body) {
+        const response = await app.handle(new Request('http://node/api/wallets/watch', {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: 'Bearer watch-token' },
+            body: JSON.stringify(body)
+        }));
+        return { status: response.status, body: await response.json() };
+    }
+
+    /**
+     * 创建配置了 wallets:watch 令牌、且外部地址已获得挖矿奖励的节点
+     * @returns {Promise<Object>} 节点和外部钱包（私钥不在节点上）
+     */
+    async function createWatchNode() {
+        const env = { API_TOKENS: JSON.stringify([{ id: 'watcher', token: 'watch-token', scopes: ['wallets:watch'] }]) };
+        const app = await createApplication({ env, storage: new MemoryStorageAdapter() });
+        const external = await Wallet.create();
+        await app.blockchain.minePendingTransactions(external.address);
+        return { app, external };
+    }
+
+    it('track an external address with its balance', async () => {
+        const { app, external } = await createWatchNode();
+
+        expect((await call(app, 'POST', '/api/wallets/watch', { address: external.address })).status).toBe(401);
+        const other = await Wallet.create();
+        expect((await watch(app, { address: external.address, publicKey: other.publicKey })).status).toBe(400);
+
+        const added = await watch(app, { address: external.address, publicKey: external.publicKey, label: 'cold storage' });
+        expect(added.status).toBe(201);
+        expect((await watch(app, { address: external.address })).status).toBe(409);
+
+        const listed = await (await app.handle(new Request('http://node/api/wallets?watchOnly=true'))).json();
+        expect(listed.data.wallets).toEqual([expect.objectContaining({
+            address: external.address,
+            watchOnly: true,
+            label: 'cold storage',
+            balance: app.blockchain.miningReward,
+            transactionCount: 1
+        })]);
+    });
+
+    it('refuse to send from a watched address unless the transaction is signed elsewhere', async () => {
+        const { app, external } = await createWatchNode();
+        const recipient = await Wallet.create();
+        await watch(app, { address: external.address });
+
+        const custodial = await call(app, 'POST', '/api/transfers', { fromAddress: external.address, toAddress: recipient.address, amount: 5 });
+        expect(custodial.status).toBe(400);
+        expect(custodial.body.error).toBe('Watch-only wallet cannot sign. Submit a pre-signed transaction instead');
+
+        const tx = new Transaction(external.address, recipient.address, 5, 'transfer', 0, 1);
+        await tx.signTransaction(external);
+        const { id, type, ...signed } = tx.toJSON();
+        expect((await call(app, 'POST', '/api/transfers/signed', signed)).status).toBe(201);
+    });
+});
@@ -5,6 +5,9 @@ export default defineWorkersConfig({
 		poolOptions: {
 			workers: {
 				wrangler: { configPath: './wrangler.jsonc' },
+				// SQLite 后端的 Durable Object 会留下 WAL 文件，无法使用按测试隔离的存储；
+				// 测试按名称使用各自的 Durable Object 实例
+				isolatedStorage: false,
 			},
 		},
 	},